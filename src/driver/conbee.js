@@ -15,6 +15,7 @@ const util = require('util');
 const C = deconzApi.constants;
 
 const { APS_STATUS, NWK_STATUS, MAC_STATUS } = require('../zb-constants');
+const { channelMask } = require('../zb-backup');
 
 const {
   Command,
@@ -54,6 +55,17 @@ const PARAM = [
   C.PARAM_ID.WATCHDOG_TTL,
 ];
 
+const APS_ADDR_MODE_GROUP = 0x01;
+
+// Values used with the CHANGE_NETWORK_STATE command.
+const NETWORK_STATE = {
+  OFFLINE: 0,
+  CONNECTED: 2,
+};
+
+// No master key, but use a trust center link key.
+const SECURITY_MODE_TC_LINK_KEY = 3;
+
 const WATCHDOG_TIMEOUT_SECS = 3600; // 1 hour
 
 function serialWriteError(error) {
@@ -161,6 +173,12 @@ class ConBeeDriver extends ZigbeeDriver {
     if (!frame.hasOwnProperty('type')) {
       frame.type = C.FRAME_TYPE.APS_DATA_REQUEST;
     }
+    if (this.isGroupFrame(frame)) {
+      // Group frames are sent using the group address mode, which
+      // takes the group id in place of the 16-bit network address.
+      frame.destinationAddrMode = APS_ADDR_MODE_GROUP;
+      frame.destination16 = frame.destinationGroup.toString(16).padStart(4, '0');
+    }
     const sentPrefix = frame.resend ? 'Re' : '';
     const rawFrame = this.dc.buildFrame(frame, false);
     if (DEBUG_rawFrames) {
@@ -244,6 +262,20 @@ class ConBeeDriver extends ZigbeeDriver {
     this.serialPort.write(slipFrame, serialWriteError);
   }
 
+  changeNetworkStateCommands(networkState) {
+    const changeStateFrame = {
+      type: C.FRAME_TYPE.CHANGE_NETWORK_STATE,
+      networkState: networkState,
+    };
+    return [
+      new Command(SEND_FRAME, changeStateFrame),
+      new Command(WAIT_FRAME, {
+        type: C.FRAME_TYPE.CHANGE_NETWORK_STATE,
+        waitRetryTimeout: 5000,
+      }),
+    ];
+  }
+
   close() {
     if (this.watchDogTimeout) {
       clearTimeout(this.watchDogTimeout);
@@ -411,6 +443,19 @@ class ConBeeDriver extends ZigbeeDriver {
     return C.FRAME_TYPE.APS_DATA_REQUEST;
   }
 
+  getNetworkParamsCommands(params) {
+    return [FUNC(this, this.readParameters), FUNC(this, this.getNetworkParams, [params])];
+  }
+
+  getNetworkParams(params) {
+    params.panId = this.paramValue(C.PARAM_ID.NETWORK_PANID16);
+    params.extendedPanId = this.paramValue(C.PARAM_ID.NETWORK_PANID64);
+    params.channel = this.paramValue(C.PARAM_ID.OPERATING_CHANNEL);
+    params.networkKey = this.paramValue(C.PARAM_ID.NETWORK_KEY);
+    // The NWK frame counter isn't one of the parameters supported by
+    // deconz-api, so a ConBee backup doesn't include it.
+  }
+
   getTransmitStatusFrameType() {
     return C.FRAME_TYPE.APS_DATA_CONFIRM;
   }
@@ -453,6 +498,12 @@ class ConBeeDriver extends ZigbeeDriver {
   }
 
   // Response to DEVICE_STATE request
+  handleChangeNetworkState(frame) {
+    if (frame.status != 0) {
+      this.reportStatus(frame);
+    }
+  }
+
   handleDeviceState(frame) {
     DEBUG_flow && console.log('handleDeviceState: seqNum:', frame.seqNum);
     this.updateFlags(frame);
@@ -526,10 +577,19 @@ class ConBeeDriver extends ZigbeeDriver {
     }, (WATCHDOG_TIMEOUT_SECS / 2) * 1000);
   }
 
+  networkRestored(network) {
+    console.log('ConBee network restored: PAN ID', network.panId, 'channel', network.channel);
+    this.dumpParameters();
+  }
+
   nextFrameId() {
     return deconzApi._frame_builder.nextFrameId();
   }
 
+  paramValue(paramId) {
+    return this[C.PARAM_ID[paramId].fieldName];
+  }
+
   permitJoinCommands(duration) {
     return this.writeParameterCommands(C.PARAM_ID.PERMIT_JOIN, duration, PERMIT_JOIN_PRIORITY);
   }
@@ -652,6 +712,27 @@ class ConBeeDriver extends ZigbeeDriver {
     }
   }
 
+  // The ConBee only uses new network parameters after the network has been
+  // restarted, so we take it offline while writing them.
+  setNetworkParamsCommands(network) {
+    if (typeof network.frameCounter === 'number') {
+      console.warn('ConBee: Unable to restore the frame counter - it is not supported');
+    }
+    return [
+      this.changeNetworkStateCommands(NETWORK_STATE.OFFLINE),
+      this.writeParameterCommands(C.PARAM_ID.APS_DESIGNATED_COORDINATOR, 1),
+      this.writeParameterCommands(C.PARAM_ID.NETWORK_PANID16, parseInt(network.panId, 16)),
+      this.writeParameterCommands(C.PARAM_ID.APS_PANID64, network.extendedPanId),
+      this.writeParameterCommands(C.PARAM_ID.SCAN_CHANNELS, channelMask(network.channel)),
+      this.writeParameterCommands(C.PARAM_ID.NETWORK_KEY, network.networkKey),
+      this.writeParameterCommands(C.PARAM_ID.TRUST_CENTER_ADDR64, this.macAddress),
+      this.writeParameterCommands(C.PARAM_ID.SECURITY_MODE, SECURITY_MODE_TC_LINK_KEY),
+      this.changeNetworkStateCommands(NETWORK_STATE.CONNECTED),
+      FUNC(this, this.readParameters),
+      FUNC(this, this.networkRestored, [network]),
+    ];
+  }
+
   updateFlags(frame) {
     this.dataConfirm = frame.dataConfirm;
     this.dataIndication = frame.dataIndication;
@@ -703,6 +784,7 @@ class ConBeeDriver extends ZigbeeDriver {
 }
 
 ConBeeDriver.frameHandler = {
+  [C.FRAME_TYPE.CHANGE_NETWORK_STATE]: ConBeeDriver.prototype.handleChangeNetworkState,
   [C.FRAME_TYPE.APS_DATA_CONFIRM]: ConBeeDriver.prototype.handleApsDataConfirm,
   [C.FRAME_TYPE.APS_DATA_INDICATION]: ConBeeDriver.prototype.handleApsDataIndication,
   [C.FRAME_TYPE.APS_DATA_REQUEST]: ConBeeDriver.prototype.handleApsDataRequest,
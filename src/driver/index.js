@@ -16,7 +16,8 @@ const zclId = require('zcl-id');
 const zdo = require('zigbee-zdo');
 const { Utils } = require('gateway-addon');
 
-const { PROFILE_ID } = require('../zb-constants');
+const { CLUSTER_ID, MANUFACTURER_CODE, PROFILE_ID } = require('../zb-constants');
+const { parseTuyaFrame } = require('../zb-tuya-frame');
 
 const {
   DEBUG_flow,
@@ -25,6 +26,14 @@ const {
   DEBUG_frameParsing,
 } = require('../zb-debug').default;
 
+// The manufacturer specific genScenes commands which the IKEA remote
+// sends for the left and right arrow buttons.
+const IKEA_ARROW_CMDS = {
+  0x07: 'tradfriArrowSingle',
+  0x08: 'tradfriArrowHold',
+  0x09: 'tradfriArrowRelease',
+};
+
 const WAIT_TIMEOUT_DELAY = 1 * 1000;
 const EXTENDED_TIMEOUT_DELAY = 10 * 1000;
 const WAIT_RETRY_MAX = 3; // includes initial send
@@ -254,7 +263,9 @@ class ZigbeeDriver {
   dumpZigbeeTxFrame(label, frame) {
     const cluster = zclId.cluster(parseInt(frame.clusterId, 16));
     const clusterKey = (cluster && cluster.key) || '???';
-    const dstAddr = frame.destination64 || frame.destination16;
+    const dstAddr = this.isGroupFrame(frame)
+      ? `group:${Utils.hexStr(frame.destinationGroup, 4)}`
+      : frame.destination64 || frame.destination16;
     if (zdo.isZdoFrame(frame)) {
       const shortDescr = frame.shortDescr || '';
       console.log(
@@ -381,6 +392,24 @@ class ZigbeeDriver {
     assert.fail('getExplicitTxFrameType needs to implemented');
   }
 
+  // Frames sent to a group don't generate any responses from the nodes
+  // in the group, so the best we can do is to wait for the dongle to
+  // report that the frame was sent.
+  getGroupFrameWaitFrame(frame) {
+    return {
+      type: this.getTransmitStatusFrameType(),
+      id: frame.id,
+    };
+  }
+
+  // Returns the commands which read the network parameters (panId,
+  // extendedPanId, channel, networkKey, networkKeySequenceNumber and
+  // frameCounter) from the dongle into params. See zb-backup.js for the
+  // format of each parameter.
+  getNetworkParamsCommands(_params) {
+    assert.fail('getNetworkParamsCommands needs to implemented');
+  }
+
   getTransmitStatusFrameType() {
     assert.fail('getTransmitStatusFrameType needs to implemented');
   }
@@ -507,6 +536,12 @@ class ZigbeeDriver {
     this.run();
   }
 
+  // Group frames are multicast to all of the nodes which are members of
+  // frame.destinationGroup rather than being sent to a single node.
+  isGroupFrame(frame) {
+    return typeof frame.destinationGroup === 'number';
+  }
+
   isZclFrame(frame) {
     if (typeof frame.profileId === 'number') {
       return frame.profileId === PROFILE_ID.ZHA || frame.profileId === PROFILE_ID.ZLL;
@@ -604,12 +639,49 @@ class ZigbeeDriver {
             direction: 0,
             disDefaultRsp: 0,
           },
-          manufCode: 0x104e,
+          manufCode: MANUFACTURER_CODE.OSRAM,
           seqNum: zclData[3],
           cmdId: 'confirm', // Made up - i.e. not from spec
           payload: {},
         };
         resolve(frame);
+      } else if (
+        parseInt(frame.clusterId, 16) == CLUSTER_ID.GENSCENES &&
+        zclData.length >= 7 &&
+        (zclData[0] & 0x07) == 0x05 && // cluster & manufacturer specific
+        zclData.readUInt16LE(1) == MANUFACTURER_CODE.IKEA &&
+        IKEA_ARROW_CMDS.hasOwnProperty(zclData[4])
+      ) {
+        // The IKEA remote uses manufacturer specific genScenes commands
+        // for the arrow buttons, which zcl-packet doesn't know about. The
+        // payload starts with a 16-bit value which identifies the button
+        // (or the hold duration, for a release).
+        frame.zcl = {
+          frameCntl: {
+            frameType: 1,
+            manufSpec: 1,
+            direction: (zclData[0] >> 3) & 0x01,
+            disDefaultRsp: (zclData[0] >> 4) & 0x01,
+          },
+          manufCode: MANUFACTURER_CODE.IKEA,
+          seqNum: zclData[3],
+          cmdId: IKEA_ARROW_CMDS[zclData[4]],
+          payload: {
+            value: zclData.readUInt16LE(5),
+          },
+        };
+        resolve(frame);
+      } else if (
+        parseInt(frame.clusterId, 16) == CLUSTER_ID.TUYA &&
+        (zclData[0] & 0x03) == 1 // cluster specific
+      ) {
+        // zcl-packet doesn't know about the Tuya datapoint commands.
+        try {
+          frame.zcl = parseTuyaFrame(zclData);
+          resolve(frame);
+        } catch (e) {
+          reject(e);
+        }
       } else {
         const clusterId = parseInt(frame.clusterId, 16);
         zcl.parse(zclData, clusterId, (error, zclData) => {
@@ -821,6 +893,12 @@ class ZigbeeDriver {
     this.buildAndSendRawFrame(frame);
   }
 
+  // Returns the commands which configure the dongle to form (or rejoin)
+  // the network described by the network section of a backup.
+  setNetworkParamsCommands(_network) {
+    assert.fail('setNetworkParamsCommands needs to implemented');
+  }
+
   waitTimedOut() {
     if (DEBUG_frameDetail || DEBUG_flow) {
       console.log('WAIT_FRAME timed out');
@@ -32,6 +32,10 @@ const {
 const C = xbeeApi.constants;
 const AT_CMD = at.AT_CMD;
 
+// Transmit option which causes the destination16 to be treated as a
+// group address.
+const TRANSMIT_OPTION_MULTICAST = 0x08;
+
 const DEVICE_TYPE = {
   0x30001: 'ConnectPort X8 Gateway',
   0x30002: 'ConnectPort X4 Gateway',
@@ -167,6 +171,13 @@ class XBeeDriver extends ZigbeeDriver {
     if (!frame.hasOwnProperty('type')) {
       frame.type = C.FRAME_TYPE.EXPLICIT_ADDRESSING_ZIGBEE_COMMAND_FRAME;
     }
+    if (this.isGroupFrame(frame)) {
+      // For multicast, the 16-bit address holds the group id and the
+      // 64-bit address is set to the 'unknown' address.
+      frame.destination64 = 'ffffffffffffffff';
+      frame.destination16 = frame.destinationGroup.toString(16).padStart(4, '0');
+      frame.options |= TRANSMIT_OPTION_MULTICAST;
+    }
     const sentPrefix = frame.resend ? 'Re' : '';
     const rawFrame = this.xb.buildFrame(frame);
     if (DEBUG_rawFrames) {
@@ -481,12 +492,61 @@ class XBeeDriver extends ZigbeeDriver {
 
   // -------------------------------------------------------------------------
 
+  getNetworkParamsCommands(params) {
+    return [
+      this.AT(AT_CMD.OPERATING_64_BIT_PAN_ID),
+      this.AT(AT_CMD.OPERATING_16_BIT_PAN_ID),
+      this.AT(AT_CMD.OPERATING_CHANNEL),
+      FUNC(this, this.getNetworkParams, [params]),
+    ];
+  }
+
+  getNetworkParams(params) {
+    params.panId = this.operatingPanId16;
+    params.extendedPanId = this.operatingPanId64;
+    params.channel = this.operatingChannel;
+    // The XBee doesn't allow the network key (NK) or the frame counter
+    // to be read, so backups made from an XBee can't be restored.
+    console.warn('XBee: The network key is write only - it will not be included in the backup');
+  }
+
+  networkRestored(network) {
+    console.log('XBee network restored: PAN ID', network.panId, 'channel', network.channel);
+    this.dumpInfo();
+  }
+
+  // Changing the configured 64-bit PAN ID (ID) causes the XBee to leave
+  // its current network and form a new one once the changes are applied.
+  setNetworkParamsCommands(network) {
+    if (typeof network.frameCounter === 'number') {
+      console.warn('XBee: Unable to restore the frame counter - it is not supported');
+    }
+    return [
+      this.AT(AT_CMD.CONFIGURED_64_BIT_PAN_ID, { configuredPanId: network.extendedPanId }),
+      this.AT(AT_CMD.INITIAL_16_BIT_PAN_ID, { initialPanId16: network.panId }),
+      // Bit 0 of the scan channels mask is channel 11.
+      this.AT(AT_CMD.SCAN_CHANNELS, { scanChannels: 1 << (network.channel - 11) }),
+      this.AT(AT_CMD.NETWORK_KEY, { networkKey: network.networkKey }),
+      this.AT(AT_CMD.ENCRYPTION_ENABLED, { encryptionEnabled: 1 }),
+      this.AT(AT_CMD.ENCRYPTION_OPTIONS, { encryptionOptions: 2 }),
+      this.AT(AT_CMD.LINK_KEY, { linkKey: 'ZigBeeAlliance09' }),
+      this.AT(AT_CMD.WRITE_PARAMETERS),
+      this.AT(AT_CMD.APPLY_CHANGES),
+      this.AT(AT_CMD.CONFIGURED_64_BIT_PAN_ID),
+      this.AT(AT_CMD.SCAN_CHANNELS),
+      this.AT(AT_CMD.OPERATING_64_BIT_PAN_ID),
+      this.AT(AT_CMD.OPERATING_16_BIT_PAN_ID),
+      this.AT(AT_CMD.OPERATING_CHANNEL),
+      FUNC(this, this.networkRestored, [network]),
+    ];
+  }
+
   nextFrameId() {
     return xbeeApi._frame_builder.nextFrameId();
   }
 
   permitJoinCommands(duration) {
-    return this.AT(AT_CMD.NODE_JOIN_TIME, { networkJoinTime: duration }, PERMIT_JOIN_PRIORITY);
+    return this.AT(AT_CMD.NODE_JOIN_TIME, { nodeJoinTime: duration }, PERMIT_JOIN_PRIORITY);
   }
 }
 
@@ -495,6 +555,7 @@ XBeeDriver.atCommandMap = {
   [AT_CMD.API_MODE]: 'apiMode',
   [AT_CMD.CONFIGURED_64_BIT_PAN_ID]: 'configuredPanId64',
   [AT_CMD.DEVICE_TYPE_IDENTIFIER]: 'deviceTypeIdentifier',
+  [AT_CMD.INITIAL_16_BIT_PAN_ID]: 'initialPanId16',
   [AT_CMD.ENCRYPTION_ENABLED]: 'encryptionEnabled',
   [AT_CMD.ENCRYPTION_OPTIONS]: 'encryptionOptions',
   [AT_CMD.NETWORK_ADDR_16_BIT]: 'networkAddr16',
@@ -24,7 +24,8 @@ const { Command, FUNC, SEND_FRAME, WAIT_FRAME, ZigbeeDriver } = require('./index
 //   DEBUG_slip,
 // } = require('../zb-debug').default;
 
-const { PROFILE_ID } = require('../zb-constants');
+const { BROADCAST_ADDR, PROFILE_ID } = require('../zb-constants');
+const { channelMask, restoredFrameCounter } = require('../zb-backup');
 
 const cmdType = {
   POLL: 0,
@@ -44,9 +45,25 @@ const subSys = {
   UTIL: 7,
   DBG: 8,
   APP: 9,
-  DEBUG: 15,
+  DEBUG: 15, // APP_CNF on Z-Stack 3.x
 };
 
+// The product field from SYS_VERSION and SYS_RESET_IND
+const zstackProduct = {
+  ZSTACK_HOME_12: 0, // Z-Stack Home 1.2 (CC2530/CC2531)
+  ZSTACK_30X: 1, // Z-Stack 3.0.x (CC2530/CC2531)
+  ZSTACK_3X0: 2, // Z-Stack 3.x.0 (CC2652/CC1352)
+};
+
+// ZDO_STARTUP_FROM_APP status values
+const startupStatus = {
+  RESTORED_NETWORK_STATE: 0,
+  NEW_NETWORK_STATE: 1,
+  LEAVE_AND_NOT_STARTED: 2,
+};
+
+const BDB_COMMISSIONING_MODE_NWK_FORMATION = 0x04;
+
 const devStates = {
   DEV_HOLD: 0,
   DEV_INIT: 1,
@@ -67,6 +84,13 @@ const devStates = {
 };
 
 const nvItems = {
+  ZCD_NV_STARTUP_OPTION: 0x0003,
+  ZCD_NV_EXTENDED_PAN_ID: 0x002d,
+  ZCD_NV_NWK_ACTIVE_KEY_INFO: 0x003a,
+  ZCD_NV_APS_USE_EXT_PANID: 0x0047,
+  ZCD_NV_PRECFGKEY: 0x0062,
+  ZCD_NV_PRECFGKEYS_ENABLE: 0x0063,
+  ZCD_NV_NWK_SEC_MATERIAL_TABLE_START: 0x0075,
   ZCD_NV_USERDESC: 0x0081,
   ZCD_NV_NWKKEY: 0x0082,
   ZCD_NV_PANID: 0x0083,
@@ -76,6 +100,27 @@ const nvItems = {
   ZCD_NV_LOGICAL_TYPE: 0x0087,
 };
 
+// Bits for ZCD_NV_STARTUP_OPTION
+const ZCD_STARTUP_CLEAR_STATE = 0x02;
+
+// Z-Stack 3.x.0 moved some of the NV items into extended items, which
+// are accessed using SYS_NV_READ and SYS_NV_WRITE.
+const NV_SYSID_ZSTACK = 1;
+const exNvItems = {
+  ZCD_NV_EX_NWK_SEC_MATERIAL_TABLE: 0x0007,
+};
+
+// Z-Stack Home 1.2: ZCD_NV_NWKKEY contains the key sequence number
+// (1 byte), the key (16 bytes) and the NWK frame counter (4 bytes).
+const NWKKEY_ITEM_LENGTH = 21;
+
+// Z-Stack 3.x: ZCD_NV_NWK_ACTIVE_KEY_INFO contains the key sequence
+// number (1 byte) and the key (16 bytes). The NWK frame counter (4 bytes)
+// is kept in the security material table, followed by the extended PAN ID
+// (8 bytes) that it's used with.
+const NWK_ACTIVE_KEY_INFO_LENGTH = 17;
+const NWK_SEC_MATERIAL_LENGTH = 12;
+
 const BEACON_MAX_DEPTH = 0x0f;
 const DEF_RADIUS = 2 * BEACON_MAX_DEPTH;
 
@@ -92,6 +137,9 @@ class ZStackDriver extends ZigbeeDriver {
 
     this.idSeq = 0;
 
+    // Values read using readNVItem, keyed by the NV item id.
+    this.nvItemValues = {};
+
     this.serialPort = serialPort;
     this.unpi = new Unpi({ lenBytes: 1, phy: serialPort });
 
@@ -102,15 +150,38 @@ class ZStackDriver extends ZigbeeDriver {
 
   queueInitCmds() {
     this.queueCommands([
+      FUNC(this, this.getVersion),
       FUNC(this, this.resetZNP),
       FUNC(this, this.getExtAddr),
       FUNC(this, this.registerApp),
       FUNC(this, this.disableTCKeyExchange),
-      FUNC(this, this.startCoordinator),
+      FUNC(this, this.startNetwork),
+    ]);
+  }
+
+  // Z-Stack 3.x uses the Base Device Behavior (BDB) commissioning, and
+  // doesn't necessarily include the SAPI commands used by Z-Stack Home 1.2.
+  isZStack3() {
+    return typeof this.product === 'number' && this.product != zstackProduct.ZSTACK_HOME_12;
+  }
+
+  getVersion() {
+    const frame = {
+      type: cmdType.SREQ,
+      subsys: 'SYS',
+      cmd: 0x02, // SYS_VERSION
+    };
+    this.queueCommandsAtFront([
+      new Command(SEND_FRAME, frame),
+      new Command(WAIT_FRAME, { type: cmdType.SRSP, subsys: subSys.SYS, cmd: 0x02 }),
     ]);
   }
 
   resetZNP() {
+    if (this.isZStack3()) {
+      this.resetZNP3();
+      return;
+    }
     const frame = {
       type: cmdType.SREQ,
       subsys: 'SAPI',
@@ -127,6 +198,24 @@ class ZStackDriver extends ZigbeeDriver {
     ]);
   }
 
+  resetZNP3() {
+    const frame = {
+      type: cmdType.AREQ,
+      subsys: 'SYS',
+      cmd: 0x00, // SYS_RESET_REQ
+      payload: Buffer.from([0x01]), // soft reset
+    };
+    this.queueCommandsAtFront([
+      new Command(SEND_FRAME, frame),
+      new Command(WAIT_FRAME, {
+        type: cmdType.AREQ,
+        subsys: subSys.SYS,
+        cmd: 0x80,
+        waitRetryTimeout: 5000,
+      }), // SYS_RESET_IND
+    ]);
+  }
+
   registerApp() {
     const frame = {
       type: cmdType.SREQ,
@@ -215,6 +304,66 @@ class ZStackDriver extends ZigbeeDriver {
     ]);
   }
 
+  startNetwork() {
+    if (this.isZStack3()) {
+      this.startNetwork3();
+    } else {
+      this.startCoordinator();
+    }
+  }
+
+  // Z-Stack 3.x: Try to resume the network stored in NV. If there isn't
+  // one, then form a new network using BDB commissioning. Either way, the
+  // ZDO_STATE_CHANGE_IND for DEV_ZB_COORD finishes the initialization.
+  startNetwork3() {
+    const frame = {
+      type: cmdType.SREQ,
+      subsys: 'ZDO',
+      cmd: 0x40, // ZDO_STARTUP_FROM_APP
+      payload: Buffer.from([100, 0]), // startDelay (msec)
+    };
+    this.queueCommandsAtFront([
+      new Command(SEND_FRAME, frame),
+      new Command(WAIT_FRAME, { type: cmdType.SRSP, subsys: subSys.ZDO, cmd: 0x40 }),
+      FUNC(this, this.formNetworkIfRequired),
+    ]);
+  }
+
+  formNetworkIfRequired() {
+    if (this.startupStatus == startupStatus.RESTORED_NETWORK_STATE) {
+      console.log('ZStack restored network state');
+      return;
+    }
+    console.log('ZStack forming a new network');
+
+    // scanChannels uses the XBee format, where bit 0 is channel 11.
+    let channels = ((this.config.scanChannels || 0x7fff) << 11) >>> 0;
+    if (this.restoreNetwork) {
+      channels = channelMask(this.restoreNetwork.channel);
+    }
+    const channelPayload = Buffer.alloc(5);
+    channelPayload.writeUInt8(1, 0); // isPrimary
+    channelPayload.writeUInt32LE(channels, 1);
+    const channelFrame = {
+      type: cmdType.SREQ,
+      subsys: 'DEBUG',
+      cmd: 0x08, // APP_CNF_BDB_SET_CHANNEL
+      payload: channelPayload,
+    };
+    const commissionFrame = {
+      type: cmdType.SREQ,
+      subsys: 'DEBUG',
+      cmd: 0x05, // APP_CNF_BDB_START_COMMISSIONING
+      payload: Buffer.from([BDB_COMMISSIONING_MODE_NWK_FORMATION]),
+    };
+    this.queueCommandsAtFront([
+      new Command(SEND_FRAME, channelFrame),
+      new Command(WAIT_FRAME, { type: cmdType.SRSP, subsys: subSys.DEBUG, cmd: 0x08 }),
+      new Command(SEND_FRAME, commissionFrame),
+      new Command(WAIT_FRAME, { type: cmdType.SRSP, subsys: subSys.DEBUG, cmd: 0x05 }),
+    ]);
+  }
+
   allowBind() {
     const frame = {
       type: cmdType.SREQ,
@@ -255,6 +404,10 @@ class ZStackDriver extends ZigbeeDriver {
   }
 
   readNVItem(item) {
+    this.queueCommandsAtFront(this.readNVItemCommands(item));
+  }
+
+  readNVItemCommands(item) {
     const frame = {
       type: cmdType.SREQ,
       subsys: 'SYS',
@@ -262,20 +415,28 @@ class ZStackDriver extends ZigbeeDriver {
       payload: Buffer.from([0, 0, 0]),
     };
 
-    this.lastNVReadItem = item;
     frame.payload.writeUInt16LE(item, 0);
 
-    this.queueCommandsAtFront([
+    return [
+      FUNC(this, this.setLastNVReadItem, [item]),
       new Command(SEND_FRAME, frame),
-      new Command(WAIT_FRAME, { type: cmdType.SRSP, cmd: 0x08 }),
-    ]);
+      new Command(WAIT_FRAME, { type: cmdType.SRSP, subsys: subSys.SYS, cmd: 0x08 }),
+    ];
+  }
+
+  setLastNVReadItem(item) {
+    this.lastNVReadItem = item;
   }
 
   writeNVItem(item, data) {
+    this.queueCommandsAtFront(this.writeNVItemCommands(item, data));
+  }
+
+  writeNVItemCommands(item, data) {
     const frame = {
       type: cmdType.SREQ,
       subsys: 'SYS',
-      cmd: 0x09,
+      cmd: 0x09, // OSAL_NV_WRITE
     };
 
     const nvData = Buffer.alloc(4 + data.length);
@@ -287,12 +448,184 @@ class ZStackDriver extends ZigbeeDriver {
     builder.appendBuffer(Buffer.from(data));
     frame.payload = nvData.slice(0, builder.length);
 
-    this.queueCommandsAtFront([
+    return [
       new Command(SEND_FRAME, frame),
-      new Command(WAIT_FRAME, { type: cmdType.SRSP }),
+      new Command(WAIT_FRAME, { type: cmdType.SRSP, subsys: subSys.SYS, cmd: 0x09 }),
+    ];
+  }
+
+  // The security material table is an extended NV item on Z-Stack 3.x.0.
+  // Either way, the first entry winds up in nvItemValues under
+  // ZCD_NV_NWK_SEC_MATERIAL_TABLE_START.
+  readSecMaterialCommands() {
+    if (this.product != zstackProduct.ZSTACK_3X0) {
+      return this.readNVItemCommands(nvItems.ZCD_NV_NWK_SEC_MATERIAL_TABLE_START);
+    }
+    const frame = {
+      type: cmdType.SREQ,
+      subsys: 'SYS',
+      cmd: 0x33, // SYS_NV_READ
+      payload: Buffer.alloc(8),
+    };
+    frame.payload.writeUInt8(NV_SYSID_ZSTACK, 0);
+    frame.payload.writeUInt16LE(exNvItems.ZCD_NV_EX_NWK_SEC_MATERIAL_TABLE, 1);
+    frame.payload.writeUInt16LE(0, 3); // subId (table entry)
+    frame.payload.writeUInt16LE(0, 5); // offset
+    frame.payload.writeUInt8(NWK_SEC_MATERIAL_LENGTH, 7);
+
+    return [
+      FUNC(this, this.setLastNVReadItem, [nvItems.ZCD_NV_NWK_SEC_MATERIAL_TABLE_START]),
+      new Command(SEND_FRAME, frame),
+      new Command(WAIT_FRAME, { type: cmdType.SRSP, subsys: subSys.SYS, cmd: 0x33 }),
+    ];
+  }
+
+  writeSecMaterialCommands(data) {
+    if (this.product != zstackProduct.ZSTACK_3X0) {
+      return this.writeNVItemCommands(nvItems.ZCD_NV_NWK_SEC_MATERIAL_TABLE_START, data);
+    }
+    const header = Buffer.alloc(8);
+    header.writeUInt8(NV_SYSID_ZSTACK, 0);
+    header.writeUInt16LE(exNvItems.ZCD_NV_EX_NWK_SEC_MATERIAL_TABLE, 1);
+    header.writeUInt16LE(0, 3); // subId (table entry)
+    header.writeUInt16LE(0, 5); // offset
+    header.writeUInt8(data.length, 7);
+    const frame = {
+      type: cmdType.SREQ,
+      subsys: 'SYS',
+      cmd: 0x34, // SYS_NV_WRITE
+      payload: Buffer.concat([header, Buffer.from(data)]),
+    };
+
+    return [
+      new Command(SEND_FRAME, frame),
+      new Command(WAIT_FRAME, { type: cmdType.SRSP, subsys: subSys.SYS, cmd: 0x34 }),
+    ];
+  }
+
+  getNetworkParamsCommands(params) {
+    const nwkInfoFrame = {
+      type: cmdType.SREQ,
+      subsys: 'ZDO',
+      cmd: 0x50, // ZDO_EXT_NWK_INFO
+    };
+    let keyCommands;
+    if (this.isZStack3()) {
+      keyCommands = this.readNVItemCommands(nvItems.ZCD_NV_NWK_ACTIVE_KEY_INFO).concat(
+        this.readSecMaterialCommands()
+      );
+    } else {
+      keyCommands = this.readNVItemCommands(nvItems.ZCD_NV_NWKKEY);
+    }
+    return [
+      new Command(SEND_FRAME, nwkInfoFrame),
+      new Command(WAIT_FRAME, { type: cmdType.SRSP, subsys: subSys.ZDO, cmd: 0x50 }),
+      keyCommands,
+      FUNC(this, this.getNetworkParams, [params]),
+    ];
+  }
+
+  getNetworkParams(params) {
+    params.panId = this.PANID;
+    params.extendedPanId = this.ExtPANID;
+    params.channel = this.channel;
+    if (this.isZStack3()) {
+      const keyInfo = this.nvItemValues[nvItems.ZCD_NV_NWK_ACTIVE_KEY_INFO];
+      if (keyInfo && keyInfo.length >= NWK_ACTIVE_KEY_INFO_LENGTH) {
+        params.networkKeySequenceNumber = keyInfo[0];
+        params.networkKey = keyInfo.slice(1, 17);
+      }
+      const secMaterial = this.nvItemValues[nvItems.ZCD_NV_NWK_SEC_MATERIAL_TABLE_START];
+      if (secMaterial && secMaterial.length >= NWK_SEC_MATERIAL_LENGTH) {
+        params.frameCounter = secMaterial.readUInt32LE(0);
+      } else {
+        console.warn('ZStack: Unable to read the frame counter');
+      }
+    } else {
+      const nwkKey = this.nvItemValues[nvItems.ZCD_NV_NWKKEY];
+      if (nwkKey && nwkKey.length >= NWKKEY_ITEM_LENGTH) {
+        params.networkKeySequenceNumber = nwkKey[0];
+        params.networkKey = nwkKey.slice(1, 17);
+        params.frameCounter = nwkKey.readUInt32LE(17);
+      }
+    }
+    if (!params.networkKey) {
+      console.error('ZStack: Unable to read the network key');
+    }
+  }
+
+  // Restoring a network happens in two steps. We write the network
+  // parameters to NV and clear the network state, so that the coordinator
+  // forms a new network using the parameters when it restarts. Once the
+  // network is up, we write the NWK frame counter (forming a network
+  // resets it) and restart once more so that it gets used.
+  setNetworkParamsCommands(network) {
+    const panId = Buffer.alloc(2);
+    panId.writeUInt16LE(parseInt(network.panId, 16));
+    const extPanId = Buffer.from(network.extendedPanId, 'hex').reverse();
+    const channels = Buffer.alloc(4);
+    channels.writeUInt32LE(channelMask(network.channel));
+    return [
+      this.writeNVItemCommands(nvItems.ZCD_NV_LOGICAL_TYPE, [0x00]), // coordinator
+      this.writeNVItemCommands(nvItems.ZCD_NV_PANID, panId),
+      this.writeNVItemCommands(nvItems.ZCD_NV_EXTENDED_PAN_ID, extPanId),
+      this.writeNVItemCommands(nvItems.ZCD_NV_APS_USE_EXT_PANID, extPanId),
+      this.writeNVItemCommands(nvItems.ZCD_NV_CHANLIST, channels),
+      this.writeNVItemCommands(nvItems.ZCD_NV_PRECFGKEY, Buffer.from(network.networkKey, 'hex')),
+      this.writeNVItemCommands(nvItems.ZCD_NV_PRECFGKEYS_ENABLE, [0x01]),
+      this.writeNVItemCommands(nvItems.ZCD_NV_STARTUP_OPTION, [ZCD_STARTUP_CLEAR_STATE]),
+      FUNC(this, this.setRestoreNetwork, [network]),
+      FUNC(this, this.restartNetwork),
+    ];
+  }
+
+  setRestoreNetwork(network) {
+    this.restoreNetwork = network;
+    this.restoreFrameCounter = restoredFrameCounter(network);
+  }
+
+  // Resets the dongle and starts the network again. Resetting loses the
+  // registered endpoints, so we need to redo that as well.
+  restartNetwork() {
+    this.queueCommandsAtFront([
+      FUNC(this, this.resetZNP),
+      FUNC(this, this.registerApp),
+      FUNC(this, this.disableTCKeyExchange),
+      FUNC(this, this.startNetwork),
     ]);
   }
 
+  // Called when the coordinator has started while restoring a network.
+  networkRestarted() {
+    const network = this.restoreNetwork;
+    if (typeof this.restoreFrameCounter === 'number') {
+      console.log('ZStack restoring frame counter:', this.restoreFrameCounter);
+      const frameCounterCommands = this.writeFrameCounterCommands(
+        network,
+        this.restoreFrameCounter
+      );
+      this.restoreFrameCounter = null;
+      this.queueCommandsAtFront([frameCounterCommands, FUNC(this, this.restartNetwork)]);
+      return;
+    }
+    this.restoreNetwork = null;
+    console.log('ZStack network restored: PAN ID', network.panId, 'channel', network.channel);
+  }
+
+  writeFrameCounterCommands(network, frameCounter) {
+    if (this.isZStack3()) {
+      const secMaterial = Buffer.alloc(NWK_SEC_MATERIAL_LENGTH);
+      secMaterial.writeUInt32LE(frameCounter, 0);
+      Buffer.from(network.extendedPanId, 'hex').reverse().copy(secMaterial, 4);
+      return this.writeSecMaterialCommands(secMaterial);
+    }
+    const nwkKey = Buffer.alloc(NWKKEY_ITEM_LENGTH);
+    nwkKey.writeUInt8(network.networkKeySequenceNumber, 0);
+    Buffer.from(network.networkKey, 'hex').copy(nwkKey, 1);
+    nwkKey.writeUInt32LE(frameCounter, 17);
+    return this.writeNVItemCommands(nvItems.ZCD_NV_NWKKEY, nwkKey);
+  }
+
   buildAndSendRawFrame(frame) {
     // console.log('buildAndSendRawFrame: ');
     // console.log(frame);
@@ -361,6 +694,29 @@ class ZStackDriver extends ZigbeeDriver {
         }
 
         zsf.payload = zdoData.slice(0, builder.length);
+      } else if (this.isZclFrame(frame) && this.isGroupFrame(frame)) {
+        zsf.subsys = 'AF';
+        zsf.cmd = 0x02; // AF_DATA_REQUEST_EXT
+
+        const zclData = Buffer.alloc(256);
+        const builder = new BufferBuilder(zclData);
+
+        builder.appendUInt8(0x01); // addrMode: group
+        // The destination address is always 8 bytes, with the group id
+        // in the first 2 bytes.
+        builder.appendUInt16LE(frame.destinationGroup);
+        builder.appendUInt16LE(0);
+        builder.appendUInt32LE(0);
+        builder.appendUInt8(frame.destinationEndpoint);
+        builder.appendUInt16LE(0); // dstPanId: 0 = our own PAN
+        builder.appendUInt8(frame.sourceEndpoint);
+        builder.appendUInt16LE(parseInt(frame.clusterId, 16));
+        builder.appendUInt8(frame.id);
+        builder.appendUInt8(frame.options);
+        builder.appendUInt8(DEF_RADIUS);
+        builder.appendUInt16LE(frame.data.length);
+        builder.appendBuffer(frame.data);
+        zsf.payload = zclData.slice(0, builder.length);
       } else if (this.isZclFrame(frame)) {
         zsf.subsys = 'AF';
         zsf.cmd = 0x01; // AF_DATA_REQ
@@ -458,7 +814,11 @@ class ZStackDriver extends ZigbeeDriver {
           console.log('Zigbee coordinator started!');
           this.getNWKInfo();
           this.getNVInfo();
-          this.adapter.adapterInitialized();
+          if (this.restoreNetwork) {
+            this.networkRestarted();
+          } else {
+            this.adapter.adapterInitialized();
+          }
         } else if (
           frame.payload[0] == devStates.DEV_END_DEVICE ||
           frame.payload[0] == devStates.DEV_ROUTER
@@ -488,6 +848,11 @@ class ZStackDriver extends ZigbeeDriver {
       } else if (frame.cmd == 0xca) {
         // TC indication
         frame.drop = true;
+      } else if (frame.cmd == 0xcb) {
+        // ZDO_PERMIT_JOIN_IND - sent whenever the coordinator's permit
+        // join state changes, including when it times out.
+        this.adapter.updatePermitJoinState(frame.payload[0]);
+        frame.drop = true;
       } else if (frame.cmd == 0xff) {
         // zdoMsgCbIncomming
         frame.profileId = PROFILE_ID.ZDO;
@@ -551,6 +916,12 @@ class ZStackDriver extends ZigbeeDriver {
       } else {
         console.warn(`SYS AREQ, cmd ${frame.cmd} not handled!`);
       }
+    } else if (frame.subsys == subSys.DEBUG && frame.cmd == 0x80) {
+      // APP_CNF_BDB_COMMISSIONING_NOTIFICATION
+      const status = frame.payload[0];
+      const mode = frame.payload[1];
+      console.log(`ZStack BDB commissioning mode ${mode} status ${status}`);
+      frame.drop = true;
     } else {
       console.warn(`No parser for AREQ, subsystem ${frame.subsys}`);
     }
@@ -559,22 +930,42 @@ class ZStackDriver extends ZigbeeDriver {
   parseSRSP(frame) {
     // console.log('SRSP: ', frame);
     if (frame.subsys == subSys.SYS) {
-      if (frame.cmd == 0x04) {
+      if (frame.cmd == 0x02) {
+        // SYS_VERSION
+        this.transportRev = frame.payload[0];
+        this.product = frame.payload[1];
+        this.version = `${frame.payload[2].toString(16)}.${frame.payload[3].toString(
+          16
+        )}.${frame.payload[4].toString(16)}`;
+        if (frame.payload.length >= 9) {
+          this.revision = frame.payload.readUInt32LE(5);
+        }
+        console.log(
+          `ZStack dongle ${this.transportRev}, product: ${this.product}, version: ${this.version}`,
+          `revision: ${this.revision}`
+        );
+      } else if (frame.cmd == 0x04) {
         const br = new BufferReader(frame.payload);
 
         this.adapter.networkAddr64 = br.nextString(8, 'hex').swapHex();
         this.adapter.networkAddr16 = '0000';
+      } else if (frame.cmd == 0x08 || frame.cmd == 0x33) {
+        // OSAL_NV_READ or SYS_NV_READ
+        frame.status = frame.payload[0];
+        if (frame.status == 0x00) {
+          const len = frame.payload[1];
+          this.nvItemValues[this.lastNVReadItem] = frame.payload.slice(2, 2 + len);
+        } else {
+          console.log(`NV read of item ${this.lastNVReadItem} failed with status ${frame.status}!`);
+          this.nvItemValues[this.lastNVReadItem] = null;
+        }
+      } else if (frame.cmd == 0x09 || frame.cmd == 0x34) {
+        // OSAL_NV_WRITE or SYS_NV_WRITE
+        frame.status = frame.payload[0];
+        if (frame.status != 0x00) {
+          console.log(`NV write failed with status ${frame.status}!`);
+        }
       }
-      //   else if (frame.cmd == 0x08) { // OSAL_NV_READ
-      //     if (frame.payload[0] == 0x00) // success
-      //     {
-      //       if (this.lastNVReadItem == nvItems.ZCD_NV_PANID) {
-      //         const panID = frame.payload.readUInt16LE(2);
-      //         if (panID == 0xFFFF) {
-
-      //         }
-      //       }
-      //     }
     } else if (frame.subsys == subSys.ZDO) {
       if (frame.cmd == 0x50) {
         // NWK info rsp
@@ -590,6 +981,9 @@ class ZStackDriver extends ZigbeeDriver {
         console.log('PANID: ', this.PANID);
         console.log('Ext PANID: ', this.ExtPANID);
         console.log('Current channel: ', this.channel);
+      } else if (frame.cmd == 0x40) {
+        // ZDO_STARTUP_FROM_APP
+        this.startupStatus = frame.payload[0];
       } else {
         frame.status = frame.payload[0];
         if (frame.status == 0x00) {
@@ -610,6 +1004,22 @@ class ZStackDriver extends ZigbeeDriver {
       } else {
         console.log(`AF SRSP for cmd ${frame.cmd} status error ${frame.status}!`);
       }
+    } else if (frame.subsys == subSys.DEBUG) {
+      // APP_CNF
+      frame.status = frame.payload[0];
+      if (frame.status != 0x00) {
+        console.log(`APP_CNF SRSP for cmd ${frame.cmd} status error ${frame.status}!`);
+      }
+    } else if (frame.subsys == subSys.SAPI) {
+      frame.status = frame.payload.length > 0 ? frame.payload[0] : 0;
+      if (frame.cmd == 0x08) {
+        // ZB_PERMIT_JOINING_REQUEST
+        if (frame.status == 0x00) {
+          this.adapter.updatePermitJoinState(this.permitJoinDuration);
+        } else {
+          console.log(`Permit join request failed with status ${frame.status}!`);
+        }
+      }
     } else if (frame.subsys == subSys.UTIL) {
       if (frame.cmd == 0x01) {
         // get NV info
@@ -661,12 +1071,65 @@ class ZStackDriver extends ZigbeeDriver {
     return cmdType.SREQ;
   }
 
+  // The SRSP to an AF data request is reported using the ExplicitRx
+  // frame type (see parseSRSP).
+  getGroupFrameWaitFrame(frame) {
+    return {
+      type: this.getExplicitRxFrameType(),
+      id: frame.id,
+    };
+  }
+
   getTransmitStatusFrameType() {
     return cmdType.SRSP;
   }
 
-  permitJoinCommands(_duration) {
-    return [];
+  permitJoinCommands(duration) {
+    // ZDO_MGMT_PERMIT_JOIN_REQ broadcast to all of the routers (and the
+    // coordinator) so that devices can join anywhere in the mesh.
+    const zdoPayload = Buffer.alloc(5);
+    zdoPayload.writeUInt8(0x0f, 0); // addrMode: broadcast
+    zdoPayload.writeUInt16LE(parseInt(BROADCAST_ADDR.ROUTERS, 16), 1);
+    zdoPayload.writeUInt8(duration, 3);
+    zdoPayload.writeUInt8(0x00, 4); // tcSignificance
+    const zdoFrame = {
+      type: cmdType.SREQ,
+      subsys: 'ZDO',
+      cmd: 0x36, // ZDO_MGMT_PERMIT_JOIN_REQ
+      payload: zdoPayload,
+    };
+
+    // ZB_PERMIT_JOINING_REQUEST sets the permit join duration on the
+    // coordinator itself. Its SRSP tells us that the coordinator is
+    // open (or closed) for joining.
+    const sapiPayload = Buffer.alloc(3);
+    sapiPayload.writeUInt16LE(0x0000, 0); // destination: coordinator
+    sapiPayload.writeUInt8(duration, 2);
+    const sapiFrame = {
+      type: cmdType.SREQ,
+      subsys: 'SAPI',
+      cmd: 0x08, // ZB_PERMIT_JOINING_REQUEST
+      payload: sapiPayload,
+    };
+
+    const commands = [
+      new Command(SEND_FRAME, zdoFrame),
+      new Command(WAIT_FRAME, { type: cmdType.SRSP, subsys: subSys.ZDO, cmd: 0x36 }),
+    ];
+    if (this.isZStack3()) {
+      // Z-Stack 3.x reports the coordinator's state using
+      // ZDO_PERMIT_JOIN_IND, and may not include the SAPI commands.
+      return commands;
+    }
+    return commands.concat([
+      FUNC(this, this.setPermitJoinDuration, [duration]),
+      new Command(SEND_FRAME, sapiFrame),
+      new Command(WAIT_FRAME, { type: cmdType.SRSP, subsys: subSys.SAPI, cmd: 0x08 }),
+    ]);
+  }
+
+  setPermitJoinDuration(duration) {
+    this.permitJoinDuration = duration;
   }
 
   asDeviceInfo() {
@@ -175,11 +175,35 @@ const cc2531SerialProber = new SerialProber({
   ],
 });
 
+// CC2652/CC1352 based sticks running Z-Stack 3.x. These use the same
+// ZNP protocol as the CC2531, but are connected through a TI XDS110
+// debugger (LaunchPads) or a Silabs CP210x USB to serial converter.
+const cc26xxSerialProber = new SerialProber({
+  name: 'cc26xx',
+  baudRate: 115200,
+  allowAMASerial: false,
+  probeCmd: cc2531SerialProber.param.probeCmd,
+  probeRsp: cc2531SerialProber.param.probeRsp,
+  filter: [
+    {
+      // TI XDS110 (CC2652R/CC1352P LaunchPads)
+      vendorId: /0451/i,
+      productId: /bef3/i,
+    },
+    {
+      // Silabs CP210x (ex. Sonoff ZBDongle-P, slaesh's CC2652RB stick)
+      vendorId: /10c4/i,
+      productId: /ea60/i,
+    },
+  ],
+});
+
 const PROBERS = [
   xbeeSerialProber,
   conbeeSerialProber,
   cc2531SerialProber,
   conbeeNewerFirmwareSerialProber,
+  cc26xxSerialProber,
 ];
 
 // Scan the serial ports looking for an XBee adapter.
@@ -301,6 +325,7 @@ async function loadZigbeeAdapters(addonManager, _, errorCallback) {
           [xbeeSerialProber.param.name]: XBeeDriver,
           [conbeeSerialProber.param.name]: ConBeeDriver,
           [cc2531SerialProber.param.name]: ZStackDriver,
+          [cc26xxSerialProber.param.name]: ZStackDriver,
           [conbeeNewerFirmwareSerialProber.param.name]: ConBeeDriver,
         };
         for (const match of matches) {
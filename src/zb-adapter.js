@@ -14,18 +14,32 @@ const { PACKAGE_ID } = require('./constants');
 const mkdirp = require('mkdirp');
 const os = require('os');
 const path = require('path');
+const ZigbeeGroup = require('./zb-group');
 const ZigbeeNode = require('./zb-node');
+const { ZigbeeOtaImages } = require('./zb-ota');
+const { buildTopology, topologyToDot } = require('./zb-topology');
+const { makeNetworkBackup, parseNetworkBackup } = require('./zb-backup');
 const zdo = require('zigbee-zdo');
 const zclId = require('zcl-id');
 const registerFamilies = require('./zb-families').default;
+const { loadDefinitions } = require('./zb-families');
 
 const { Adapter, Utils } = require('gateway-addon');
-const { ATTR_ID, BROADCAST_ADDR, CLUSTER_ID, PROFILE_ID, STATUS } = require('./zb-constants');
+const {
+  ATTR_ID,
+  BROADCAST_ADDR,
+  CLUSTER_ID,
+  PROFILE_ID,
+  STATUS,
+  WINDOW_COVERING_TYPE,
+} = require('./zb-constants');
 
 const { DEBUG_flow, DEBUG_frames } = require('./zb-debug').default;
 
 const { Command, FUNC, RESOLVE_SET_PROPERTY, SEND_FRAME, WAIT_FRAME } = require('./driver/index');
 
+const DEFAULT_TOPOLOGY_REFRESH_INTERVAL = 60; // minutes
+
 // Function which will convert endianess of hex strings.
 // i.e. '12345678'.swapHex() returns '78563412'
 String.prototype.swapHex = function () {
@@ -88,6 +102,13 @@ class ZigbeeAdapter extends Adapter {
       }
     }
 
+    // OTA upgrade images which we offer to devices.
+    this.otaImages = new ZigbeeOtaImages(config.otaDirectory || path.join(this.configDir, 'ota'));
+    this.otaImages.load();
+
+    // Definitions for devices which need special handling.
+    loadDefinitions(config.definitionsDirectory || path.join(this.configDir, 'definitions'));
+
     // debugDiscoverAttributes causes us to ask for and print out the attributes
     // available for each cluster.
     this.debugDiscoverAttributes = false;
@@ -106,6 +127,15 @@ class ZigbeeAdapter extends Adapter {
     // is keyed by the 64-bit address.
     this.nodes = {};
 
+    // Zigbee groups, keyed by the 16-bit group id.
+    this.groups = {};
+
+    // How often (in minutes) to refresh the neighbor and routing tables
+    // used for the network topology map.
+    this.topologyRefreshInterval = config.hasOwnProperty('topologyRefreshInterval')
+      ? config.topologyRefreshInterval
+      : DEFAULT_TOPOLOGY_REFRESH_INTERVAL;
+
     this.nextStartIndex = -1;
 
     this.zdo = new zdo.ZdoApi(this.driver.nextFrameId, this.driver.getExplicitTxFrameType());
@@ -159,6 +189,7 @@ class ZigbeeAdapter extends Adapter {
     this.saveDeviceInfo();
     this.scanning = false;
     this.enumerateAllNodes(this.updateNetworkAddress);
+    this.scheduleTopologyRefresh();
   }
 
   updateComplete() {
@@ -322,6 +353,11 @@ class ZigbeeAdapter extends Adapter {
           }
           node.fromDeviceInfo(devInfoNode);
         }
+        for (const groupId in devInfo.groups) {
+          const devInfoGroup = devInfo.groups[groupId];
+          const group = this.createGroup(devInfoGroup.groupId, devInfoGroup.name);
+          group.fromDeviceInfo(devInfoGroup);
+        }
         DEBUG_flow && console.log('readDeviceInfo() done');
         resolve();
       });
@@ -352,6 +388,7 @@ class ZigbeeAdapter extends Adapter {
     const devInfo = {
       driver: this.driver.asDeviceInfo(),
       nodes: {},
+      groups: {},
     };
 
     for (const nodeId in this.nodes) {
@@ -361,6 +398,9 @@ class ZigbeeAdapter extends Adapter {
         devInfo.nodes[nodeId] = nodeInfo;
       }
     }
+    for (const groupId in this.groups) {
+      devInfo.groups[groupId] = this.groups[groupId].asDeviceInfo();
+    }
 
     const tmpFilename = `${this.deviceInfoFilename}.tmp`;
     fs.writeFileSync(tmpFilename, JSON.stringify(devInfo, null, '  '));
@@ -574,6 +614,11 @@ class ZigbeeAdapter extends Adapter {
             console.log('Processing END_DEVICE_ANNOUNCEMENT (after timeout)');
           }
           this.handleEndEndDeviceAnnouncementInternal(node);
+          if (node.classified) {
+            // Nodes with a family (like the Hue and TRADFRI ones) come
+            // through here too, and need rebinding just like the others.
+            node.rebindIfRequired();
+          }
         }, 500);
       }
     }
@@ -810,6 +855,11 @@ class ZigbeeAdapter extends Adapter {
       node.updateLastSeen();
     }
 
+    // Drop any entries left over from a previous (larger) neighbor table.
+    if (node.neighbors.length > frame.numEntries) {
+      node.neighbors.length = frame.numEntries;
+    }
+
     for (let i = 0; i < frame.numEntriesThisResponse; i++) {
       const neighborIndex = frame.startIndex + i;
       const neighbor = frame.neighbors[i];
@@ -871,6 +921,15 @@ class ZigbeeAdapter extends Adapter {
   }
 
   handleManagementRtgResponse(frame) {
+    const node = this.nodes[frame.remote64];
+    if (node && frame.status == STATUS.SUCCESS) {
+      if (!node.routes || node.routes.length > frame.numEntries) {
+        node.routes = node.routes ? node.routes.slice(0, frame.numEntries) : [];
+      }
+      for (let i = 0; i < frame.numEntriesThisResponse; i++) {
+        node.routes[frame.startIndex + i] = frame.routes[i];
+      }
+    }
     if (frame.startIndex + frame.numEntriesThisResponse < frame.numEntries) {
       this.nextStartIndex = frame.startIndex + frame.numEntriesThisResponse;
     } else {
@@ -878,6 +937,56 @@ class ZigbeeAdapter extends Adapter {
     }
   }
 
+  // ----- TOPOLOGY ----------------------------------------------------------
+
+  scheduleTopologyRefresh() {
+    if (this.topologyRefreshTimer || !(this.topologyRefreshInterval > 0)) {
+      return;
+    }
+    this.topologyRefreshTimer = setInterval(() => {
+      this.refreshTopology();
+    }, this.topologyRefreshInterval * 60 * 1000);
+  }
+
+  // Queries the neighbor and routing tables from the coordinator and all
+  // of the routers. Sleeping end devices don't have either table, so they
+  // only show up as neighbors of their parent. If exportWhenDone is true,
+  // the topology is exported once all of the responses have arrived.
+  refreshTopology(exportWhenDone) {
+    if (DEBUG_flow) {
+      console.log('refreshTopology');
+    }
+    let commands = [];
+    for (const addr64 in this.nodes) {
+      const node = this.nodes[addr64];
+      // deviceType 2 is an end device (deviceType is only known once the
+      // node has shown up in somebody's neighbor table).
+      if (node.isCoordinator || (node.rxOnWhenIdle && node.deviceType != 2)) {
+        commands = commands.concat(
+          this.getManagementLqiCommands(node),
+          this.getManagementRtgCommands(node)
+        );
+      }
+    }
+    if (exportWhenDone) {
+      commands.push(FUNC(this, this.exportTopology));
+    }
+    this.queueCommands(commands);
+  }
+
+  // Writes the topology out in both JSON and Graphviz DOT formats.
+  exportTopology() {
+    const topology = buildTopology(this.nodes);
+    const basename = path.join(this.configDir, `zb-${this.networkAddr64}-topology`);
+    fs.writeFileSync(`${basename}.json`, JSON.stringify(topology, null, '  '));
+    fs.writeFileSync(`${basename}.dot`, topologyToDot(topology));
+    console.log(
+      `Network topology (${topology.nodes.length} nodes, ${topology.links.length} links,`,
+      `${topology.routes.length} routes) written to ${basename}.json and ${basename}.dot`
+    );
+    return topology;
+  }
+
   // ----- GET NODE DESCRIPTOR -----------------------------------------------
 
   getNodeDescriptors() {
@@ -978,9 +1087,235 @@ class ZigbeeAdapter extends Adapter {
     this.populateNodeInfoEndpoints(node);
   }
 
+  // ----- BACKUP / RESTORE --------------------------------------------------
+
+  backupFilename(fileName) {
+    return path.resolve(this.configDir, fileName || `zb-${this.networkAddr64}-backup.json`);
+  }
+
+  // Reads the network parameters from the dongle and writes them, along
+  // with the nodes and groups that we know about, to a backup file. The
+  // file contains the network key, so only the owner can read it.
+  backupNetwork(fileName) {
+    const params = {};
+    this.queueCommands(
+      this.driver
+        .getNetworkParamsCommands(params)
+        .concat([FUNC(this, this.writeNetworkBackup, [params, this.backupFilename(fileName)])])
+    );
+  }
+
+  writeNetworkBackup(params, fileName) {
+    const backup = makeNetworkBackup(this, params);
+    if (!backup.network.networkKey) {
+      console.warn('The backup does not include the network key, so it cannot be restored');
+    }
+    const tmpFilename = `${fileName}.tmp`;
+    fs.writeFileSync(tmpFilename, JSON.stringify(backup, null, '  '), { mode: 0o600 });
+    fs.renameSync(tmpFilename, fileName);
+    console.log('Network backup written to', fileName);
+  }
+
+  // Configures the dongle to use the network from a backup file. The
+  // backup may have been made using a different dongle (or even a
+  // different type of dongle), so we also import the nodes and groups
+  // from the backup.
+  restoreNetwork(fileName) {
+    fileName = this.backupFilename(fileName);
+    let backup;
+    try {
+      backup = parseNetworkBackup(fs.readFileSync(fileName, 'utf8'));
+    } catch (err) {
+      console.error('Unable to restore the network from', fileName);
+      console.error(err);
+      return;
+    }
+    console.log('Restoring network from', fileName, 'created', backup.timestamp);
+
+    for (const addr64 in backup.nodes) {
+      if (addr64 == this.networkAddr64 || this.nodes[addr64]) {
+        continue;
+      }
+      const devInfoNode = backup.nodes[addr64];
+      const node = new ZigbeeNode(this, addr64, devInfoNode.addr16);
+      this.nodes[addr64] = node;
+      node.fromDeviceInfo(devInfoNode);
+      // The node's bindings and report configurations still point at the
+      // coordinator that the backup was made from.
+      node.rebindRequired = true;
+    }
+    for (const groupId in backup.groups) {
+      if (!this.groups[groupId]) {
+        const devInfoGroup = backup.groups[groupId];
+        const group = this.createGroup(devInfoGroup.groupId, devInfoGroup.name);
+        group.fromDeviceInfo(devInfoGroup);
+      }
+    }
+    this.saveDeviceInfo();
+
+    // Once the network is back up, go and find the imported nodes.
+    this.queueCommands(
+      this.driver.setNetworkParamsCommands(backup.network).concat([FUNC(this, this.startScan)])
+    );
+  }
+
+  // ----- GROUPS ------------------------------------------------------------
+
+  createGroup(groupId, name) {
+    let group = this.groups[groupId];
+    if (group) {
+      return group;
+    }
+    console.log('Creating group', Utils.hexStr(groupId, 4), name || '');
+    group = new ZigbeeGroup(this, groupId, name);
+    this.groups[groupId] = group;
+    super.handleDeviceAdded(group);
+    group.added = true;
+    this.saveDeviceInfoDeferred();
+    return group;
+  }
+
+  deleteGroup(groupId) {
+    const group = this.groups[groupId];
+    if (!group) {
+      console.error('deleteGroup: Unknown group:', groupId);
+      return;
+    }
+    console.log('Deleting group', Utils.hexStr(groupId, 4), group.name);
+    for (const member of group.members) {
+      const node = this.nodes[member.addr64];
+      if (node) {
+        this.removeGroup(node, groupId, member.endpoint);
+      }
+    }
+    delete this.groups[groupId];
+    group.added = false;
+    this.handleDeviceRemoved(group);
+    this.saveDeviceInfoDeferred();
+  }
+
+  // Returns the endpoint to use for sending genGroups commands to the
+  // node. If endpoint is specified, it's verified to support genGroups,
+  // otherwise the first endpoint which supports genGroups is used.
+  findGroupsEndpoint(node, endpoint) {
+    const endpoints = node.findZhaEndpointsWithInputClusterIdHex(CLUSTER_ID.GENGROUPS_HEX);
+    if (typeof endpoint === 'undefined') {
+      endpoint = endpoints[0];
+    } else {
+      endpoint = parseInt(endpoint);
+    }
+    if (!endpoints.includes(endpoint)) {
+      console.error('Node', node.addr64, 'has no genGroups cluster on endpoint', endpoint);
+      return;
+    }
+    return endpoint;
+  }
+
+  sendGroupsCommand(node, endpoint, cmd, payload) {
+    const frame = node.makeZclFrame(endpoint, PROFILE_ID.ZHA, CLUSTER_ID.GENGROUPS, {
+      frameCntl: { frameType: 1 },
+      cmd: cmd,
+      payload: payload,
+    });
+    node.sendFrames([frame]);
+  }
+
+  // Asks the node to add itself to the group. A group Thing is created
+  // for groupId (if it doesn't already exist) and the node is recorded as
+  // a member once the node responds.
+  addGroup(node, groupId, groupName, endpoint) {
+    endpoint = this.findGroupsEndpoint(node, endpoint);
+    if (typeof endpoint === 'undefined') {
+      return;
+    }
+    const group = this.createGroup(groupId, groupName);
+    this.sendGroupsCommand(node, endpoint, 'add', [groupId, group.name]);
+  }
+
+  removeGroup(node, groupId, endpoint) {
+    endpoint = this.findGroupsEndpoint(node, endpoint);
+    if (typeof endpoint === 'undefined') {
+      return;
+    }
+    this.sendGroupsCommand(node, endpoint, 'remove', [groupId]);
+  }
+
+  getGroupMembership(node, endpoint) {
+    endpoint = this.findGroupsEndpoint(node, endpoint);
+    if (typeof endpoint === 'undefined') {
+      return;
+    }
+    // An empty group list asks for all of the groups the node belongs to.
+    this.sendGroupsCommand(node, endpoint, 'getMembership', [0, []]);
+  }
+
+  handleGroupsResponse(node, frame) {
+    const endpoint = parseInt(frame.sourceEndpoint, 16);
+    const payload = frame.zcl.payload;
+    let changed = false;
+    switch (frame.zcl.cmdId) {
+      case 'addRsp': {
+        if (payload.status != STATUS.SUCCESS && payload.status != STATUS.DUPLICATE_EXISTS) {
+          console.error(
+            'Node',
+            node.addr64,
+            'failed to add group',
+            Utils.hexStr(payload.groupid, 4),
+            'status:',
+            this.frameStatus(payload).key
+          );
+          break;
+        }
+        const group = this.createGroup(payload.groupid);
+        changed = group.addMember(node.addr64, endpoint);
+        break;
+      }
+
+      case 'removeRsp': {
+        const group = this.groups[payload.groupid];
+        if (group && (payload.status == STATUS.SUCCESS || payload.status == STATUS.NOT_FOUND)) {
+          changed = group.removeMember(node.addr64, endpoint);
+        }
+        break;
+      }
+
+      case 'getMembershipRsp': {
+        const groupList = payload.grouplist || [];
+        console.log(
+          'Node',
+          node.addr64,
+          'endpoint',
+          endpoint,
+          'is a member of groups:',
+          groupList.map((groupId) => Utils.hexStr(groupId, 4)).join(' ') || 'none',
+          'capacity:',
+          payload.capacity
+        );
+        // Make our idea of the group membership match the node's.
+        for (const groupId of groupList) {
+          const group = this.createGroup(groupId);
+          changed = group.addMember(node.addr64, endpoint) || changed;
+        }
+        for (const groupId in this.groups) {
+          if (!groupList.includes(parseInt(groupId))) {
+            changed = this.groups[groupId].removeMember(node.addr64, endpoint) || changed;
+          }
+        }
+        break;
+      }
+    }
+    if (changed) {
+      this.saveDeviceInfoDeferred();
+    }
+  }
+
   // ----- MANAGEMENT LEAVE --------------------------------------------------
 
   removeThing(node) {
+    if (node instanceof ZigbeeGroup) {
+      this.deleteGroup(node.groupId);
+      return;
+    }
     if (DEBUG_flow) {
       console.log(`removeThing(${node.addr64})`);
     }
@@ -999,6 +1334,19 @@ class ZigbeeAdapter extends Adapter {
   }
 
   unload() {
+    if (this.topologyRefreshTimer) {
+      clearInterval(this.topologyRefreshTimer);
+      this.topologyRefreshTimer = null;
+    }
+    for (const node of Object.values(this.nodes)) {
+      node.cancelOtaImagePage();
+    }
+    if (this.saveDeviceInfoTimeout) {
+      // Write out the pending changes now, rather than losing them.
+      clearTimeout(this.saveDeviceInfoTimeout);
+      this.saveDeviceInfoTimeout = null;
+      this.saveDeviceInfo();
+    }
     this.driver.close();
     return super.unload();
   }
@@ -1023,6 +1371,7 @@ class ZigbeeAdapter extends Adapter {
     ]);
 
     node.added = false;
+    node.cancelOtaImagePage();
     this.handleDeviceRemoved(node);
     this.saveDeviceInfoDeferred();
     if (DEBUG_flow) {
@@ -1113,6 +1462,28 @@ class ZigbeeAdapter extends Adapter {
     // Nothing to do.
   }
 
+  // Called by drivers which are able to report when the coordinator
+  // itself is open (seconds > 0) or closed for joining.
+  updatePermitJoinState(seconds) {
+    const permitJoinOpen = seconds > 0;
+    if (permitJoinOpen === this.permitJoinOpen) {
+      return;
+    }
+    this.permitJoinOpen = permitJoinOpen;
+    if (permitJoinOpen) {
+      console.log(`Coordinator is open for joining for ${seconds} seconds`);
+    } else {
+      console.log('Coordinator is closed for joining');
+    }
+    if (this.isPairing) {
+      this.sendPairingPrompt(
+        permitJoinOpen
+          ? 'Zigbee network is open for new devices to join'
+          : 'Zigbee network is closed for joining'
+      );
+    }
+  }
+
   handleManagementNetUpdate(_frame) {
     // Nothing to do.
   }
@@ -1447,7 +1818,11 @@ class ZigbeeAdapter extends Adapter {
           endpointNum,
           PROFILE_ID.ZHA, // IKEA bulbs require PROFILE_ID.ZHA
           CLUSTER_ID.GENBASIC,
-          [ATTR_ID.GENBASIC.MODELID, ATTR_ID.GENBASIC.POWERSOURCE]
+          [
+            ATTR_ID.GENBASIC.MANUFACTURERNAME,
+            ATTR_ID.GENBASIC.MODELID,
+            ATTR_ID.GENBASIC.POWERSOURCE,
+          ]
         );
         this.sendFrameWaitFrameAtFront(readFrame, {
           type: this.driver.getExplicitRxFrameType(),
@@ -1530,6 +1905,35 @@ class ZigbeeAdapter extends Adapter {
       return;
     }
 
+    if (endpointNum == node.windowCoveringEndpoint) {
+      if (node.hasOwnProperty('windowCoveringType')) {
+        this.setClassifierAttributesPopulated(node, endpointNum);
+      } else {
+        // The windowCoveringType tells us whether the covering supports
+        // lift, tilt, or both.
+        const readFrame = node.makeReadAttributeFrame(
+          node.windowCoveringEndpoint,
+          PROFILE_ID.ZHA,
+          CLUSTER_ID.CLOSURESWINDOWCOVERING,
+          [ATTR_ID.CLOSURESWINDOWCOVERING.WINDOWCOVERINGTYPE]
+        );
+        this.sendFrameWaitFrameAtFront(readFrame, {
+          type: this.driver.getExplicitRxFrameType(),
+          zclCmdId: 'readRsp',
+          zclSeqNum: readFrame.zcl.seqNum,
+          callback: (frame) => {
+            node.handleGenericZclReadRsp(frame);
+            if (!node.hasOwnProperty('windowCoveringType')) {
+              // Unsupported attribute - assume a lift-only covering.
+              node.windowCoveringType = WINDOW_COVERING_TYPE.ROLLERSHADE;
+            }
+            this.setClassifierAttributesPopulated(node, node.windowCoveringEndpoint);
+          },
+        });
+      }
+      return;
+    }
+
     // Since we got to here, this endpoint doesn't need any classifier
     // attributes
     this.setClassifierAttributesPopulated(node, endpointNum);
@@ -1633,6 +2037,9 @@ class ZigbeeAdapter extends Adapter {
       CLUSTER_ID.LIGHTINGCOLORCTRL_HEX
     );
     node.ssIasZoneEndpoint = node.findZhaEndpointWithInputClusterIdHex(CLUSTER_ID.SSIASZONE_HEX);
+    node.windowCoveringEndpoint = node.findZhaEndpointWithInputClusterIdHex(
+      CLUSTER_ID.CLOSURESWINDOWCOVERING_HEX
+    );
 
     // Since we got here, all of the simple descriptors have been populated.
     // Check to see that we have all of the classifier attributes
@@ -1666,6 +2073,13 @@ class ZigbeeAdapter extends Adapter {
     this.driver.sendFrameNow(frame);
   }
 
+  // Queues a frame which doesn't have a response we need to wait for
+  // (like the genOta responses). Going through the command queue keeps it
+  // ordered with respect to the other frames being sent.
+  queueFrameNoWait(frame) {
+    this.driver.queueCommandsAtFront([new Command(SEND_FRAME, frame)]);
+  }
+
   sendFrames(frames) {
     const commands = [];
     for (const frame of frames) {
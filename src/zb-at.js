@@ -46,12 +46,18 @@ ac[ac.ENCRYPTION_OPTIONS] = 'Encryption Options (EO)';
 ac.CONFIGURED_64_BIT_PAN_ID = 'ID';
 ac[ac.CONFIGURED_64_BIT_PAN_ID] = 'Configured 64-bit PAN ID (ID)';
 
+ac.INITIAL_16_BIT_PAN_ID = 'II';
+ac[ac.INITIAL_16_BIT_PAN_ID] = 'Initial 16-bit PAN ID (II)';
+
 ac.LINK_KEY = 'KY';
 ac[ac.LINK_KEY] = 'Link Key (KY)';
 
 ac.NETWORK_ADDR_16_BIT = 'MY';
 ac[ac.NETWORK_ADDR_16_BIT] = '16-bit Network Address (MY)';
 
+ac.NETWORK_KEY = 'NK';
+ac[ac.NETWORK_KEY] = 'Network Key (NK)';
+
 ac.NUM_REMAINING_CHILDREN = 'NC';
 ac[ac.NUM_REMAINING_CHILDREN] = 'Num Remaining Children (NC)';
 
@@ -151,6 +157,10 @@ atBuilder[ac.ENCRYPTION_OPTIONS] = function (frame, builder) {
   builder.appendUInt8(frame.encryptionOptions);
 };
 
+atBuilder[ac.INITIAL_16_BIT_PAN_ID] = function (frame, builder) {
+  builder.appendString(frame.initialPanId16, 'hex');
+};
+
 atBuilder[ac.LINK_KEY] = function (frame, builder) {
   let data;
   if (Array.isArray(frame.linkKey) || Buffer.isBuffer(frame.linkKey)) {
@@ -161,6 +171,11 @@ atBuilder[ac.LINK_KEY] = function (frame, builder) {
   builder.appendBuffer(data);
 };
 
+// The network key is write only, so there is no parser for it.
+atBuilder[ac.NETWORK_KEY] = function (frame, builder) {
+  builder.appendString(frame.networkKey, 'hex');
+};
+
 atBuilder[ac.NODE_IDENTIFIER] = function (builder, data) {
   assert(typeof data === 'string', 'data must be a string');
 
@@ -218,6 +233,10 @@ atParser[ac.ENCRYPTION_OPTIONS] = function (frame, reader) {
   frame.encryptionOptions = reader.nextUInt8();
 };
 
+atParser[ac.INITIAL_16_BIT_PAN_ID] = function (frame, reader) {
+  frame.initialPanId16 = reader.nextString(2, 'hex');
+};
+
 atParser[ac.NETWORK_ADDR_16_BIT] = function (frame, reader) {
   frame.networkAddr16 = reader.nextString(2, 'hex');
 };
@@ -0,0 +1,186 @@
+/**
+ *
+ * zb-backup - Driver independent backup of the coordinator's network
+ *             parameters, which allows a network to be moved to a new
+ *             dongle (even one from a different vendor) without having
+ *             to re-pair all of the devices.
+ *
+ * A backup file looks like this:
+ *
+ *   {
+ *     "version": 1,
+ *     "timestamp": "2020-01-01T00:00:00.000Z",
+ *     "coordinator": { "addr64": "00124b0012345678", "driver": "ZStackDriver" },
+ *     "network": {
+ *       "panId": "1a62",
+ *       "extendedPanId": "dddddddddddddddd",
+ *       "channel": 15,
+ *       "networkKey": "01030507090b0d0f00020406080a0c0d",
+ *       "networkKeySequenceNumber": 0,
+ *       "frameCounter": 12345
+ *     },
+ *     "nodes": { ... },
+ *     "groups": { ... }
+ *   }
+ *
+ * All of the addresses and keys are stored as lowercase hex strings. The
+ * PAN ids use the same byte order that they're displayed in, and the
+ * network key uses the byte order that it's transmitted in. nodes and
+ * groups use the same format as the zb-XXX.json device info file.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const BACKUP_VERSION = 1;
+
+// Devices drop frames whose frame counter isn't larger than the last one
+// they saw from us, and the old coordinator may have kept sending after
+// the backup was made. So we skip ahead when restoring the counter.
+const FRAME_COUNTER_JUMP = 10000;
+
+const MIN_CHANNEL = 11;
+const MAX_CHANNEL = 26;
+
+/**
+ * @function toHex
+ *
+ * Converts a number, Buffer, byte array, or hex string (with or without
+ * a leading 0x) into a lowercase hex string containing numBytes bytes.
+ * Returns undefined if value can't be converted.
+ */
+function toHex(value, numBytes) {
+  let str;
+  if (typeof value === 'number') {
+    str = value.toString(16);
+  } else if (Buffer.isBuffer(value) || Array.isArray(value)) {
+    str = Buffer.from(value).toString('hex');
+  } else if (typeof value === 'string') {
+    str = value.replace(/^0x/i, '');
+  } else {
+    return;
+  }
+  str = str.toLowerCase().padStart(numBytes * 2, '0');
+  if (str.length != numBytes * 2 || !/^[0-9a-f]*$/.test(str)) {
+    return;
+  }
+  return str;
+}
+
+/**
+ * @function makeNetworkBackup
+ *
+ * Creates a backup from the network parameters read from the dongle by
+ * the driver's getNetworkParamsCommands, along with the nodes and groups
+ * which the adapter knows about.
+ */
+function makeNetworkBackup(adapter, params) {
+  const backup = {
+    version: BACKUP_VERSION,
+    timestamp: new Date().toISOString(),
+    coordinator: {
+      addr64: adapter.networkAddr64,
+      driver: adapter.driver.constructor.name,
+    },
+    network: {
+      panId: toHex(params.panId, 2),
+      extendedPanId: toHex(params.extendedPanId, 8),
+      channel: params.channel,
+      networkKey: toHex(params.networkKey, 16),
+      networkKeySequenceNumber: params.networkKeySequenceNumber || 0,
+      frameCounter: params.frameCounter,
+    },
+    nodes: {},
+    groups: {},
+  };
+  for (const addr64 in adapter.nodes) {
+    const node = adapter.nodes[addr64];
+    if (!node.isCoordinator) {
+      backup.nodes[addr64] = node.asDeviceInfo();
+    }
+  }
+  for (const groupId in adapter.groups) {
+    backup.groups[groupId] = adapter.groups[groupId].asDeviceInfo();
+  }
+  return backup;
+}
+
+/**
+ * @function parseNetworkBackup
+ *
+ * Parses and validates the contents of a backup file. Throws an Error
+ * describing the problem if the backup can't be restored.
+ */
+function parseNetworkBackup(data) {
+  const backup = JSON.parse(data);
+  if (backup.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${backup.version}`);
+  }
+  const network = backup.network || {};
+  const fields = {
+    panId: 2,
+    extendedPanId: 8,
+    networkKey: 16,
+  };
+  for (const field in fields) {
+    const value = toHex(network[field], fields[field]);
+    if (!value) {
+      throw new Error(`Backup has a missing or invalid ${field}: ${network[field]}`);
+    }
+    network[field] = value;
+  }
+  if (network.panId == 'ffff') {
+    throw new Error('Backup has an invalid panId: ffff');
+  }
+  if (
+    !Number.isInteger(network.channel) ||
+    network.channel < MIN_CHANNEL ||
+    network.channel > MAX_CHANNEL
+  ) {
+    throw new Error(`Backup has an invalid channel: ${network.channel}`);
+  }
+  if (!Number.isInteger(network.networkKeySequenceNumber)) {
+    network.networkKeySequenceNumber = 0;
+  }
+  if (!Number.isInteger(network.frameCounter)) {
+    delete network.frameCounter;
+  }
+  backup.network = network;
+  backup.nodes = backup.nodes || {};
+  backup.groups = backup.groups || {};
+  return backup;
+}
+
+/**
+ * @function restoredFrameCounter
+ *
+ * Returns the frame counter which should be written to the new dongle,
+ * or undefined if the backup doesn't include a frame counter.
+ */
+function restoredFrameCounter(network) {
+  if (typeof network.frameCounter !== 'number') {
+    return;
+  }
+  return Math.min(network.frameCounter + FRAME_COUNTER_JUMP, 0xffffffff);
+}
+
+/**
+ * @function channelMask
+ *
+ * Returns the 32-bit channel mask (bit N set for channel N) containing
+ * just the given channel.
+ */
+function channelMask(channel) {
+  return (1 << channel) >>> 0;
+}
+
+module.exports = {
+  channelMask,
+  makeNetworkBackup,
+  parseNetworkBackup,
+  restoredFrameCounter,
+  toHex,
+};
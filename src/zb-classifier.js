@@ -9,13 +9,24 @@
 
 'use strict';
 
+const zclId = require('zcl-id');
+
 const {
   CLUSTER_ID,
   COLOR_CAPABILITY,
+  DOORLOCK_DAYS,
   DOORLOCK_EVENT_CODES,
+  DOORLOCK_OPERATING_MODE,
+  DOORLOCK_SOUND_VOLUME,
+  DOORLOCK_USER_STATUS,
+  DOORLOCK_USER_TYPE,
   HVAC_FAN_SEQ,
+  IAS_WD_LEVEL,
+  IAS_WD_SQUAWK_MODE,
+  IAS_WD_WARNING_MODE,
   PROFILE_ID,
   THERMOSTAT_SYSTEM_MODE,
+  WINDOW_COVERING_TYPE,
   ZHA_DEVICE_ID,
   ZLL_DEVICE_ID,
   ZONE_STATUS,
@@ -30,6 +41,7 @@ const DEBUG = DEBUG_classifier;
 
 const ZONE_TYPE_MOTION = 0x000d;
 const ZONE_TYPE_SWITCH = 0x0015;
+const ZONE_TYPE_WARNING_DEVICE = 0x0225;
 
 // From the ZigBee Cluster Library Specification, document 07-5123-06,
 // Revision 6, Draft Version 1.0.
@@ -233,12 +245,30 @@ const CONFIG_REPORT_TEMPERATURE = {
   repChange: 50, // 0.5 C
 };
 
+const CONFIG_REPORT_HUMIDITY = {
+  minRepInterval: 1 * 60, // 1 minute
+  maxRepInterval: 10 * 60, // 10 minutes
+  repChange: 100, // 1 %
+};
+
+const CONFIG_REPORT_PRESSURE = {
+  minRepInterval: 1 * 60, // 1 minute
+  maxRepInterval: 10 * 60, // 10 minutes
+  repChange: 1, // 1 hPa
+};
+
 const CONFIG_REPORT_MODE = {
   minRepInterval: 1, // 1 second
   maxRepInterval: 10 * 60, // 10 minutes
   repChange: 1, // any change in value
 };
 
+const CONFIG_REPORT_POSITION = {
+  minRepInterval: 1, // 1 second
+  maxRepInterval: 10 * 60, // 10 minutes
+  repChange: 1, // 1 percent
+};
+
 class ZigbeeClassifier {
   constructor() {
     this.frames = [];
@@ -437,6 +467,35 @@ class ZigbeeClassifier {
     }
   }
 
+  addHumidityProperty(node, msRelativeHumidityEndpoint) {
+    this.addProperty(
+      node, // device
+      'humidity', // name
+      {
+        // property description
+        '@type': 'HumidityProperty',
+        label: 'Humidity',
+        type: 'number',
+        unit: 'percent',
+        minimum: 0,
+        maximum: 100,
+        description: 'Relative Humidity',
+        readOnly: true,
+      },
+      PROFILE_ID.ZHA, // profileId
+      msRelativeHumidityEndpoint, // endpoint
+      CLUSTER_ID.RELATIVE_HUMIDITY, // clusterId
+      'measuredValue', // attr
+      '', // setAttrFromValue
+      'parseRelativeHumidityAttr', // parseValueFromAttr
+      CONFIG_REPORT_HUMIDITY
+    );
+
+    if (!node['@type'].includes('HumiditySensor')) {
+      node['@type'].push('HumiditySensor');
+    }
+  }
+
   addLevelProperty(node, genLevelCtrlEndpoint) {
     const endpoint = node.activeEndpoints[genLevelCtrlEndpoint];
     this.addProperty(
@@ -704,12 +763,476 @@ class ZigbeeClassifier {
         description: 'Unlock the deadbolt',
       },
     });
+    this.addDoorLockUserActions(node, doorLockEndpoint);
+    this.addDoorLockSettings(node, doorLockEndpoint);
+    this.addDoorLockScheduleActions(node);
 
     // Set the checkin interval for door locks to be faster since we
     // may need to talk to them.
     node.slowCheckinInterval = 1 * 60 * 4; // 1 minute (quarterseconds)
   }
 
+  addWarningDeviceProperties(node, ssIasWdEndpoint) {
+    node.ssIasWdEndpoint = ssIasWdEndpoint;
+    if (!node['@type'].includes('Alarm')) {
+      node['@type'].push('Alarm');
+    }
+
+    // Updated by the node when it starts or stops a warning.
+    this.addProperty(
+      node, // device
+      'alarm', // name
+      {
+        // property description
+        '@type': 'AlarmProperty',
+        label: 'Alarm',
+        type: 'boolean',
+        readOnly: true,
+      },
+      0, // profileId
+      0, // endpoint
+      0, // clusterId
+      '', // attr
+      '', // setAttrFromValue
+      '', // parseValueFromAttr
+      null, // configReport
+      false // defaultValue
+    );
+
+    this.addProperty(
+      node, // device
+      'maxDuration', // name
+      {
+        // property description
+        label: 'Maximum Duration',
+        description: 'Longest time the warning sounds for',
+        type: 'integer',
+        unit: 'second',
+        minimum: 0,
+        maximum: 0xfffe,
+      },
+      PROFILE_ID.ZHA, // profileId
+      ssIasWdEndpoint, // endpoint
+      CLUSTER_ID.SSIASWD, // clusterId
+      'maxDuration', // attr
+      'setWriteNumericValue', // setAttrFromValue
+      'parseNumericAttr' // parseValueFromAttr
+    );
+
+    const level = {
+      type: 'string',
+      enum: IAS_WD_LEVEL,
+    };
+    this.addActions(node, {
+      startWarning: {
+        title: 'Start Warning',
+        description: 'Sound the siren',
+        input: {
+          type: 'object',
+          properties: {
+            mode: {
+              type: 'string',
+              enum: IAS_WD_WARNING_MODE.filter((mode) => mode != 'stop'),
+            },
+            strobe: {
+              type: 'boolean',
+            },
+            level: level,
+            duration: {
+              type: 'integer',
+              unit: 'second',
+              minimum: 0,
+              maximum: 0xfffe,
+            },
+          },
+        },
+      },
+      stopWarning: {
+        title: 'Stop Warning',
+        description: 'Silence the siren',
+      },
+      squawk: {
+        title: 'Squawk',
+        description: 'Confirm that the system has been armed or disarmed',
+        input: {
+          type: 'object',
+          properties: {
+            mode: {
+              type: 'string',
+              enum: IAS_WD_SQUAWK_MODE,
+            },
+            strobe: {
+              type: 'boolean',
+            },
+            level: level,
+          },
+        },
+      },
+    });
+  }
+
+  addDoorLockUserActions(node, doorLockEndpoint) {
+    node.doorLockEndpoint = doorLockEndpoint;
+
+    this.addProperty(
+      node, // device
+      'supportedUsers', // name
+      {
+        // property description
+        label: 'Supported Users',
+        type: 'integer',
+        readOnly: true,
+      },
+      PROFILE_ID.ZHA, // profileId
+      doorLockEndpoint, // endpoint
+      CLUSTER_ID.DOORLOCK, // clusterId
+      'numOfTotalUsersSupported', // attr
+      '', // setAttrFromValue
+      'parseNumericAttr' // parseValueFromAttr
+    );
+
+    const userId = {
+      type: 'integer',
+      minimum: 0,
+      maximum: 0xfffe,
+    };
+    const status = {
+      type: 'string',
+      enum: Object.keys(DOORLOCK_USER_STATUS),
+    };
+    const type = {
+      type: 'string',
+      enum: DOORLOCK_USER_TYPE,
+    };
+    const label = {
+      type: 'string',
+    };
+    const userInput = {
+      type: 'object',
+      required: ['userId'],
+      properties: {
+        userId: userId,
+      },
+    };
+    const codeInput = (codeName) => {
+      return {
+        type: 'object',
+        required: ['userId', codeName],
+        properties: {
+          userId: userId,
+          [codeName]: { type: 'string' },
+          status: status,
+          type: type,
+          label: label,
+        },
+      };
+    };
+    this.addActions(node, {
+      setPinCode: {
+        title: 'Set PIN Code',
+        description: 'Set the PIN code of a user',
+        input: codeInput('pinCode'),
+      },
+      getPinCode: {
+        title: 'Get PIN Code Status',
+        description: 'Check whether a user has a PIN code (sent as a pinCode event)',
+        input: userInput,
+      },
+      clearPinCode: {
+        title: 'Clear PIN Code',
+        description: 'Remove the PIN code of a user',
+        input: userInput,
+      },
+      setRfidCode: {
+        title: 'Set RFID Code',
+        description: 'Set the RFID code of a user',
+        input: codeInput('rfidCode'),
+      },
+      getRfidCode: {
+        title: 'Get RFID Code Status',
+        description: 'Check whether a user has an RFID code (sent as an rfidCode event)',
+        input: userInput,
+      },
+      clearRfidCode: {
+        title: 'Clear RFID Code',
+        description: 'Remove the RFID code of a user',
+        input: userInput,
+      },
+      setUserStatus: {
+        title: 'Set User Status',
+        description: 'Enable or disable a user',
+        input: {
+          type: 'object',
+          required: ['userId', 'status'],
+          properties: {
+            userId: userId,
+            status: status,
+          },
+        },
+      },
+      setUserType: {
+        title: 'Set User Type',
+        description: 'Set the type of a user',
+        input: {
+          type: 'object',
+          required: ['userId', 'type'],
+          properties: {
+            userId: userId,
+            type: type,
+          },
+        },
+      },
+      setUserLabel: {
+        title: 'Set User Label',
+        description: 'Set the name reported with the events caused by a user',
+        input: {
+          type: 'object',
+          required: ['userId', 'label'],
+          properties: {
+            userId: userId,
+            label: label,
+          },
+        },
+      },
+    });
+    this.addEvents(node, {
+      pinCode: {
+        description: 'PIN code status of a user, retrieved by getPinCode',
+        type: 'object',
+      },
+      rfidCode: {
+        description: 'RFID code status of a user, retrieved by getRfidCode',
+        type: 'object',
+      },
+    });
+  }
+
+  addDoorLockSettings(node, doorLockEndpoint) {
+    this.addProperty(
+      node, // device
+      'autoRelockTime', // name
+      {
+        // property description
+        label: 'Auto Relock Time',
+        description: 'Time until the lock relocks itself after being unlocked (0 = disabled)',
+        type: 'integer',
+        unit: 'second',
+        minimum: 0,
+      },
+      PROFILE_ID.ZHA, // profileId
+      doorLockEndpoint, // endpoint
+      CLUSTER_ID.DOORLOCK, // clusterId
+      'autoRelockTime', // attr
+      'setWriteNumericValue', // setAttrFromValue
+      'parseNumericAttr' // parseValueFromAttr
+    );
+
+    this.addProperty(
+      node, // device
+      'soundVolume', // name
+      {
+        // property description
+        label: 'Sound Volume',
+        type: 'string',
+        enum: DOORLOCK_SOUND_VOLUME,
+      },
+      PROFILE_ID.ZHA, // profileId
+      doorLockEndpoint, // endpoint
+      CLUSTER_ID.DOORLOCK, // clusterId
+      'soundVolume', // attr
+      'setWriteEnumValue', // setAttrFromValue
+      'parseEnumAttr' // parseValueFromAttr
+    );
+
+    const operatingModeProperty = this.addProperty(
+      node, // device
+      'operatingMode', // name
+      {
+        // property description
+        label: 'Operating Mode',
+        type: 'string',
+        enum: DOORLOCK_OPERATING_MODE,
+      },
+      PROFILE_ID.ZHA, // profileId
+      doorLockEndpoint, // endpoint
+      CLUSTER_ID.DOORLOCK, // clusterId
+      'operatingMode', // attr
+      'setWriteEnumValue', // setAttrFromValue
+      'parseEnumAttr' // parseValueFromAttr
+    );
+    // zcl-id lists operatingMode as a uint32, but the ZCL spec defines
+    // it as an enum8, and locks reject writes using any other type.
+    operatingModeProperty.attrType = zclId.dataType('enum8').value;
+  }
+
+  addDoorLockScheduleActions(node) {
+    const scheduleInput = (properties) => {
+      return {
+        type: 'object',
+        required: ['userId', 'scheduleId'].concat(Object.keys(properties)),
+        properties: Object.assign(
+          {
+            userId: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 0xfffe,
+            },
+            scheduleId: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 0xfe,
+            },
+          },
+          properties
+        ),
+      };
+    };
+    const time = {
+      type: 'string',
+      pattern: '^([01]?[0-9]|2[0-3]):[0-5][0-9]$',
+    };
+    const dateTime = {
+      type: 'string',
+      format: 'date-time',
+    };
+    this.addActions(node, {
+      setWeekDaySchedule: {
+        title: 'Set Weekday Schedule',
+        description: 'Allow a user access between startTime and endTime (HH:MM) on some days',
+        input: scheduleInput({
+          days: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'string',
+              enum: DOORLOCK_DAYS,
+            },
+          },
+          startTime: time,
+          endTime: time,
+        }),
+      },
+      clearWeekDaySchedule: {
+        title: 'Clear Weekday Schedule',
+        description: 'Remove a weekday schedule from a user',
+        input: scheduleInput({}),
+      },
+      setYearDaySchedule: {
+        title: 'Set Yearday Schedule',
+        description: 'Allow a user access between two dates (local time)',
+        input: scheduleInput({
+          start: dateTime,
+          end: dateTime,
+        }),
+      },
+      clearYearDaySchedule: {
+        title: 'Clear Yearday Schedule',
+        description: 'Remove a yearday schedule from a user',
+        input: scheduleInput({}),
+      },
+    });
+  }
+
+  addSceneActions(node, genScenesEndpoint) {
+    node.genScenesEndpoint = genScenesEndpoint;
+    const groupId = {
+      type: 'integer',
+      minimum: 0,
+      maximum: 0xfff7,
+    };
+    const sceneInput = {
+      type: 'object',
+      required: ['groupId', 'sceneId'],
+      properties: {
+        groupId: groupId,
+        sceneId: {
+          type: 'integer',
+          minimum: 0,
+          maximum: 0xff,
+        },
+      },
+    };
+    this.addActions(node, {
+      storeScene: {
+        title: 'Store Scene',
+        description: 'Store the current state as a scene',
+        input: sceneInput,
+      },
+      recallScene: {
+        title: 'Recall Scene',
+        description: 'Restore the state stored in a scene',
+        input: sceneInput,
+      },
+      removeScene: {
+        title: 'Remove Scene',
+        description: 'Remove a stored scene',
+        input: sceneInput,
+      },
+      getSceneMembership: {
+        title: 'Get Scene Membership',
+        description: 'Retrieve the scenes stored for a group',
+        input: {
+          type: 'object',
+          required: ['groupId'],
+          properties: {
+            groupId: groupId,
+          },
+        },
+      },
+    });
+  }
+
+  addOtaProgressProperty(node) {
+    // Updated by the node as it serves the image blocks to the device.
+    this.addProperty(
+      node, // device
+      'otaProgress', // name
+      {
+        // property description
+        label: 'Firmware Update',
+        type: 'number',
+        unit: 'percent',
+        minimum: 0,
+        maximum: 100,
+        readOnly: true,
+      },
+      0, // profileId
+      0, // endpoint
+      0, // clusterId
+      '', // attr
+      '', // setAttrFromValue
+      '', // parseValueFromAttr
+      null, // configReport
+      0 // defaultValue
+    );
+  }
+
+  addPressureProperty(node, msPressureEndpoint) {
+    this.addProperty(
+      node, // device
+      'pressure', // name
+      {
+        // property description
+        '@type': 'BarometricPressureProperty',
+        label: 'Pressure',
+        type: 'number',
+        unit: 'hPa',
+        readOnly: true,
+      },
+      PROFILE_ID.ZHA, // profileId
+      msPressureEndpoint, // endpoint
+      CLUSTER_ID.PRESSURE, // clusterId
+      'measuredValue', // attr
+      '', // setAttrFromValue
+      'parsePressureMeasurementAttr', // parseValueFromAttr
+      CONFIG_REPORT_PRESSURE
+    );
+
+    if (!node['@type'].includes('BarometricPressureSensor')) {
+      node['@type'].push('BarometricPressureSensor');
+    }
+  }
+
   addPresentValueProperty(node, genBinaryInputEndpoint) {
     this.addProperty(
       node, // device
@@ -1740,6 +2263,78 @@ class ZigbeeClassifier {
     }
   }
 
+  addWindowCoveringProperties(node, closuresWindowCoveringEndpoint) {
+    // Tilt-only blinds don't support lift, and only the tilt blinds
+    // support tilt.
+    const coveringType = node.windowCoveringType;
+    const hasLift = coveringType != WINDOW_COVERING_TYPE.TILT_BLIND_TILT_ONLY;
+    const hasTilt =
+      coveringType == WINDOW_COVERING_TYPE.TILT_BLIND_TILT_ONLY ||
+      coveringType == WINDOW_COVERING_TYPE.TILT_BLIND_LIFT_AND_TILT;
+
+    if (hasLift) {
+      this.addProperty(
+        node, // device
+        'lift', // name
+        {
+          // property description
+          '@type': 'LevelProperty',
+          label: 'Lift',
+          description: 'Percentage closed (0 = fully open)',
+          type: 'number',
+          unit: 'percent',
+          minimum: 0,
+          maximum: 100,
+        },
+        PROFILE_ID.ZHA, // profileId
+        closuresWindowCoveringEndpoint, // endpoint
+        CLUSTER_ID.CLOSURESWINDOWCOVERING, // clusterId
+        'currentPositionLiftPercentage', // attr
+        'setLiftPercentageValue', // setAttrFromValue
+        'parsePercentAttr', // parseValueFromAttr
+        CONFIG_REPORT_POSITION
+      );
+      node['@type'].push('MultiLevelSwitch');
+    }
+    if (hasTilt) {
+      this.addProperty(
+        node, // device
+        'tilt', // name
+        {
+          // property description
+          label: 'Tilt',
+          description: 'Percentage tilted closed (0 = fully open)',
+          type: 'number',
+          unit: 'percent',
+          minimum: 0,
+          maximum: 100,
+        },
+        PROFILE_ID.ZHA, // profileId
+        closuresWindowCoveringEndpoint, // endpoint
+        CLUSTER_ID.CLOSURESWINDOWCOVERING, // clusterId
+        'currentPositionTiltPercentage', // attr
+        'setTiltPercentageValue', // setAttrFromValue
+        'parsePercentAttr', // parseValueFromAttr
+        CONFIG_REPORT_POSITION
+      );
+    }
+
+    this.addActions(node, {
+      open: {
+        title: 'Open',
+        description: 'Open the window covering',
+      },
+      close: {
+        title: 'Close',
+        description: 'Close the window covering',
+      },
+      stop: {
+        title: 'Stop',
+        description: 'Stop the window covering',
+      },
+    });
+  }
+
   addZoneTypeProperty(node, propertyName, propertyDescr) {
     if (propertyName && propertyDescr) {
       this.addProperty(
@@ -1957,6 +2552,54 @@ ${(`0${d.getHours()}`).slice(-2)}:${(`0${d.getMinutes()}`).slice(-2)}:${(`0${d.g
     return property;
   }
 
+  /**
+   * @method addManufacturerProperty
+   *
+   * Adds a property for a manufacturer specific attribute. zcl-id doesn't
+   * know about these attributes, so the attribute id and data type are
+   * supplied by manufAttr, which looks like this:
+   *   { manufCode: 0x100b, attr: 'ledIndication', attrId: 0x33, dataType: 'boolean' }
+   *
+   * The property is read and written using manufacturer specific frames.
+   */
+  addManufacturerProperty(
+    node,
+    name,
+    descr,
+    endpoint,
+    clusterId,
+    manufAttr,
+    setAttrFromValue,
+    parseValueFromAttr
+  ) {
+    const property = this.addProperty(
+      node, // device
+      name, // name
+      descr, // property description
+      PROFILE_ID.ZHA, // profileId
+      endpoint, // endpoint
+      clusterId, // clusterId
+      '', // attr
+      setAttrFromValue, // setAttrFromValue
+      parseValueFromAttr // parseValueFromAttr
+    );
+    property.attr = manufAttr.attr;
+    property.attrId = manufAttr.attrId;
+    property.attrType = zclId.dataType(manufAttr.dataType).value;
+    property.manufCode = manufAttr.manufCode;
+
+    // addProperty couldn't restore the saved value, since the property
+    // didn't have an attr yet.
+    if (node.hasOwnProperty('devInfoProperties') && node.devInfoProperties.hasOwnProperty(name)) {
+      const devInfo = node.devInfoProperties[name];
+      if (property.endpoint == devInfo.endpoint && property.attr == devInfo.attr) {
+        property.value = devInfo.value;
+      }
+    }
+    property.setInitialReadNeeded();
+    return property;
+  }
+
   // internal function allows us to use early returns.
   classifyInternal(node) {
     const seMeteringEndpoint = node.findZhaEndpointWithInputClusterIdHex(CLUSTER_ID.SEMETERING_HEX);
@@ -2007,12 +2650,17 @@ ${(`0${d.getHours()}`).slice(-2)}:${(`0${d.getMinutes()}`).slice(-2)}:${(`0${d.g
       CLUSTER_ID.CLOSURESWINDOWCOVERING_HEX
     );
     const doorLockEndpoint = node.findZhaEndpointWithInputClusterIdHex(CLUSTER_ID.DOORLOCK_HEX);
+    const genOtaOutputEndpoints = node.findZhaEndpointWithOutputClusterIdHex(CLUSTER_ID.GENOTA_HEX);
     const msOccupancySensingEndpoint = node.findZhaEndpointWithInputClusterIdHex(
       CLUSTER_ID.OCCUPANCY_SENSOR_HEX
     );
     const msTemperatureEndpoint = node.findZhaEndpointWithInputClusterIdHex(
       CLUSTER_ID.TEMPERATURE_HEX
     );
+    const msRelativeHumidityEndpoint = node.findZhaEndpointWithInputClusterIdHex(
+      CLUSTER_ID.RELATIVE_HUMIDITY_HEX
+    );
+    const msPressureEndpoint = node.findZhaEndpointWithInputClusterIdHex(CLUSTER_ID.PRESSURE_HEX);
     const hvacThermostatEndpoint = node.findZhaEndpointWithInputClusterIdHex(
       CLUSTER_ID.HVACTHERMOSTAT_HEX
     );
@@ -2031,6 +2679,7 @@ ${(`0${d.getHours()}`).slice(-2)}:${(`0${d.getMinutes()}`).slice(-2)}:${(`0${d.g
     const lightLinkEndpoint = node.findZhaEndpointWithInputClusterIdHex(CLUSTER_ID.LIGHTLINK_HEX);
     const ssIasZoneEndpoint = node.findZhaEndpointWithInputClusterIdHex(CLUSTER_ID.SSIASZONE_HEX);
     node.ssIasZoneEndpoint = ssIasZoneEndpoint;
+    const ssIasWdEndpoint = node.findZhaEndpointWithInputClusterIdHex(CLUSTER_ID.SSIASWD_HEX);
 
     if (DEBUG) {
       console.log('---- Zigbee classifier -----');
@@ -2054,27 +2703,41 @@ ${(`0${d.getHours()}`).slice(-2)}:${(`0${d.getMinutes()}`).slice(-2)}:${(`0${d.g
         hvacFanControlEndpoint: hvacFanControlEndpoint,
         hvacThermostatEndpoint: hvacThermostatEndpoint,
         doorLockEndpoint: doorLockEndpoint,
+        genOtaOutputEndpoints: genOtaOutputEndpoints,
         lightingControlEndpoint: node.lightingColorCtrlEndpoint,
         colorCapabilities: node.colorCapabilities,
         colorMode: node.colorMode,
         lightLinkEndpoint: lightLinkEndpoint,
         msOccupancySensingEndpoint: msOccupancySensingEndpoint,
         msTemperatureEndpoint: msTemperatureEndpoint,
+        msRelativeHumidityEndpoint: msRelativeHumidityEndpoint,
+        msPressureEndpoint: msPressureEndpoint,
         genPowerCfgEndpoint: genPowerCfgEndpoint,
         genDeviceTempCfgEndpoint: genDeviceTempCfgEndpoint,
         zoneType: node.zoneType,
+        ssIasWdEndpoint: ssIasWdEndpoint,
+        windowCoveringType: node.windowCoveringType,
       };
       for (const [key, value] of Object.entries(listParams)) {
         console.log(Utils.padLeft(`${key} =`, 38), value);
       }
     }
 
-    if (typeof node.zoneType !== 'undefined') {
+    if (
+      ssIasWdEndpoint &&
+      (typeof node.zoneType === 'undefined' || node.zoneType == ZONE_TYPE_WARNING_DEVICE)
+    ) {
+      // A siren. Smoke detectors with a built-in siren are classified
+      // using their zone type instead.
+      this.initWarningDevice(node);
+    } else if (typeof node.zoneType !== 'undefined') {
       this.initBinarySensorFromZoneType(node);
     } else if (msOccupancySensingEndpoint) {
       this.initOccupancySensor(node, msOccupancySensingEndpoint);
     } else if (hvacThermostatEndpoint) {
       this.initThermostat(node, hvacThermostatEndpoint, hvacFanControlEndpoint);
+    } else if (closuresWindowCoveringEndpoints.length > 0) {
+      this.initWindowCovering(node, closuresWindowCoveringEndpoints[0]);
     } else if (seMeteringEndpoint && genLevelCtrlEndpoint) {
       // Support Ubisys dimmer D1
       this.initLightingPowerMetering(node, seMeteringEndpoint, genLevelCtrlEndpoint);
@@ -2114,12 +2777,36 @@ ${(`0${d.getHours()}`).slice(-2)}:${(`0${d.getMinutes()}`).slice(-2)}:${(`0${d.g
         this.addDeviceTemperatureProperty(node, genDeviceTempCfgEndpoint);
       }
     }
+    if (msRelativeHumidityEndpoint) {
+      this.addHumidityProperty(node, msRelativeHumidityEndpoint);
+    }
+    if (msPressureEndpoint) {
+      this.addPressureProperty(node, msPressureEndpoint);
+    }
     if (illuminanceEndpoint) {
       this.addIlluminanceMeasurementProperty(node, illuminanceEndpoint);
     }
     if (genPowerCfgEndpoint) {
       this.addPowerCfgVoltageProperty(node, genPowerCfgEndpoint);
     }
+    if (genScenesEndpoints.length > 0) {
+      this.addSceneActions(node, genScenesEndpoints[0]);
+    }
+    if (ssIasWdEndpoint) {
+      this.addWarningDeviceProperties(node, ssIasWdEndpoint);
+    }
+    if (genOtaOutputEndpoints.length > 0) {
+      // Only devices which are OTA clients can be upgraded. The property is
+      // added even when no images are loaded yet, so that the device's
+      // properties don't depend on the contents of the OTA directory.
+      this.addOtaProgressProperty(node);
+    }
+
+    if (!node.type && (msTemperatureEndpoint || msRelativeHumidityEndpoint || msPressureEndpoint)) {
+      // A standalone environmental sensor, which didn't match any of
+      // the device types above.
+      node.type = 'sensor';
+    }
 
     this.addLastSeenProperty(node);
   }
@@ -2208,6 +2895,15 @@ ${(`0${d.getHours()}`).slice(-2)}:${(`0${d.getMinutes()}`).slice(-2)}:${(`0${d.g
     this.addZoneTypeProperty(node, propertyName, propertyDescr);
   }
 
+  initWarningDevice(node) {
+    node.type = 'alarm';
+    node['@type'] = ['Alarm'];
+    if (typeof node.zoneType !== 'undefined') {
+      // Sirens report a low battery through the zone status.
+      this.addZoneTypeProperty(node, null, null);
+    }
+  }
+
   initDoorLock(node, doorLockEndpoint) {
     node.type = 'DoorLock';
     node['@type'] = ['Lock'];
@@ -2373,66 +3069,6 @@ ${(`0${d.getHours()}`).slice(-2)}:${(`0${d.getMinutes()}`).slice(-2)}:${(`0${d.g
       const endpoint = genLevelCtrlOutputEndpoints[idx];
       const onOffProperty = this.addButtonOnProperty(node, endpoint, suffix);
       const levelProperty = this.addButtonLevelProperty(node, endpoint, suffix);
-      let eventLimit = 2; // to generate the events for the Level buttons
-
-      if (node.modelId === 'TRADFRI remote control') {
-        // Workaround: version E1810 (deviceId 0820) is missing the GENSCENES
-        // output cluster but still receives updates on that cluster
-        const t = node.findZhaEndpointWithOutputClusterIdHex(CLUSTER_ID.GENSCENES_HEX);
-        if (
-          t.length == 0 &&
-          endpoint == 1 &&
-          node.activeEndpoints['1'] &&
-          node.activeEndpoints['1'].deviceId === '0820'
-        ) {
-          node.activeEndpoints['1'].outputClusters.push(CLUSTER_ID.GENSCENES_HEX);
-          node.activeEndpoints['1'].outputClusters.sort();
-        }
-        // end of workaround
-
-        const genScenesOutputEndpoints = node.findZhaEndpointWithOutputClusterIdHex(
-          CLUSTER_ID.GENSCENES_HEX
-        );
-        if (genScenesOutputEndpoints[0]) {
-          const sceneProperty = this.addButtonSceneProperty(node, genScenesOutputEndpoints[0]);
-          sceneProperty.buttonIndex = 4; // this property also covers button 5
-          eventLimit = 4; // extend to generate the scene events
-        }
-
-        // This is the IKEA remote with a center button and 4 other
-        // buttons around the edge. The center button sends a toggle
-        // rather than on/off.
-        onOffProperty.buttonIndex = 1;
-        this.addEvents(node, {
-          '1-pressed': {
-            '@type': 'PressedEvent',
-            description: 'On button pressed and released',
-          },
-        });
-
-        // The remaining buttons can all generate pressed,
-        // longPressed and released events.
-        levelProperty.buttonIndex = 2; // this property also covers button 3
-        const label = ['Top', 'Bottom', 'Right', 'Left'];
-        for (let i = 0; i < eventLimit; i++) {
-          this.addEvents(node, {
-            [`${i + 2}-pressed`]: {
-              '@type': 'PressedEvent',
-              description: `${label[i]} button pressed and released`,
-            },
-            [`${i + 2}-longPressed`]: {
-              '@type': 'LongPressedEvent',
-              description: `${label[i]} button pressed and held`,
-            },
-            [`${i + 2}-released`]: {
-              '@type': 'ReleasedEvent',
-              description: `${label[i]} button released (after being held)`,
-            },
-          });
-        }
-        return;
-      }
-
       onOffProperty.buttonIndex = 1;
       this.addEvents(node, {
         '1-pressed': {
@@ -2469,22 +3105,6 @@ ${(`0${d.getHours()}`).slice(-2)}:${(`0${d.getMinutes()}`).slice(-2)}:${(`0${d.g
           });
           break;
 
-        case 'RWL020':
-        case 'RWL021':
-          // This is the Philips Hue Dimmer. It has 4 buttons and uses
-          // 2 of the buttons to perform the dimming.
-          levelProperty.buttonIndex = 3;
-          this.addEvents(node, {
-            '3-pressed': {
-              '@type': 'PressedEvent',
-              description: 'Increase button pressed and released',
-            },
-            '4-pressed': {
-              '@type': 'PressedEvent',
-              description: 'Decrease button pressed and released',
-            },
-          });
-          break;
         case 'RC 110':
           if (endpoint === 1) {
             this.addSceneEvents(levelProperty, node);
@@ -2567,6 +3187,13 @@ ${(`0${d.getHours()}`).slice(-2)}:${(`0${d.getMinutes()}`).slice(-2)}:${(`0${d.g
     node['@type'] = ['Thermostat'];
     this.addThermostatProperties(node, hvacThermostatEndpoint, hvacFanControlEndpoint);
   }
+
+  initWindowCovering(node, closuresWindowCoveringEndpoint) {
+    node.type = 'windowCovering';
+    node['@type'] = [];
+    node.windowCoveringEndpoint = closuresWindowCoveringEndpoint;
+    this.addWindowCoveringProperties(node, closuresWindowCoveringEndpoint);
+  }
 }
 
 module.exports = new ZigbeeClassifier();
@@ -148,8 +148,10 @@ export const CLUSTER_ID = addHexValues({
   PRESSURE: zclId.cluster('msPressureMeasurement').value,
   RELATIVE_HUMIDITY: zclId.cluster('msRelativeHumidity').value,
   SEMETERING: zclId.cluster('seMetering').value,
+  SSIASWD: zclId.cluster('ssIasWd').value,
   SSIASZONE: zclId.cluster('ssIasZone').value,
   TEMPERATURE: zclId.cluster('msTemperatureMeasurement').value,
+  TUYA: 0xef00, // manufacturer specific, see zb-tuya-frame.ts
 });
 
 export const ATTR_ID: Record<string, Record<string, number>> = {};
@@ -162,9 +164,20 @@ function makeAttrIds(clusterName: string, attrNames: string[]): void {
   ATTR_ID[clusterName] = attrIdDict;
 }
 
+makeAttrIds('CLOSURESWINDOWCOVERING', [
+  'windowCoveringType', // 0
+  'currentPositionLiftPercentage', // 8
+  'currentPositionTiltPercentage', // 9
+]);
+makeAttrIds('DOORLOCK', [
+  'autoRelockTime', // 35 (0x23)
+  'soundVolume', // 36 (0x24)
+  'operatingMode', // 37 (0x25)
+]);
 makeAttrIds('GENBASIC', [
   'zclVersion', // 0
   'appVersion', // 1
+  'manufacturerName', // 4
   'modelId', // 5
   'powerSource', // 7
 ]);
@@ -185,6 +198,9 @@ makeAttrIds('LIGHTINGCOLORCTRL', [
   'colorMode', // 8
   'colorCapabilities', // 16394 (0x400a)
 ]);
+makeAttrIds('SSIASWD', [
+  'maxDuration', // 0
+]);
 makeAttrIds('SSIASZONE', [
   'zoneState', // 0
   'zoneType', // 1
@@ -237,6 +253,56 @@ export const DOORLOCK_EVENT_CODES = [
   'NonAccessUserEvent', // 15 (0X0F)
 ];
 
+// DOORLOCK_USER_STATUS and DOORLOCK_USER_TYPE describe the userstatus
+// and usertype fields of the closuresDoorLock user commands.
+export const DOORLOCK_USER_STATUS: Record<string, number> = {
+  available: 0,
+  enabled: 1,
+  disabled: 3,
+};
+
+export const DOORLOCK_USER_TYPE = [
+  'unrestricted', // 0
+  'yearDaySchedule', // 1
+  'weekDaySchedule', // 2
+  'master', // 3
+  'nonAccess', // 4
+];
+
+export const DOORLOCK_SOUND_VOLUME = [
+  'silent', // 0
+  'low', // 1
+  'high', // 2
+];
+
+export const DOORLOCK_OPERATING_MODE = [
+  'normal', // 0
+  'vacation', // 1
+  'privacy', // 2
+  'noRfLockOrUnlock', // 3
+  'passage', // 4
+];
+
+// DOORLOCK_DAYS is ordered by the bits of the daysmask field used by
+// the weekday schedule commands.
+export const DOORLOCK_DAYS = [
+  'sunday', // 0x01
+  'monday', // 0x02
+  'tuesday', // 0x04
+  'wednesday', // 0x08
+  'thursday', // 0x10
+  'friday', // 0x20
+  'saturday', // 0x40
+];
+
+// MANUFACTURER_CODE is used to access manufacturer specific attributes
+// and commands.
+export const MANUFACTURER_CODE = {
+  IKEA: 0x117c,
+  OSRAM: 0x104e,
+  PHILIPS: 0x100b,
+};
+
 // POWERSOURCE describes the values for the powerSource attribute from
 // the genBasic cluster
 export const POWERSOURCE = {
@@ -260,6 +326,8 @@ export const STATUS = {
   SUCCESS: zclId.status('success').value,
   UNSUPPORTED_ATTRIB: zclId.status('unsupAttribute').value,
   INSUFFICIENT_SPACE: zclId.status('insufficientSpace').value,
+  DUPLICATE_EXISTS: zclId.status('duplicateExists').value,
+  NOT_FOUND: zclId.status('notFound').value,
 };
 
 // THERMOSTAT_MODE is used for the systemMode attribute
@@ -406,6 +474,46 @@ export const ZLL_DEVICE_ID = {
   },
 };
 
+// WINDOW_COVERING_TYPE describes values for the windowCoveringType attribute
+// from the closuresWindowCovering cluster.
+export const WINDOW_COVERING_TYPE = {
+  ROLLERSHADE: 0,
+  ROLLERSHADE_2_MOTOR: 1,
+  ROLLERSHADE_EXTERIOR: 2,
+  ROLLERSHADE_EXTERIOR_2_MOTOR: 3,
+  DRAPERY: 4,
+  AWNING: 5,
+  SHUTTER: 6,
+  TILT_BLIND_TILT_ONLY: 7,
+  TILT_BLIND_LIFT_AND_TILT: 8,
+  PROJECTOR_SCREEN: 9,
+};
+
+// IAS_WD_WARNING_MODE, IAS_WD_SQUAWK_MODE and IAS_WD_LEVEL describe the
+// fields of the startWarning and squawk commands from the ssIasWd
+// cluster. The index of each entry is the value sent to the device.
+export const IAS_WD_WARNING_MODE = [
+  'stop', // 0
+  'burglar', // 1
+  'fire', // 2
+  'emergency', // 3
+  'police panic', // 4
+  'fire panic', // 5
+  'emergency panic', // 6
+];
+
+export const IAS_WD_SQUAWK_MODE = [
+  'armed', // 0
+  'disarmed', // 1
+];
+
+export const IAS_WD_LEVEL = [
+  'low', // 0
+  'medium', // 1
+  'high', // 2
+  'very high', // 3
+];
+
 // ZONE_STATUS describes values for the zoneStatus attribute from
 // the ssIasZone cluster.
 export const ZONE_STATUS = {
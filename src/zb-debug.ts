@@ -11,6 +11,10 @@ const DEBUG_FLAG = {
   // Use DEBUG_classifier for debugging the behaviour of the classifier.
   DEBUG_classifier: false,
 
+  // DEBUG_definitions causes additional debug information to be printed
+  // from zb-definitions.js
+  DEBUG_definitions: false,
+
   // Use DEBUG_flow if you need to debug the flow of the program. This causes
   // prints at the beginning of many functions to print some info.
   DEBUG_flow: false,
@@ -28,10 +32,22 @@ const DEBUG_FLAG = {
   // if the frame parsing code is crashing.
   DEBUG_frameParsing: false,
 
+  // DEBUG_hue causes additional debug information to be printed
+  // from zb-hue.js
+  DEBUG_hue: false,
+
+  // DEBUG_ikea causes additional debug information to be printed
+  // from zb-ikea.js
+  DEBUG_ikea: false,
+
   // DEBUG_node causes additional debug information from the zb-node.js
   // file to be printed.
   DEBUG_node: false,
 
+  // DEBUG_ota causes additional debug information to be printed
+  // from zb-ota.js
+  DEBUG_ota: false,
+
   // DEBUG_property causes additional debug information to be printed
   // from zb-property.js
   DEBUG_property: false,
@@ -48,9 +64,9 @@ const DEBUG_FLAG = {
   // to be printed.
   DEBUG_slip: false,
 
-  // DEBUG_xiaomi causes additional debug information to be printed
-  // from zb-xiaomi.js
-  DEBUG_xiaomi: false,
+  // DEBUG_tuya causes additional debug information to be printed
+  // from zb-tuya.js
+  DEBUG_tuya: false,
 
   // DEBUG_zigbee2mqtt causes additional debug information to be printed
   // from zigbee2mqtt classes
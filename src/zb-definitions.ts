@@ -0,0 +1,431 @@
+/**
+ *
+ * zb-definitions.js - Declarative definitions for devices which need
+ *                     special handling.
+ *
+ * A definition matches a device using its modelId (and optionally its
+ * manufacturerName), and describes the endpoints, properties and events
+ * which the device should have, rather than having them determined by
+ * the classifier. Definitions can be written in JSON or YAML:
+ *
+ *   {
+ *     "manufacturerName": "LUMI",
+ *     "modelId": ["lumi.sensor_switch.aq2", "lumi.remote.b1acn01"],
+ *     "name": "switch",
+ *     "@type": ["BinarySensor"],
+ *     "powerSource": "BATTERY",
+ *     "activeEndpoints": {
+ *       "1": {
+ *         "profileId": "ZHA",
+ *         "inputClusters": ["genBasic", "genOnOff"],
+ *         "outputClusters": []
+ *       }
+ *     },
+ *     "properties": {
+ *       "multiClick": {
+ *         "descr": { "label": "MultiClick", "type": "number" },
+ *         "profileId": "ZHA",
+ *         "endpoint": 1,
+ *         "clusterId": "genOnOff",
+ *         "attrId": 32768,
+ *         "parseValueFromAttr": "parseNumericAttr",
+ *         "configReport": { "minRepInterval": 1, "maxRepInterval": 120, "repChange": 1 }
+ *       }
+ *     },
+ *     "events": {
+ *       "doubleClick": { "descr": {}, "property": "multiClick", "value": 2 }
+ *     }
+ *   }
+ *
+ * Profiles, clusters, power sources and zone status masks may be given
+ * either as numbers or by name. Clusters use the zcl-id names (or 4 digit
+ * hex strings). Any other fields (like occupancyTimeout) are copied onto
+ * the node.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+import cloneDeep from 'clone-deep';
+import fs from 'fs';
+import path from 'path';
+import { Utils } from 'gateway-addon';
+import ZigbeeFamily from './zb-family';
+import DEBUG_FLAG from './zb-debug';
+import { PROFILE_ID, POWERSOURCE, ZONE_STATUS } from './zb-constants';
+
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const yaml = require('js-yaml');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const zclId = require('zcl-id');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const ZigbeeProperty = require('./zb-property');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const ZigbeeNode = require('./zb-node');
+
+const DEBUG = DEBUG_FLAG.DEBUG_definitions;
+
+const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Fields which aren't copied directly onto the node.
+const DEFINITION_FIELDS = ['manufacturerName', 'modelId', 'model', 'properties', 'events'];
+
+type NumberOrName = number | string;
+
+export interface EndpointDefinition {
+  profileId: NumberOrName;
+  inputClusters: NumberOrName[];
+  outputClusters: NumberOrName[];
+}
+
+export interface ConfigReport {
+  minRepInterval: number;
+  maxRepInterval: number;
+  repChange?: number;
+}
+
+export interface PropertyDefinition {
+  descr: Record<string, unknown>;
+  profileId: NumberOrName;
+  endpoint: number;
+  clusterId: NumberOrName;
+  attr?: string;
+  attrId?: number;
+  mask?: NumberOrName;
+  value?: unknown;
+  setAttrFromValue?: string;
+  parseValueFromAttr?: string;
+  configReport?: ConfigReport;
+}
+
+export interface EventDefinition {
+  descr?: Record<string, unknown>;
+  property?: string;
+  value?: unknown;
+}
+
+export interface DeviceDefinition {
+  manufacturerName?: string | string[];
+  modelId: string | string[];
+  model?: string;
+  name?: string;
+  powerSource?: NumberOrName;
+  activeEndpoints?: Record<string, EndpointDefinition>;
+  properties?: Record<string, PropertyDefinition>;
+  events?: Record<string, EventDefinition>;
+  [field: string]: unknown;
+}
+
+function resolveName(
+  table: Record<string, number | string>,
+  value: NumberOrName,
+  what: string
+): number {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (table.hasOwnProperty(value) && typeof table[value] === 'number') {
+    return <number>table[value];
+  }
+  throw new Error(`Unknown ${what}: ${value}`);
+}
+
+function resolveClusterId(value: NumberOrName): number {
+  if (typeof value === 'string' && /^[0-9a-f]{4}$/i.test(value)) {
+    return parseInt(value, 16);
+  }
+  const cluster = zclId.cluster(value);
+  if (!cluster) {
+    throw new Error(`Unknown cluster: ${value}`);
+  }
+  return cluster.value;
+}
+
+function resolveEndpoint(endpoint: EndpointDefinition): EndpointDefinition {
+  return {
+    profileId: Utils.hexStr(resolveName(PROFILE_ID, endpoint.profileId, 'profile'), 4),
+    inputClusters: (endpoint.inputClusters || []).map((clusterId) => {
+      return Utils.hexStr(resolveClusterId(clusterId), 4);
+    }),
+    outputClusters: (endpoint.outputClusters || []).map((clusterId) => {
+      return Utils.hexStr(resolveClusterId(clusterId), 4);
+    }),
+  };
+}
+
+function resolveProperty(name: string, property: PropertyDefinition): PropertyDefinition {
+  if (!property.descr || typeof property.endpoint !== 'number') {
+    throw new Error(`Property ${name} needs a descr and an endpoint`);
+  }
+  for (const funcName of [property.setAttrFromValue, property.parseValueFromAttr]) {
+    if (funcName && typeof ZigbeeProperty.prototype[funcName] !== 'function') {
+      throw new Error(`Property ${name} uses an unknown function: ${funcName}`);
+    }
+  }
+  const resolved = Object.assign({}, property, {
+    profileId: resolveName(PROFILE_ID, property.profileId, 'profile'),
+    clusterId: resolveClusterId(property.clusterId),
+    attr: property.attr || '',
+  });
+  if (property.hasOwnProperty('mask')) {
+    resolved.mask = resolveName(ZONE_STATUS, <NumberOrName>property.mask, 'zone status mask');
+  }
+  return resolved;
+}
+
+/**
+ * @function resolveDefinition
+ *
+ * Checks a definition and converts any profiles, clusters and other
+ * constants which were specified by name into the values used by the
+ * node. Throws an Error describing the problem if the definition is
+ * invalid.
+ */
+export function resolveDefinition(definition: DeviceDefinition): DeviceDefinition {
+  if (!definition || !definition.modelId) {
+    throw new Error('Definition has no modelId');
+  }
+  const resolved: DeviceDefinition = cloneDeep(definition);
+  if (definition.hasOwnProperty('powerSource')) {
+    resolved.powerSource = resolveName(
+      POWERSOURCE,
+      <NumberOrName>definition.powerSource,
+      'power source'
+    );
+  }
+  if (definition.activeEndpoints) {
+    resolved.activeEndpoints = {};
+    for (const endpointNum in definition.activeEndpoints) {
+      resolved.activeEndpoints[endpointNum] = resolveEndpoint(
+        definition.activeEndpoints[endpointNum]
+      );
+    }
+  }
+  if (definition.properties) {
+    resolved.properties = {};
+    for (const propertyName in definition.properties) {
+      resolved.properties[propertyName] = resolveProperty(
+        propertyName,
+        definition.properties[propertyName]
+      );
+    }
+  }
+  for (const eventName in definition.events || {}) {
+    const property = (definition.events || {})[eventName].property;
+    if (property && !(definition.properties || {}).hasOwnProperty(property)) {
+      throw new Error(`Event ${eventName} uses an unknown property: ${property}`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * @function loadDefinitions
+ *
+ * Loads all of the JSON and YAML definition files from a directory. Each
+ * file may contain a single definition or an array of them. Files which
+ * can't be parsed are reported and skipped.
+ */
+export function loadDefinitions(directory: string): DeviceDefinition[] {
+  const definitions: DeviceDefinition[] = [];
+  if (!fs.existsSync(directory)) {
+    DEBUG && console.log('loadDefinitions: No definitions directory:', directory);
+    return definitions;
+  }
+  for (const fileName of fs.readdirSync(directory).sort()) {
+    const ext = path.extname(fileName).toLowerCase();
+    if (!DEFINITION_EXTENSIONS.includes(ext)) {
+      continue;
+    }
+    const filePath = path.join(directory, fileName);
+    try {
+      const data = fs.readFileSync(filePath, 'utf8');
+      const parsed = ext == '.json' ? JSON.parse(data) : yaml.safeLoad(data);
+      for (const definition of Array.isArray(parsed) ? parsed : [parsed]) {
+        definitions.push(resolveDefinition(definition));
+      }
+    } catch (e) {
+      console.error('loadDefinitions: Unable to load', filePath, e.message);
+    }
+  }
+  console.log(`Loaded ${definitions.length} device definition(s) from ${directory}`);
+  return definitions;
+}
+
+function matches(pattern: string | string[] | undefined, value: string): boolean {
+  if (typeof pattern === 'undefined') {
+    return true;
+  }
+  return Array.isArray(pattern) ? pattern.includes(value) : pattern == value;
+}
+
+export default class DefinitionFamily extends ZigbeeFamily {
+  definitions: DeviceDefinition[] = [];
+
+  loadedDirectories: Set<string> = new Set();
+
+  constructor(name: string, definitions: DeviceDefinition[] = []) {
+    super(name);
+    this.addDefinitions(definitions);
+  }
+
+  /**
+   * @method addDefinitions
+   *
+   * Adds definitions to the family. Definitions which were added earlier
+   * take precedence when more than one of them matches a node.
+   */
+  addDefinitions(definitions: DeviceDefinition[]): void {
+    for (const definition of definitions) {
+      try {
+        this.definitions.push(resolveDefinition(definition));
+      } catch (e) {
+        console.error(`${this.name}: Invalid definition for ${definition.modelId}:`, e.message);
+      }
+    }
+  }
+
+  loadDirectory(directory: string): void {
+    if (this.loadedDirectories.has(directory)) {
+      return;
+    }
+    this.loadedDirectories.add(directory);
+    this.definitions.push(...loadDefinitions(directory));
+  }
+
+  classify(_node: typeof ZigbeeNode): void {
+    // The properties are added by the init function, so we don't
+    // need to do anything here.
+  }
+
+  findDefinition(node: typeof ZigbeeNode): DeviceDefinition | undefined {
+    if (typeof node.modelId !== 'string') {
+      return;
+    }
+    return this.definitions.find((definition) => {
+      return (
+        matches(definition.modelId, node.modelId) &&
+        (typeof definition.manufacturerName === 'undefined' ||
+          (typeof node.manufacturerName === 'string' &&
+            matches(definition.manufacturerName, node.manufacturerName)))
+      );
+    });
+  }
+
+  identify(node: typeof ZigbeeNode): boolean {
+    const definition = this.findDefinition(node);
+    if (definition) {
+      this.init(node, definition);
+      return true;
+    }
+    return false;
+  }
+
+  init(node: typeof ZigbeeNode, definition: DeviceDefinition): void {
+    if (node.inited) {
+      return;
+    }
+    node.inited = true;
+
+    DEBUG && console.log(`${this.name}.init: modelId:`, node.modelId);
+    for (const [fieldName, field] of Object.entries(definition)) {
+      if (DEFINITION_FIELDS.includes(fieldName)) {
+        continue;
+      }
+      if (fieldName == 'name') {
+        node.name = `${node.id}-${field}`;
+      } else {
+        node[fieldName] = cloneDeep(field);
+      }
+    }
+    // The events refer to the properties, so they need to be added last.
+    this.addProperties(node, definition.properties || {});
+    this.addEvents(node, definition.events || {});
+
+    for (const endpointNum in node.activeEndpoints) {
+      const endpoint = node.activeEndpoints[endpointNum];
+      endpoint.classifierAttributesPopulated = true;
+    }
+    node.activeEndpointsPopulated = true;
+    node.nodeInfoEndpointsPopulated = true;
+    // We only need to bind if the definition asked for reports to be
+    // configured.
+    node.rebindRequired = false;
+    for (const property of node.properties.values()) {
+      if (property.bindNeeded) {
+        node.rebindRequired = true;
+      }
+    }
+
+    // Make sure that the family is set before calling
+    // handleDeviceAdded. This ensures that our classifier gets
+    // called and not the generic one.
+    node.family = this;
+    node.adapter.saveDeviceInfo();
+    node.adapter.handleDeviceAdded(node);
+  }
+
+  addProperties(node: typeof ZigbeeNode, properties: Record<string, PropertyDefinition>): void {
+    for (const propertyName in properties) {
+      const propertyDef = properties[propertyName];
+      const property = new ZigbeeProperty(
+        node,
+        propertyName,
+        propertyDef.descr,
+        propertyDef.profileId,
+        propertyDef.endpoint,
+        propertyDef.clusterId,
+        propertyDef.attr,
+        propertyDef.setAttrFromValue || '',
+        propertyDef.parseValueFromAttr || ''
+      );
+
+      if (propertyDef.hasOwnProperty('mask')) {
+        property.mask = propertyDef.mask;
+      }
+      if (propertyDef.hasOwnProperty('attrId')) {
+        property.attrId = propertyDef.attrId;
+      }
+
+      property.configReportNeeded = false;
+      property.initialReadNeeded = false;
+      if (propertyDef.configReport && property.attr) {
+        property.configReport = cloneDeep(propertyDef.configReport);
+        property.configReportNeeded = true;
+      }
+      property.bindNeeded = property.configReportNeeded;
+
+      if (propertyDef.hasOwnProperty('value')) {
+        property.setCachedValue(propertyDef.value);
+      }
+
+      DEBUG && console.log(`${this.name}.init: added property:`, propertyName, property.asDict());
+
+      node.properties.set(propertyName, property);
+    }
+  }
+
+  addEvents(node: typeof ZigbeeNode, events: Record<string, EventDefinition>): void {
+    for (const eventName in events) {
+      const eventDef = events[eventName];
+      node.addEvent(eventName, cloneDeep(eventDef.descr || {}));
+      if (!eventDef.property) {
+        continue;
+      }
+
+      // Send the event whenever the property is updated (to the value
+      // from the definition, if one was given).
+      const property = node.properties.get(eventDef.property);
+      const updated = property.updated;
+      property.updated = function () {
+        if (updated) {
+          updated.call(property);
+        }
+        if (!eventDef.hasOwnProperty('value') || property.value === eventDef.value) {
+          node.notifyEvent(eventName, property.value);
+        }
+      };
+    }
+  }
+}
@@ -8,8 +8,33 @@
  */
 
 import ZigbeeFamily from './zb-family';
+import DefinitionFamily from './zb-definitions';
+import HueFamily from './zb-hue';
+import IkeaFamily from './zb-ikea';
+import TuyaFamily from './zb-tuya';
 import XiaomiFamily from './zb-xiaomi';
 
+// The name of the family which holds the definitions loaded from the
+// definitions directory.
+export const DEFINITIONS_FAMILY = 'definitions';
+
 export default function registerFamilies(): void {
+  // The families are tried in the order they're registered, so this
+  // allows the loaded definitions to override the built-in ones.
+  ZigbeeFamily.register(new DefinitionFamily(DEFINITIONS_FAMILY));
   ZigbeeFamily.register(new XiaomiFamily());
+  ZigbeeFamily.register(new TuyaFamily());
+  ZigbeeFamily.register(new HueFamily());
+  ZigbeeFamily.register(new IkeaFamily());
+}
+
+/**
+ * @function loadDefinitions
+ *
+ * Loads the device definitions from a directory into the definitions
+ * family.
+ */
+export function loadDefinitions(directory: string): void {
+  const family = <DefinitionFamily>ZigbeeFamily.findFamily(DEFINITIONS_FAMILY);
+  family.loadDirectory(directory);
 }
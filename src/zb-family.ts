@@ -7,9 +7,26 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
  */
 
+import { Action } from 'gateway-addon';
+
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const ZigbeeNode = require('./zb-node');
 
+// The parts of a received ZCL frame which the families look at.
+export interface ZclFrame {
+  clusterId: string;
+  sourceEndpoint: string;
+  zcl: {
+    frameCntl: {
+      frameType: number;
+      disDefaultRsp: number;
+    };
+    seqNum: number;
+    cmdId: string;
+    payload: unknown;
+  };
+}
+
 export default class ZigbeeFamily {
   static families: Record<string, ZigbeeFamily> = {};
 
@@ -33,6 +50,35 @@ export default class ZigbeeFamily {
     // pass
   }
 
+  /**
+   * @function handleZhaResponse
+   *
+   * Called for each ZCL frame received from a node in this family, before
+   * the node processes the frame itself.
+   *
+   * @param {ZigbeeNode} node
+   * @param {object} frame
+   * @return Returns true if the frame has been completely handled, in
+   *         which case the node won't process it any further.
+   */
+  handleZhaResponse(_node: typeof ZigbeeNode, _frame: ZclFrame): boolean {
+    return false;
+  }
+
+  /**
+   * @function performAction
+   *
+   * Called to perform an action on a node in this family.
+   *
+   * @param {ZigbeeNode} node
+   * @param {Action} action
+   * @return Returns a promise if the family performed the action, or null
+   *         to have the node perform it.
+   */
+  performAction(_node: typeof ZigbeeNode, _action: Action): Promise<void> | null {
+    return null;
+  }
+
   static findFamily(findFamilyName: string): ZigbeeFamily | null {
     for (const familyName in ZigbeeFamily.families) {
       if (familyName == findFamilyName) {
@@ -0,0 +1,233 @@
+/**
+ *
+ * ZigbeeGroup - represents a Zigbee group. Changing one of the group's
+ *               properties sends a single multicast frame which is
+ *               received by all of the members of the group.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const zcl = require('zcl-packet');
+const ZigbeeProperty = require('./zb-property');
+
+const { Device, Utils } = require('gateway-addon');
+const { CLUSTER_ID, DIR, PROFILE_ID } = require('./zb-constants');
+
+const { DEBUG_node } = require('./zb-debug').default;
+const DEBUG = DEBUG_node;
+
+// Frames sent to a group are delivered to every endpoint which is a
+// member of the group, so we use the broadcast endpoint.
+const GROUP_ENDPOINT = 0xff;
+
+class ZigbeeGroup extends Device {
+  constructor(adapter, groupId, name) {
+    super(adapter, `zb-group-${Utils.hexStr(groupId, 4)}`);
+
+    this.driver = adapter.driver;
+    this.groupId = groupId;
+    this.defaultName = `Zigbee Group ${Utils.hexStr(groupId, 4)}`;
+    this.name = name || this.defaultName;
+
+    // Each member is an object containing the addr64 and endpoint of
+    // a node which has been added to the group.
+    this.members = [];
+    this.added = false;
+    this.zclSeqNum = 1;
+
+    this.type = 'light';
+    this['@type'] = ['Light', 'ColorControl', 'OnOffSwitch'];
+
+    this.addGroupProperty(
+      'on', // name
+      {
+        // property description
+        '@type': 'OnOffProperty',
+        label: 'On/Off',
+        type: 'boolean',
+      },
+      CLUSTER_ID.GENONOFF, // clusterId
+      'setOnOffValue', // setAttrFromValue
+      false // defaultValue
+    );
+    this.addGroupProperty(
+      'level', // name
+      {
+        // property description
+        '@type': 'BrightnessProperty',
+        label: 'Brightness',
+        type: 'number',
+        unit: 'percent',
+        minimum: 0,
+        maximum: 100,
+        multipleOf: 0.1,
+      },
+      CLUSTER_ID.GENLEVELCTRL, // clusterId
+      'setLevelValue', // setAttrFromValue
+      100 // defaultValue
+    );
+    // We use XY for the color since it's supported by more color lights
+    // than hue and saturation are.
+    this.addGroupProperty(
+      'color', // name
+      {
+        // property description
+        '@type': 'ColorProperty',
+        label: 'Color',
+        type: 'string',
+      },
+      CLUSTER_ID.LIGHTINGCOLORCTRL, // clusterId
+      'setColorXYValue', // setAttrFromValue
+      '#ffffff' // defaultValue
+    );
+  }
+
+  addGroupProperty(name, descr, clusterId, setAttrFromValue, defaultValue) {
+    const property = new ZigbeeProperty(
+      this, // device
+      name, // name
+      descr, // property description
+      PROFILE_ID.ZHA, // profileId
+      GROUP_ENDPOINT, // endpoint
+      clusterId, // clusterId
+      '', // attr
+      setAttrFromValue, // setAttrFromValue
+      '' // parseValueFromAttr
+    );
+    property.setCachedValue(defaultValue);
+    this.properties.set(name, property);
+    return property;
+  }
+
+  asDeviceInfo() {
+    const devInfo = {
+      groupId: this.groupId,
+      name: this.name,
+      members: this.members.map((member) => Object.assign({}, member)),
+      properties: {},
+    };
+    this.properties.forEach((property, propertyName) => {
+      devInfo.properties[propertyName] = property.value;
+    });
+    return devInfo;
+  }
+
+  fromDeviceInfo(devInfo) {
+    this.name = devInfo.name || this.defaultName;
+    this.members = (devInfo.members || []).map((member) => Object.assign({}, member));
+    for (const propertyName in devInfo.properties) {
+      const property = this.findProperty(propertyName);
+      if (property) {
+        property.setCachedValue(devInfo.properties[propertyName]);
+      }
+    }
+  }
+
+  advanceZclSeqNum() {
+    this.zclSeqNum = (this.zclSeqNum + 1) & 0xff;
+    if (this.zclSeqNum == 0) {
+      this.zclSeqNum = 1;
+    }
+  }
+
+  findMember(addr64, endpoint) {
+    return this.members.find((member) => {
+      return member.addr64 == addr64 && member.endpoint == endpoint;
+    });
+  }
+
+  addMember(addr64, endpoint) {
+    if (this.findMember(addr64, endpoint)) {
+      return false;
+    }
+    DEBUG && console.log('ZigbeeGroup:', this.name, 'adding member:', addr64, endpoint);
+    this.members.push({ addr64, endpoint });
+    return true;
+  }
+
+  removeMember(addr64, endpoint) {
+    const member = this.findMember(addr64, endpoint);
+    if (!member) {
+      return false;
+    }
+    DEBUG && console.log('ZigbeeGroup:', this.name, 'removing member:', addr64, endpoint);
+    this.members.splice(this.members.indexOf(member), 1);
+    return true;
+  }
+
+  makeZclFrame(clusterId, zclData) {
+    if (!zclData.hasOwnProperty('frameCntl')) {
+      zclData.frameCntl = {
+        frameType: 0,
+      };
+    }
+    zclData.frameCntl.manufSpec = 0;
+    zclData.frameCntl.direction = DIR.CLIENT_TO_SERVER;
+    // Having every member of the group send a defaultRsp would just
+    // create a flurry of traffic which we'd ignore anyways.
+    zclData.frameCntl.disDefaultRsp = 1;
+    zclData.manufCode = 0;
+    if (!zclData.hasOwnProperty('payload')) {
+      zclData.payload = [];
+    }
+    zclData.seqNum = this.zclSeqNum;
+    this.advanceZclSeqNum();
+
+    const frame = {
+      id: this.driver.nextFrameId(),
+      type: this.driver.getExplicitTxFrameType(),
+      destinationGroup: this.groupId,
+      sourceEndpoint: 1,
+
+      destinationEndpoint: GROUP_ENDPOINT,
+      profileId: PROFILE_ID.ZHA,
+      clusterId: Utils.hexStr(clusterId, 4),
+
+      broadcastRadius: 0,
+      options: 0,
+      zcl: zclData,
+    };
+
+    frame.data = zcl.frame(
+      zclData.frameCntl,
+      zclData.manufCode,
+      zclData.seqNum,
+      zclData.cmd,
+      zclData.payload,
+      clusterId
+    );
+    return frame;
+  }
+
+  // The ZigbeeProperty setters call sendZclFrameWaitExplicitRx and
+  // sendZclFrameWaitExplicitRxResolve on the device which owns the
+  // property, so we provide group versions of them here.
+
+  sendZclFrameWaitExplicitRx(property, zclData) {
+    const frame = this.makeZclFrame(property.clusterId, zclData);
+    this.adapter.sendFrameWaitFrame(frame, this.driver.getGroupFrameWaitFrame(frame));
+  }
+
+  sendZclFrameWaitExplicitRxResolve(property, zclData) {
+    const frame = this.makeZclFrame(property.clusterId, zclData);
+    this.adapter.sendFrameWaitFrameResolve(
+      frame,
+      this.driver.getGroupFrameWaitFrame(frame),
+      property
+    );
+    // None of the members report their values back to the group, so
+    // the value we just sent is the best we know.
+    this.notifyPropertyChanged(property);
+  }
+
+  notifyPropertyChanged(property) {
+    super.notifyPropertyChanged(property);
+    this.adapter.saveDeviceInfoDeferred();
+  }
+}
+
+module.exports = ZigbeeGroup;
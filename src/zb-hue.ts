@@ -0,0 +1,133 @@
+/**
+ *
+ * zb-hue.js - special case code for Philips Hue devices.
+ *
+ * The Hue devices are classified by the generic classifier, and this
+ * family then adds the model specific properties and events. The motion
+ * sensor settings are manufacturer specific attributes, which need to be
+ * read and written using the Philips manufacturer code.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+import ZigbeeFamily from './zb-family';
+import DEBUG_FLAG from './zb-debug';
+import { CLUSTER_ID, MANUFACTURER_CODE } from './zb-constants';
+
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const ZigbeeNode = require('./zb-node');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const zigbeeClassifier = require('./zb-classifier');
+
+const DEBUG = DEBUG_FLAG.DEBUG_hue;
+
+const DIMMER_MODELS = ['RWL020', 'RWL021'];
+
+const MOTION_SENSOR_MODELS = ['SML001', 'SML002', 'SML003', 'SML004'];
+
+// The manufacturer specific attributes used by the motion sensors.
+const SENSITIVITY_ATTR = {
+  manufCode: MANUFACTURER_CODE.PHILIPS,
+  attr: 'sensitivity',
+  attrId: 0x0030, // msOccupancySensing
+  dataType: 'uint8',
+};
+
+const LED_INDICATION_ATTR = {
+  manufCode: MANUFACTURER_CODE.PHILIPS,
+  attr: 'ledIndication',
+  attrId: 0x0033, // genBasic
+  dataType: 'boolean',
+};
+
+export default class HueFamily extends ZigbeeFamily {
+  constructor() {
+    super('hue');
+  }
+
+  classify(node: typeof ZigbeeNode): void {
+    zigbeeClassifier.classify(node);
+
+    if (DIMMER_MODELS.includes(node.modelId)) {
+      this.classifyDimmer(node);
+    } else if (MOTION_SENSOR_MODELS.includes(node.modelId)) {
+      this.classifyMotionSensor(node);
+    }
+  }
+
+  /**
+   * @method classifyDimmer
+   *
+   * The Hue Dimmer has 4 buttons and uses the middle 2 buttons to perform
+   * the dimming. The generic classifier takes care of the on and off
+   * buttons.
+   */
+  classifyDimmer(node: typeof ZigbeeNode): void {
+    const levelProperty = node.properties.get('level');
+    if (!levelProperty) {
+      return;
+    }
+    levelProperty.buttonIndex = 3;
+    zigbeeClassifier.addEvents(node, {
+      '3-pressed': {
+        '@type': 'PressedEvent',
+        description: 'Increase button pressed and released',
+      },
+      '4-pressed': {
+        '@type': 'PressedEvent',
+        description: 'Decrease button pressed and released',
+      },
+    });
+  }
+
+  /**
+   * @method classifyMotionSensor
+   *
+   * Adds the sensitivity and LED indication settings to the Hue motion
+   * sensors. Both attributes live on the endpoint with the occupancy
+   * sensor.
+   */
+  classifyMotionSensor(node: typeof ZigbeeNode): void {
+    const endpoint = node.findZhaEndpointWithInputClusterIdHex(CLUSTER_ID.OCCUPANCY_SENSOR_HEX);
+    if (!endpoint) {
+      return;
+    }
+    DEBUG && console.log('hue: adding motion sensor settings to', node.addr64, 'EP:', endpoint);
+    zigbeeClassifier.addManufacturerProperty(
+      node, // device
+      'sensitivity', // name
+      {
+        // property description
+        label: 'Sensitivity',
+        type: 'string',
+        enum: ['low', 'medium', 'high'],
+      },
+      endpoint, // endpoint
+      CLUSTER_ID.OCCUPANCY_SENSOR, // clusterId
+      SENSITIVITY_ATTR, // manufAttr
+      'setWriteEnumValue', // setAttrFromValue
+      'parseEnumAttr' // parseValueFromAttr
+    );
+    zigbeeClassifier.addManufacturerProperty(
+      node, // device
+      'ledIndication', // name
+      {
+        // property description
+        label: 'LED Indication',
+        description: 'Blink the LED when motion is detected',
+        type: 'boolean',
+      },
+      endpoint, // endpoint
+      CLUSTER_ID.GENBASIC, // clusterId
+      LED_INDICATION_ATTR, // manufAttr
+      'setOnOffWriteValue', // setAttrFromValue
+      'parseOnOffAttr' // parseValueFromAttr
+    );
+  }
+
+  identify(node: typeof ZigbeeNode): boolean {
+    return DIMMER_MODELS.includes(node.modelId) || MOTION_SENSOR_MODELS.includes(node.modelId);
+  }
+}
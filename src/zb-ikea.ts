@@ -0,0 +1,150 @@
+/**
+ *
+ * zb-ikea.js - special case code for IKEA TRÅDFRI devices.
+ *
+ * The TRÅDFRI remote control uses manufacturer specific genScenes commands
+ * for its left and right arrow buttons. The driver decodes these (since
+ * zcl-packet doesn't know about them) and this family turns them into
+ * button events.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+import ZigbeeFamily, { ZclFrame } from './zb-family';
+import DEBUG_FLAG from './zb-debug';
+import { CLUSTER_ID } from './zb-constants';
+
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const ZigbeeNode = require('./zb-node');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const zigbeeClassifier = require('./zb-classifier');
+
+const DEBUG = DEBUG_FLAG.DEBUG_ikea;
+
+const REMOTE_MODEL = 'TRADFRI remote control';
+
+// The buttons are numbered 1 (center), 2 (top), 3 (bottom), 4 (right)
+// and 5 (left).
+const BUTTON_LABELS = ['Top', 'Bottom', 'Right', 'Left'];
+const RIGHT_ARROW_BUTTON = 4;
+
+export default class IkeaFamily extends ZigbeeFamily {
+  constructor() {
+    super('ikea');
+  }
+
+  classify(node: typeof ZigbeeNode): void {
+    if (node.modelId === REMOTE_MODEL) {
+      this.addRemoteScenesCluster(node);
+    }
+
+    zigbeeClassifier.classify(node);
+
+    if (node.modelId === REMOTE_MODEL) {
+      this.classifyRemote(node);
+    }
+  }
+
+  /**
+   * @method addRemoteScenesCluster
+   *
+   * Version E1810 of the remote (deviceId 0820) is missing the genScenes
+   * output cluster, but still sends the arrow button commands using it.
+   */
+  addRemoteScenesCluster(node: typeof ZigbeeNode): void {
+    const endpoint = node.activeEndpoints['1'];
+    if (
+      endpoint &&
+      endpoint.deviceId === '0820' &&
+      node.findZhaEndpointWithOutputClusterIdHex(CLUSTER_ID.GENSCENES_HEX).length == 0
+    ) {
+      endpoint.outputClusters.push(CLUSTER_ID.GENSCENES_HEX);
+      endpoint.outputClusters.sort();
+    }
+  }
+
+  /**
+   * @method classifyRemote
+   *
+   * This is the IKEA remote with a center button and 4 other buttons
+   * around the edge. The generic classifier has already added the on
+   * property (the center button sends a toggle rather than on/off) and
+   * the level property (top and bottom buttons).
+   */
+  classifyRemote(node: typeof ZigbeeNode): void {
+    const levelProperty = node.properties.get('level');
+    if (!levelProperty) {
+      return;
+    }
+    levelProperty.buttonIndex = 2; // this property also covers button 3
+    let buttonCount = 2;
+
+    const genScenesOutputEndpoints = node.findZhaEndpointWithOutputClusterIdHex(
+      CLUSTER_ID.GENSCENES_HEX
+    );
+    if (genScenesOutputEndpoints[0]) {
+      const sceneProperty = zigbeeClassifier.addButtonSceneProperty(
+        node,
+        genScenesOutputEndpoints[0]
+      );
+      sceneProperty.buttonIndex = RIGHT_ARROW_BUTTON; // this property also covers button 5
+      buttonCount = 4;
+    }
+
+    // The edge buttons can all generate pressed, longPressed and
+    // released events.
+    for (let i = 0; i < buttonCount; i++) {
+      zigbeeClassifier.addEvents(node, {
+        [`${i + 2}-pressed`]: {
+          '@type': 'PressedEvent',
+          description: `${BUTTON_LABELS[i]} button pressed and released`,
+        },
+        [`${i + 2}-longPressed`]: {
+          '@type': 'LongPressedEvent',
+          description: `${BUTTON_LABELS[i]} button pressed and held`,
+        },
+        [`${i + 2}-released`]: {
+          '@type': 'ReleasedEvent',
+          description: `${BUTTON_LABELS[i]} button released (after being held)`,
+        },
+      });
+    }
+  }
+
+  handleZhaResponse(node: typeof ZigbeeNode, frame: ZclFrame): boolean {
+    if (parseInt(frame.clusterId, 16) != CLUSTER_ID.GENSCENES) {
+      return false;
+    }
+    const payload = <{ value: number }>frame.zcl.payload;
+    switch (frame.zcl.cmdId) {
+      case 'tradfriArrowSingle':
+      case 'tradfriArrowHold': {
+        // The low bit of the value is set for the left arrow.
+        const button = RIGHT_ARROW_BUTTON + (payload.value & 0x01);
+        DEBUG && console.log('ikea:', frame.zcl.cmdId, 'value:', payload.value, 'button:', button);
+        if (frame.zcl.cmdId == 'tradfriArrowHold') {
+          node.heldButton = button;
+          node.notifyEvent(`${button}-longPressed`);
+        } else {
+          node.notifyEvent(`${button}-pressed`);
+        }
+        return true;
+      }
+
+      case 'tradfriArrowRelease':
+        // The value is how long the button was held for.
+        if (node.heldButton) {
+          node.notifyEvent(`${node.heldButton}-released`);
+          node.heldButton = null;
+        }
+        return true;
+    }
+    return false;
+  }
+
+  identify(node: typeof ZigbeeNode): boolean {
+    return node.modelId === REMOTE_MODEL;
+  }
+}
@@ -17,6 +17,8 @@ const zcl = require('zcl-packet');
 const zdo = require('zigbee-zdo');
 const zigbeeClassifier = require('./zb-classifier');
 const ZigbeeFamily = require('./zb-family').default;
+const { parseOtaRequest } = require('./zb-ota');
+const { makeTuyaFrameData } = require('./zb-tuya-frame');
 
 const { Device, Event, Utils } = require('gateway-addon');
 const {
@@ -24,7 +26,13 @@ const {
   BROADCAST_ADDR,
   CLUSTER_ID,
   DIR,
+  DOORLOCK_DAYS,
   DOORLOCK_EVENT_CODES,
+  DOORLOCK_USER_STATUS,
+  DOORLOCK_USER_TYPE,
+  IAS_WD_LEVEL,
+  IAS_WD_SQUAWK_MODE,
+  IAS_WD_WARNING_MODE,
   POWERSOURCE,
   PROFILE_ID,
   STATUS,
@@ -37,8 +45,31 @@ const DEBUG = DEBUG_node;
 const FAST_CHECKIN_INTERVAL = 20 * 4; // 20 seconds (quarter seconds)
 const SLOW_CHECKIN_INTERVAL = 10 * 60 * 4; // 10 min (quarter seconds)
 
+// Largest amount of image data we'll send in a single imageBlockRsp. This
+// keeps the frame small enough that it doesn't need to be fragmented.
+const OTA_MAX_BLOCK_SIZE = 64;
+
 const SKIP_DISCOVER_READ_CLUSTERS = ['haDiagnostic', 'genGreenPowerProxy'];
 
+// Maps window covering action names onto closuresWindowCovering commands.
+const WINDOW_COVERING_ACTION_CMD = {
+  open: 'upOpen',
+  close: 'downClose',
+  stop: 'stop',
+};
+
+// Used for startWarning when the action doesn't specify a duration, and
+// the device doesn't report a maxDuration.
+const DEFAULT_WARNING_DURATION = 30; // seconds
+
+// Maps the scene actions to the genScenes command which implements them.
+const SCENE_ACTION_CMD = {
+  storeScene: 'store',
+  recallScene: 'recall',
+  removeScene: 'remove',
+  getSceneMembership: 'getSceneMembership',
+};
+
 const DEVICE_INFO_FIELDS = [
   'name',
   'type',
@@ -50,6 +81,8 @@ const DEVICE_INFO_FIELDS = [
   'colorCapabilities',
   'colorMode',
   'zoneType',
+  'windowCoveringType',
+  'manufacturerName',
   'modelId',
   'appVersion',
   'powerSource',
@@ -60,8 +93,48 @@ const DEVICE_INFO_FIELDS = [
   'slowCheckinInterval',
   'pollCtrlBindingNeeded',
   'rxOnWhenIdle',
+  'scenes',
+  'doorLockUsers',
+];
+
+// The door lock user actions which are sent to the lock as a command
+// with the same name.
+const DOORLOCK_USER_ACTIONS = [
+  'setPinCode',
+  'getPinCode',
+  'clearPinCode',
+  'setRfidCode',
+  'getRfidCode',
+  'clearRfidCode',
+  'setUserStatus',
+  'setUserType',
 ];
 
+// The door lock schedules use the number of seconds since the start of
+// 2000, in local time.
+const ZIGBEE_EPOCH_MS = Date.UTC(2000, 0, 1);
+
+function zigbeeLocalTime(dateStr) {
+  const date = new Date(dateStr);
+  const localMs = date.getTime() - date.getTimezoneOffset() * 60 * 1000;
+  return Math.floor((localMs - ZIGBEE_EPOCH_MS) / 1000);
+}
+
+// Parses a time of day (HH:MM) into [hour, minute], or returns null if it
+// isn't a valid time.
+function parseTimeOfDay(timeStr) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(`${timeStr}`);
+  if (!match) {
+    return null;
+  }
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  return [hour, minute];
+}
+
 class ZigbeeNode extends Device {
   constructor(adapter, id64, id16) {
     // Our id is a Mac address on the Zigbee network. It's unique within
@@ -250,7 +323,7 @@ class ZigbeeNode extends Device {
   classify() {
     if (this.family) {
       DEBUG && console.log('classify: Calling family classifier:', this.family.name);
-      this.family.classify();
+      this.family.classify(this);
     } else {
       DEBUG && console.log('classify: Calling generic classifier for:', this.addr64);
       zigbeeClassifier.classify(this);
@@ -325,6 +398,58 @@ class ZigbeeNode extends Device {
         }
         break;
 
+      case 'addGroup':
+      case 'removeGroup': {
+        if (!params.hasOwnProperty('groupId')) {
+          console.error('Missing parameter: groupId');
+          break;
+        }
+        if (typeof params.groupId === 'string') {
+          // Group ids are normally shown in hex
+          params.groupId = parseInt(params.groupId, 16);
+        }
+        if (cmd == 'addGroup') {
+          this.adapter.addGroup(this, params.groupId, params.name, params.endpoint);
+        } else {
+          this.adapter.removeGroup(this, params.groupId, params.endpoint);
+        }
+        break;
+      }
+
+      case 'getGroupMembership':
+        this.adapter.getGroupMembership(this, params.endpoint);
+        break;
+
+      case 'groups':
+        for (const groupId in this.adapter.groups) {
+          const group = this.adapter.groups[groupId];
+          console.log(
+            Utils.hexStr(group.groupId, 4),
+            group.name,
+            'members:',
+            group.members.map((member) => `${member.addr64}/${member.endpoint}`).join(' ')
+          );
+        }
+        break;
+
+      case 'topology':
+        // Refresh the neighbor and routing tables first, unless told
+        // to just export what we already know.
+        if (params.refresh === false || params.refresh === 'false') {
+          this.adapter.exportTopology();
+        } else {
+          this.adapter.refreshTopology(true);
+        }
+        break;
+
+      case 'backupNetwork':
+        this.adapter.backupNetwork(params.fileName);
+        break;
+
+      case 'restoreNetwork':
+        this.adapter.restoreNetwork(params.fileName);
+        break;
+
       case 'discoverAttr':
         if (typeof params.endpoint === 'string') {
           params.endpoint = parseInt(params.endpoint);
@@ -715,28 +840,131 @@ class ZigbeeNode extends Device {
       this.adapter.populateNodeInfo(this);
     }
 
-    // For the time being, we always indicate that we have no OTA images
-    const rspFrame = this.makeZclFrame(
-      parseInt(frame.sourceEndpoint, 16),
-      frame.profileId,
-      CLUSTER_ID.GENOTA,
-      {
-        cmd: 'queryNextImageRsp',
-        frameCntl: {
-          frameType: 1, // queryNextImageRsp is specific to genOta
-          direction: DIR.SERVER_TO_CLIENT,
-          disDefaultRsp: 1,
-        },
-        seqNum: frame.zcl.seqNum,
-        payload: {
-          status: zclId.status('noImageAvailable').value,
-        },
+    const req = parseOtaRequest(frame);
+    const image =
+      req &&
+      this.adapter.otaImages.findNewerImage(
+        req.manufacturerCode,
+        req.imageType,
+        req.fileVersion,
+        req.hwVersion
+      );
+    let payload;
+    if (image) {
+      const header = image.header;
+      console.log(
+        this.name,
+        'OTA image',
+        image.fileName,
+        `(fileVersion 0x${header.fileVersion.toString(16)})`,
+        `available - currently running 0x${req.fileVersion.toString(16)}`
+      );
+      payload = [
+        STATUS.SUCCESS,
+        header.manufacturerCode,
+        header.imageType,
+        header.fileVersion,
+        header.imageSize,
+      ];
+    } else {
+      payload = {
+        status: zclId.status('noImageAvailable').value,
+      };
+    }
+    const rspFrame = this.makeOtaRspFrame(frame, 'queryNextImageRsp', payload);
+    DEBUG &&
+      console.log('handleQueryNextImageReq: rspFrame =', util.inspect(rspFrame, { depth: null }));
+    this.adapter.queueFrameNoWait(rspFrame);
+  }
+
+  handleImageBlockReq(frame) {
+    const req = parseOtaRequest(frame);
+    const image =
+      req && this.adapter.otaImages.getImage(req.manufacturerCode, req.imageType, req.fileVersion);
+    if (!image) {
+      // The image we offered is no longer available.
+      this.adapter.queueFrameNoWait(
+        this.makeOtaRspFrame(frame, 'imageBlockRsp', [zclId.status('abort').value])
+      );
+      return;
+    }
+    this.sendOtaImageBlock(frame, image, req.fileOffset, req.maxDataSize);
+  }
+
+  handleImagePageReq(frame) {
+    const req = parseOtaRequest(frame);
+    const image =
+      req && this.adapter.otaImages.getImage(req.manufacturerCode, req.imageType, req.fileVersion);
+    // A new page request replaces any page which is still being sent.
+    this.cancelOtaImagePage();
+    if (!image) {
+      this.adapter.queueFrameNoWait(
+        this.makeOtaRspFrame(frame, 'imageBlockRsp', [zclId.status('abort').value])
+      );
+      return;
+    }
+
+    // A page request is answered with a series of imageBlockRsp's, sent
+    // responseSpacing milliseconds apart.
+    const blockSize = Math.min(req.maxDataSize, OTA_MAX_BLOCK_SIZE);
+    const pageEnd = Math.min(req.fileOffset + req.pageSize, image.data.length);
+    let fileOffset = req.fileOffset;
+    const sendNextBlock = () => {
+      this.otaPageTimer = null;
+      const dataSize = Math.min(blockSize, pageEnd - fileOffset);
+      this.sendOtaImageBlock(frame, image, fileOffset, dataSize);
+      fileOffset += dataSize;
+      if (fileOffset < pageEnd) {
+        this.otaPageTimer = setTimeout(sendNextBlock, req.responseSpacing);
       }
+    };
+    sendNextBlock();
+  }
+
+  // Stops sending the rest of the page requested by an imagePageReq. This
+  // is called when the upgrade ends or is aborted, and when the node goes
+  // away.
+  cancelOtaImagePage() {
+    if (this.otaPageTimer) {
+      clearTimeout(this.otaPageTimer);
+      this.otaPageTimer = null;
+    }
+  }
+
+  handleUpgradeEndReq(frame) {
+    this.cancelOtaImagePage();
+    const req = parseOtaRequest(frame);
+    if (!req) {
+      return;
+    }
+    if (req.status != STATUS.SUCCESS) {
+      console.error(
+        this.name,
+        'OTA upgrade to fileVersion',
+        `0x${req.fileVersion.toString(16)}`,
+        'failed - status:',
+        req.status
+      );
+      this.updateOtaProgress(0);
+      this.adapter.queueFrameNoWait(this.makeDefaultRspFrame(frame, STATUS.SUCCESS));
+      return;
+    }
+    console.log(
+      this.name,
+      'OTA upgrade to fileVersion',
+      `0x${req.fileVersion.toString(16)}`,
+      'downloaded - telling device to upgrade now'
     );
-    rspFrame.sourceEndpoint = parseInt(frame.destinationEndpoint, 16);
-    DEBUG &&
-      console.log('handleQueryNextImageReq: rspFrame =', util.inspect(frame, { depth: null }));
-    this.adapter.sendFrameNow(rspFrame);
+    this.updateOtaProgress(100);
+    // A currentTime and upgradeTime of zero means upgrade now.
+    const rspFrame = this.makeOtaRspFrame(frame, 'upgradeEndRsp', [
+      req.manufacturerCode,
+      req.imageType,
+      req.fileVersion,
+      0, // currentTime
+      0, // upgradeTime
+    ]);
+    this.adapter.queueFrameNoWait(rspFrame);
   }
 
   handleReadRsp(frame) {
@@ -780,8 +1008,10 @@ class ZigbeeNode extends Device {
     this.handleGenericZclReadRsp(frame);
 
     if (!this.family) {
-      if (frame.zcl.cmdId === 'report') {
-        // Xiaomi devices announce themselves using a genBasic report.
+      if (frame.zcl.cmdId === 'report' || frame.clusterId == CLUSTER_ID.GENBASIC_HEX) {
+        // Xiaomi devices announce themselves using a genBasic report,
+        // and other devices with definitions are identified once we've
+        // read their modelId.
         if (ZigbeeFamily.identifyFamily(this)) {
           this.adapter.saveDeviceInfo();
         }
@@ -920,6 +1150,9 @@ class ZigbeeNode extends Device {
             case ATTR_ID.GENBASIC.APPVERSION: // 1
               this.appVersion = attrEntry.attrData;
               break;
+            case ATTR_ID.GENBASIC.MANUFACTURERNAME: // 4
+              this.manufacturerName = attrEntry.attrData;
+              break;
             case ATTR_ID.GENBASIC.MODELID: // 5
               this.modelId = attrEntry.attrData;
               break;
@@ -959,6 +1192,15 @@ class ZigbeeNode extends Device {
           }
           break;
 
+        case CLUSTER_ID.CLOSURESWINDOWCOVERING_HEX:
+          switch (attrEntry.attrId) {
+            case ATTR_ID.CLOSURESWINDOWCOVERING.WINDOWCOVERINGTYPE:
+              this.windowCoveringType = attrEntry.attrData;
+              console.log('Stored windowCoveringType:', this.windowCoveringType);
+              break;
+          }
+          break;
+
         case CLUSTER_ID.SSIASZONE_HEX:
           switch (attrEntry.attrId) {
             case ATTR_ID.SSIASZONE.ZONESTATE:
@@ -1332,12 +1574,145 @@ class ZigbeeNode extends Device {
     }
     const eventCodeStr = DOORLOCK_EVENT_CODES[eventCode];
 
-    this.notifyEvent(eventCodeStr, {
+    const eventData = {
       code: payload.opereventcode,
       source: payload.opereventsrc,
       sourceStr: eventSrcStr,
       userId: payload.userid,
+    };
+    const user = this.doorLockUsers && this.doorLockUsers[payload.userid];
+    if (user && user.label) {
+      eventData.userLabel = user.label;
+    }
+    this.notifyEvent(eventCodeStr, eventData);
+  }
+
+  // Applies the change made by a door lock user command, once the lock
+  // has responded to it. The changes are persisted as this.doorLockUsers
+  // (the label, status, type and which codes are set, keyed by user id).
+  // The codes themselves are never stored.
+  handleDoorLockUserRsp(frame) {
+    const request = this.doorLockRequests && this.doorLockRequests[frame.zcl.seqNum];
+    if (!request) {
+      DEBUG && console.log(this.name, 'no door lock request for', frame.zcl.cmdId);
+      return;
+    }
+    delete this.doorLockRequests[frame.zcl.seqNum];
+    if (frame.zcl.payload.status != STATUS.SUCCESS) {
+      console.error(
+        this.name,
+        'door lock command',
+        frame.zcl.cmdId,
+        'for user',
+        request.userId,
+        'failed, status:',
+        frame.zcl.payload.status
+      );
+      return;
+    }
+    if (request.changes) {
+      this.updateDoorLockUser(request.userId, request.changes);
+    }
+  }
+
+  handleDoorLockCodeRsp(frame) {
+    const payload = frame.zcl.payload;
+    const eventName = frame.zcl.cmdId == 'getPinCodeRsp' ? 'pinCode' : 'rfidCode';
+    const status = Object.keys(DOORLOCK_USER_STATUS).find((key) => {
+      return DOORLOCK_USER_STATUS[key] == payload.userstatus;
     });
+    const type = DOORLOCK_USER_TYPE[payload.usertype];
+    const hasCode = eventName == 'pinCode' ? 'hasPin' : 'hasRfid';
+    // getRfidCodeRsp carries the code in rfidcodevalue, although the zcl-packet
+    // 0.2.4 definition still calls it pincodevalue.
+    const code =
+      eventName == 'pinCode' ? payload.pincodevalue : payload.rfidcodevalue || payload.pincodevalue;
+    const user = this.updateDoorLockUser(payload.userid, {
+      status: status,
+      type: type,
+      [hasCode]: !!code,
+    });
+    // The code itself is neither logged nor passed along with the event,
+    // only whether the user has one.
+    console.log(this.name, 'event:', eventName, 'userId:', payload.userid);
+    this.eventNotify(
+      new Event(this, eventName, {
+        userId: payload.userid,
+        userLabel: user.label,
+        status: status,
+        type: type,
+        [hasCode]: !!code,
+      })
+    );
+  }
+
+  updateDoorLockUser(userId, changes) {
+    if (!this.doorLockUsers) {
+      this.doorLockUsers = {};
+    }
+    const user = this.doorLockUsers[userId] || {};
+    for (const key in changes) {
+      if (typeof changes[key] !== 'undefined') {
+        user[key] = changes[key];
+      }
+    }
+    this.doorLockUsers[userId] = user;
+    this.adapter.saveDeviceInfoDeferred();
+    return user;
+  }
+
+  // Keeps track of the scenes which are stored in the node, which is
+  // persisted as this.scenes (a list of scene ids keyed by group id).
+  handleScenesResponse(frame) {
+    const payload = frame.zcl.payload;
+    if (payload.status != STATUS.SUCCESS) {
+      if (frame.zcl.cmdId != 'removeRsp' || payload.status != STATUS.NOT_FOUND) {
+        console.error(
+          this.name,
+          'scene command',
+          frame.zcl.cmdId,
+          'failed, status:',
+          this.adapter.frameStatus(payload).key
+        );
+        return;
+      }
+    }
+    if (!this.scenes) {
+      this.scenes = {};
+    }
+    const groupId = payload.groupid;
+    const sceneIds = this.scenes[groupId] || [];
+    switch (frame.zcl.cmdId) {
+      case 'storeRsp':
+        if (!sceneIds.includes(payload.sceneid)) {
+          sceneIds.push(payload.sceneid);
+          sceneIds.sort((a, b) => a - b);
+        }
+        break;
+      case 'removeRsp':
+        if (sceneIds.includes(payload.sceneid)) {
+          sceneIds.splice(sceneIds.indexOf(payload.sceneid), 1);
+        }
+        break;
+      case 'getSceneMembershipRsp':
+        sceneIds.splice(0, sceneIds.length, ...(payload.scenelist || []));
+        console.log(
+          this.name,
+          'group',
+          groupId,
+          'scenes:',
+          sceneIds,
+          'capacity:',
+          payload.capacity
+        );
+        break;
+    }
+    if (sceneIds.length > 0) {
+      this.scenes[groupId] = sceneIds;
+    } else {
+      delete this.scenes[groupId];
+    }
+    this.adapter.saveDeviceInfoDeferred();
   }
 
   handleStatusChangeNotification(frame) {
@@ -1404,6 +1779,9 @@ class ZigbeeNode extends Device {
 
   handleZhaResponse(frame) {
     DEBUG && console.log('handleZhaResponse: node:', this.addr64);
+    if (frame.zcl && this.family && this.family.handleZhaResponse(this, frame)) {
+      return;
+    }
     if (frame.zcl) {
       switch (frame.zcl.cmdId) {
         case 'configReportRsp':
@@ -1420,6 +1798,22 @@ class ZigbeeNode extends Device {
         case 'operationEventNotification': // door lock event
           this.handleDoorLockEvent(frame);
           break;
+        case 'setPinCodeRsp': // door lock user commands
+        case 'clearPinCodeRsp':
+        case 'setRfidCodeRsp':
+        case 'clearRfidCodeRsp':
+        case 'setUserStatusRsp':
+        case 'setUserTypeRsp':
+        case 'setWeekDayScheduleRsp':
+        case 'clearWeekDayScheduleRsp':
+        case 'setYearDayScheduleRsp':
+        case 'clearYearDayScheduleRsp':
+          this.handleDoorLockUserRsp(frame);
+          break;
+        case 'getPinCodeRsp':
+        case 'getRfidCodeRsp':
+          this.handleDoorLockCodeRsp(frame);
+          break;
         case 'discoverRsp':
           this.handleDiscoverRsp(frame);
           break;
@@ -1438,9 +1832,34 @@ class ZigbeeNode extends Device {
           // We send a queryNextImageRsp, so no need to
           // generate a defaultRsp
           return;
+        case 'imageBlockReq':
+          this.handleImageBlockReq(frame);
+          return;
+        case 'imagePageReq':
+          this.handleImagePageReq(frame);
+          return;
+        case 'upgradeEndReq':
+          // handleUpgradeEndReq sends either an upgradeEndRsp or
+          // a defaultRsp
+          this.handleUpgradeEndReq(frame);
+          return;
         case 'checkin':
           this.handleCheckin(frame);
           break;
+        case 'addRsp':
+        case 'removeRsp':
+        case 'getMembershipRsp':
+        case 'storeRsp':
+        case 'getSceneMembershipRsp': {
+          // genGroups and genScenes use some of the same command names.
+          const clusterId = zdo.getClusterIdAsInt(frame.clusterId);
+          if (clusterId == CLUSTER_ID.GENGROUPS) {
+            this.adapter.handleGroupsResponse(this, frame);
+          } else if (clusterId == CLUSTER_ID.GENSCENES) {
+            this.handleScenesResponse(frame);
+          }
+          break;
+        }
         case 'on':
         case 'onWithTimedOff':
         case 'off':
@@ -2053,16 +2472,43 @@ class ZigbeeNode extends Device {
     return rspFrame;
   }
 
-  makeReadAttributeFrame(endpoint, profileId, clusterId, attrIds) {
+  makeOtaRspFrame(reqFrame, cmd, payload) {
+    const rspFrame = this.makeZclFrame(
+      parseInt(reqFrame.sourceEndpoint, 16),
+      reqFrame.profileId,
+      CLUSTER_ID.GENOTA,
+      {
+        cmd: cmd,
+        frameCntl: {
+          frameType: 1, // genOta responses are cluster specific
+          direction: DIR.SERVER_TO_CLIENT,
+          disDefaultRsp: 1,
+        },
+        seqNum: reqFrame.zcl.seqNum,
+        payload: payload,
+      }
+    );
+    rspFrame.sourceEndpoint = parseInt(reqFrame.destinationEndpoint, 16);
+    return rspFrame;
+  }
+
+  makeReadAttributeFrame(endpoint, profileId, clusterId, attrIds, manufCode) {
     if (!Array.isArray(attrIds)) {
       attrIds = [attrIds];
     }
-    const frame = this.makeZclFrame(endpoint, profileId, clusterId, {
+    const zclData = {
       cmd: 'read',
       payload: attrIds.map((attrId) => {
         return { direction: DIR.CLIENT_TO_SERVER, attrId: attrId };
       }),
-    });
+    };
+    if (manufCode) {
+      // Manufacturer specific attributes need to be read using a
+      // manufacturer specific frame.
+      zclData.frameCntl = { frameType: 0, manufSpec: 1 };
+      zclData.manufCode = manufCode;
+    }
+    const frame = this.makeZclFrame(endpoint, profileId, clusterId, zclData);
     return frame;
   }
 
@@ -2071,7 +2517,8 @@ class ZigbeeNode extends Device {
       property.endpoint,
       property.profileId,
       property.clusterId,
-      property.attrId
+      property.attrId,
+      property.manufCode
     );
   }
 
@@ -2156,6 +2603,11 @@ class ZigbeeNode extends Device {
       frame.destination16 = this.addr16;
     }
 
+    if (clusterId == CLUSTER_ID.TUYA && zclData.frameCntl.frameType == 1) {
+      // zcl-packet doesn't know about the Tuya cluster specific commands.
+      frame.data = makeTuyaFrameData(zclData);
+      return frame;
+    }
     frame.data = zcl.frame(
       zclData.frameCntl,
       zclData.manufCode,
@@ -2168,6 +2620,10 @@ class ZigbeeNode extends Device {
   }
 
   makeZclFrameForProperty(property, zclData) {
+    if (property.manufCode) {
+      zclData.frameCntl = Object.assign({ frameType: 0 }, zclData.frameCntl, { manufSpec: 1 });
+      zclData.manufCode = property.manufCode;
+    }
     return this.makeZclFrame(property.endpoint, property.profileId, property.clusterId, zclData);
   }
 
@@ -2282,6 +2738,13 @@ class ZigbeeNode extends Device {
       return Promise.reject('Lock/Unlock already in progress - ignoring');
     }
 
+    if (this.family) {
+      const promise = this.family.performAction(this, action);
+      if (promise) {
+        return promise;
+      }
+    }
+
     action.start();
     switch (action.name) {
       case 'lock': // Start locking the door
@@ -2306,7 +2769,69 @@ class ZigbeeNode extends Device {
         this.setPropertyValue(this.doorLockState, 'unknown');
         break;
 
+      case 'storeScene': // Scene actions
+      case 'recallScene':
+      case 'removeScene':
+        this.sendScenesCommand(SCENE_ACTION_CMD[action.name], [
+          action.input.groupId,
+          action.input.sceneId,
+        ]);
+        action.finish();
+        return Promise.resolve();
+
+      case 'getSceneMembership':
+        this.sendScenesCommand(SCENE_ACTION_CMD[action.name], [action.input.groupId]);
+        action.finish();
+        return Promise.resolve();
+
+      case 'open': // Window covering actions
+      case 'close':
+      case 'stop':
+        this.sendWindowCoveringCommand(WINDOW_COVERING_ACTION_CMD[action.name]);
+        action.finish();
+        return Promise.resolve();
+
+      case 'setUserLabel': // Door lock user actions
+        this.updateDoorLockUser(action.input.userId, { label: action.input.label });
+        action.finish();
+        return Promise.resolve();
+
+      case 'setWeekDaySchedule': // Door lock schedule actions
+      case 'clearWeekDaySchedule':
+      case 'setYearDaySchedule':
+      case 'clearYearDaySchedule':
+        // Invalid schedules are rejected, but the action still finishes.
+        return this.sendDoorLockScheduleCommand(action.name, action.input).then(
+          () => {
+            action.finish();
+          },
+          (err) => {
+            action.finish();
+            return Promise.reject(err);
+          }
+        );
+
+      case 'startWarning': // IAS warning device (siren) actions
+        this.startWarning(action.input || {});
+        action.finish();
+        return Promise.resolve();
+
+      case 'stopWarning':
+        this.startWarning({ mode: 'stop' });
+        action.finish();
+        return Promise.resolve();
+
+      case 'squawk':
+        this.squawk(action.input || {});
+        action.finish();
+        return Promise.resolve();
+
       default:
+        if (DOORLOCK_USER_ACTIONS.includes(action.name)) {
+          this.sendDoorLockUserCommand(action.name, action.input);
+          action.finish();
+          return Promise.resolve();
+        }
         action.finish();
         return Promise.reject(`Unrecognized action: ${action.name}`);
     }
@@ -2325,6 +2850,246 @@ class ZigbeeNode extends Device {
     return Promise.resolve();
   }
 
+  sendOtaImageBlock(reqFrame, image, fileOffset, maxDataSize) {
+    const header = image.header;
+    const dataSize = Math.min(maxDataSize, OTA_MAX_BLOCK_SIZE);
+    const data = image.data.slice(fileOffset, fileOffset + dataSize);
+    const rspFrame = this.makeOtaRspFrame(reqFrame, 'imageBlockRsp', [
+      STATUS.SUCCESS,
+      header.manufacturerCode,
+      header.imageType,
+      header.fileVersion,
+      fileOffset,
+      data.length,
+      data,
+    ]);
+    this.adapter.queueFrameNoWait(rspFrame);
+    this.updateOtaProgress(Math.floor(((fileOffset + data.length) * 100) / image.data.length));
+  }
+
+  sendScenesCommand(cmd, payload) {
+    const frame = this.makeZclFrame(this.genScenesEndpoint, PROFILE_ID.ZHA, CLUSTER_ID.GENSCENES, {
+      frameCntl: { frameType: 1 },
+      cmd: cmd,
+      payload: payload,
+    });
+    this.sendFrames([frame]);
+  }
+
+  /**
+   * @method sendDoorLockUserCommand
+   *
+   * Sends one of the closuresDoorLock user commands. The changes which
+   * the command makes are remembered until the lock responds, and are
+   * then applied by handleDoorLockUserRsp.
+   */
+  sendDoorLockUserCommand(cmd, input) {
+    const userId = input.userId;
+    const status = input.status || 'enabled';
+    const type = input.type || 'unrestricted';
+    const statusValue = DOORLOCK_USER_STATUS.hasOwnProperty(status)
+      ? DOORLOCK_USER_STATUS[status]
+      : DOORLOCK_USER_STATUS.enabled;
+    const typeValue = Math.max(DOORLOCK_USER_TYPE.indexOf(type), 0);
+    let payload = [userId];
+    let changes = null;
+    switch (cmd) {
+      case 'setPinCode':
+        payload = [userId, statusValue, typeValue, `${input.pinCode}`];
+        changes = { label: input.label, status, type, hasPin: true };
+        break;
+      case 'setRfidCode':
+        payload = [userId, statusValue, typeValue, `${input.rfidCode}`];
+        changes = { label: input.label, status, type, hasRfid: true };
+        break;
+      case 'clearPinCode':
+        changes = { hasPin: false };
+        break;
+      case 'clearRfidCode':
+        changes = { hasRfid: false };
+        break;
+      case 'setUserStatus':
+        payload = [userId, statusValue];
+        changes = { status };
+        break;
+      case 'setUserType':
+        payload = [userId, typeValue];
+        changes = { type };
+        break;
+    }
+    const frame = this.makeZclFrame(this.doorLockEndpoint, PROFILE_ID.ZHA, CLUSTER_ID.DOORLOCK, {
+      frameCntl: { frameType: 1 },
+      cmd: cmd,
+      payload: payload,
+    });
+    if (changes) {
+      this.addDoorLockRequest(frame, { userId, changes });
+    }
+    this.sendFrames([frame]);
+  }
+
+  /**
+   * @method sendDoorLockScheduleCommand
+   *
+   * Sends one of the closuresDoorLock weekday or yearday schedule
+   * commands. Weekday schedules use days (an array of day names) along
+   * with a startTime and endTime (HH:MM), and yearday schedules use start
+   * and end dates, which are interpreted as local time.
+   */
+  sendDoorLockScheduleCommand(cmd, input) {
+    const payload = [input.scheduleId, input.userId];
+    if (cmd == 'setWeekDaySchedule') {
+      let daysMask = 0;
+      for (const day of input.days || []) {
+        const dayIdx = DOORLOCK_DAYS.indexOf(day);
+        if (dayIdx < 0) {
+          return Promise.reject(`Unrecognized day: ${day}`);
+        }
+        daysMask |= 1 << dayIdx;
+      }
+      if (daysMask == 0) {
+        return Promise.reject('At least one day is required');
+      }
+      const start = parseTimeOfDay(input.startTime);
+      const end = parseTimeOfDay(input.endTime);
+      if (!start || !end) {
+        return Promise.reject(`Invalid schedule times: ${input.startTime} - ${input.endTime}`);
+      }
+      const [startHour, startMinute] = start;
+      const [endHour, endMinute] = end;
+      if (startHour * 60 + startMinute >= endHour * 60 + endMinute) {
+        return Promise.reject('startTime must be before endTime');
+      }
+      payload.push(daysMask, startHour, startMinute, endHour, endMinute);
+    } else if (cmd == 'setYearDaySchedule') {
+      const startTime = zigbeeLocalTime(input.start);
+      const endTime = zigbeeLocalTime(input.end);
+      if (isNaN(startTime) || isNaN(endTime)) {
+        return Promise.reject(`Invalid schedule dates: ${input.start} - ${input.end}`);
+      }
+      if (startTime >= endTime) {
+        return Promise.reject('start must be before end');
+      }
+      payload.push(startTime, endTime);
+    }
+    const frame = this.makeZclFrame(this.doorLockEndpoint, PROFILE_ID.ZHA, CLUSTER_ID.DOORLOCK, {
+      frameCntl: { frameType: 1 },
+      cmd: cmd,
+      payload: payload,
+    });
+    this.addDoorLockRequest(frame, { userId: input.userId, changes: null });
+    this.sendFrames([frame]);
+    return Promise.resolve();
+  }
+
+  // Remembers a door lock request until the lock responds to it. If the
+  // lock never responds, the request is forgotten when the wait for the
+  // response times out.
+  addDoorLockRequest(frame, request) {
+    if (!this.doorLockRequests) {
+      this.doorLockRequests = {};
+    }
+    const seqNum = frame.zcl.seqNum;
+    this.doorLockRequests[seqNum] = request;
+    frame.timeoutFunc = () => {
+      if (this.doorLockRequests[seqNum] === request) {
+        DEBUG && console.log(this.name, 'door lock request timed out for user', request.userId);
+        delete this.doorLockRequests[seqNum];
+      }
+    };
+  }
+
+  /**
+   * @method startWarning
+   *
+   * Sends the startWarning command of the ssIasWd cluster. The
+   * startwarninginfo field holds the warning mode in bits 4-7, the strobe
+   * in bit 2 and the siren level in bits 0-1.
+   */
+  startWarning(input) {
+    const mode = Math.max(IAS_WD_WARNING_MODE.indexOf(input.mode || 'burglar'), 0);
+    const level = Math.max(IAS_WD_LEVEL.indexOf(input.level || 'high'), 0);
+    const strobe = input.strobe ? 1 : 0;
+    const maxDuration = this.properties.get('maxDuration');
+    let duration = input.duration;
+    if (typeof duration !== 'number') {
+      duration =
+        maxDuration && typeof maxDuration.value === 'number'
+          ? maxDuration.value
+          : DEFAULT_WARNING_DURATION;
+    }
+    if (mode == 0) {
+      duration = 0;
+    }
+    this.sendIasWdCommand('startWarning', [(mode << 4) | (strobe << 2) | level, duration]);
+
+    const alarmProperty = this.properties.get('alarm');
+    if (this.warningTimeout) {
+      clearTimeout(this.warningTimeout);
+      this.warningTimeout = null;
+    }
+    if (alarmProperty) {
+      this.setPropertyValue(alarmProperty, mode != 0 && duration > 0);
+    }
+    if (mode != 0 && duration > 0) {
+      // The device doesn't tell us when the warning finishes.
+      this.warningTimeout = setTimeout(() => {
+        this.warningTimeout = null;
+        if (alarmProperty) {
+          this.setPropertyValue(alarmProperty, false);
+        }
+      }, duration * 1000);
+    }
+  }
+
+  /**
+   * @method squawk
+   *
+   * Sends the squawk command of the ssIasWd cluster. The squawkinfo field
+   * holds the squawk mode in bits 4-7, the strobe in bit 3 and the squawk
+   * level in bits 0-1.
+   */
+  squawk(input) {
+    const mode = Math.max(IAS_WD_SQUAWK_MODE.indexOf(input.mode || 'armed'), 0);
+    const level = Math.max(IAS_WD_LEVEL.indexOf(input.level || 'high'), 0);
+    const strobe = input.strobe ? 1 : 0;
+    this.sendIasWdCommand('squawk', [(mode << 4) | (strobe << 3) | level]);
+  }
+
+  sendIasWdCommand(cmd, payload) {
+    // The warning device only accepts commands from the CIE which it's
+    // enrolled with, so make sure that the enrollment is done first.
+    if (this.ssIasZoneEndpoint && this.zoneState != 1 && !this.rebinding) {
+      this.rebindIasZone();
+    }
+    const frame = this.makeZclFrame(this.ssIasWdEndpoint, PROFILE_ID.ZHA, CLUSTER_ID.SSIASWD, {
+      frameCntl: { frameType: 1 },
+      cmd: cmd,
+      payload: payload,
+    });
+    this.sendFrames([frame]);
+  }
+
+  sendWindowCoveringCommand(cmd) {
+    const frame = this.makeZclFrame(
+      this.windowCoveringEndpoint,
+      PROFILE_ID.ZHA,
+      CLUSTER_ID.CLOSURESWINDOWCOVERING,
+      {
+        frameCntl: { frameType: 1 },
+        cmd: cmd,
+      }
+    );
+    this.sendFrames([frame]);
+  }
+
+  updateOtaProgress(percent) {
+    const property = this.properties.get('otaProgress');
+    if (property && property.value !== percent) {
+      this.setPropertyValue(property, percent);
+    }
+  }
+
   // Used to set properties which don't have an associated attr
   setPropertyValue(property, value) {
     property.setCachedValue(value);
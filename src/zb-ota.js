@@ -0,0 +1,233 @@
+/**
+ *
+ * ZigbeeOtaImages - Manages the Zigbee OTA upgrade images which we serve
+ *                   to devices using the genOta cluster.
+ *
+ * The image files are expected to be in the format described in section
+ * 11.4 (OTA File Format) of the Zigbee Cluster Library Specification.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const BufferReader = require('buffer-reader');
+const fs = require('fs');
+const path = require('path');
+
+const { DEBUG_ota } = require('./zb-debug').default;
+const DEBUG = DEBUG_ota;
+
+const OTA_FILE_IDENTIFIER = 0x0beef11e;
+const OTA_HEADER_MIN_LENGTH = 56;
+
+// Bits from the Header Field Control field of the OTA file header.
+const OTA_HEADER_FC = {
+  SECURITY_CREDENTIAL_VERSION: 1 << 0,
+  DEVICE_SPECIFIC_FILE: 1 << 1,
+  HARDWARE_VERSIONS: 1 << 2,
+};
+
+// Bits from the Field Control field of the queryNextImageReq command.
+const OTA_REQ_FC = {
+  HARDWARE_VERSION: 1 << 0,
+};
+
+/**
+ * @function parseOtaHeader
+ *
+ * Parses the OTA header found at the beginning of data. Returns null if
+ * data doesn't start with a valid OTA header.
+ */
+function parseOtaHeader(data) {
+  if (data.length < OTA_HEADER_MIN_LENGTH) {
+    return null;
+  }
+  const reader = new BufferReader(data);
+  if (reader.nextUInt32LE() != OTA_FILE_IDENTIFIER) {
+    return null;
+  }
+  const header = {};
+  header.headerVersion = reader.nextUInt16LE();
+  header.headerLength = reader.nextUInt16LE();
+  header.fieldControl = reader.nextUInt16LE();
+  header.manufacturerCode = reader.nextUInt16LE();
+  header.imageType = reader.nextUInt16LE();
+  header.fileVersion = reader.nextUInt32LE();
+  header.stackVersion = reader.nextUInt16LE();
+  header.headerString = reader.nextString(32, 'ascii').split('\0')[0];
+  header.imageSize = reader.nextUInt32LE();
+  if (header.fieldControl & OTA_HEADER_FC.SECURITY_CREDENTIAL_VERSION) {
+    reader.move(1);
+  }
+  if (header.fieldControl & OTA_HEADER_FC.DEVICE_SPECIFIC_FILE) {
+    reader.move(8);
+  }
+  if (header.fieldControl & OTA_HEADER_FC.HARDWARE_VERSIONS) {
+    header.minHwVersion = reader.nextUInt16LE();
+    header.maxHwVersion = reader.nextUInt16LE();
+  }
+  return header;
+}
+
+/**
+ * @function parseOtaRequest
+ *
+ * Parses the payload of a genOta request sent by a device. We decode the
+ * payload from the raw ZCL data (rather than using frame.zcl.payload) so
+ * that the optional fields, which depend on the field control, are
+ * picked up correctly.
+ */
+function parseOtaRequest(frame) {
+  // Skip over the ZCL header: frame control, (manufacturer code),
+  // sequence number and command id.
+  const headerLen = frame.zcl.frameCntl.manufSpec ? 5 : 3;
+  const reader = new BufferReader(frame.data.slice(headerLen));
+  const req = {};
+  try {
+    if (frame.zcl.cmdId === 'upgradeEndReq') {
+      req.status = reader.nextUInt8();
+    } else {
+      req.fieldControl = reader.nextUInt8();
+    }
+    req.manufacturerCode = reader.nextUInt16LE();
+    req.imageType = reader.nextUInt16LE();
+    req.fileVersion = reader.nextUInt32LE();
+
+    switch (frame.zcl.cmdId) {
+      case 'queryNextImageReq':
+        if (req.fieldControl & OTA_REQ_FC.HARDWARE_VERSION) {
+          req.hwVersion = reader.nextUInt16LE();
+        }
+        break;
+      case 'imageBlockReq':
+        req.fileOffset = reader.nextUInt32LE();
+        req.maxDataSize = reader.nextUInt8();
+        // The optional request node address and minimum block period
+        // follow, but we don't use them. Each imageBlockReq gets answered
+        // right away, so the device controls the rate itself.
+        break;
+      case 'imagePageReq':
+        req.fileOffset = reader.nextUInt32LE();
+        req.maxDataSize = reader.nextUInt8();
+        req.pageSize = reader.nextUInt16LE();
+        req.responseSpacing = reader.nextUInt16LE();
+        break;
+    }
+  } catch (e) {
+    console.error('parseOtaRequest: Unable to parse', frame.zcl.cmdId, 'payload:', e.message);
+    return null;
+  }
+  return req;
+}
+
+class ZigbeeOtaImages {
+  constructor(directory) {
+    this.directory = directory;
+    this.images = [];
+  }
+
+  load() {
+    this.images = [];
+    if (!fs.existsSync(this.directory)) {
+      DEBUG && console.log('ZigbeeOtaImages: No OTA directory:', this.directory);
+      return;
+    }
+    const identifier = Buffer.alloc(4);
+    identifier.writeUInt32LE(OTA_FILE_IDENTIFIER);
+    for (const fileName of fs.readdirSync(this.directory)) {
+      const filePath = path.join(this.directory, fileName);
+      let data;
+      try {
+        if (!fs.statSync(filePath).isFile()) {
+          continue;
+        }
+        data = fs.readFileSync(filePath);
+      } catch (e) {
+        console.error('ZigbeeOtaImages: Unable to read', filePath, e.message);
+        continue;
+      }
+      // Some vendors prepend their own header to the OTA file, so we
+      // search for the start of the OTA header.
+      const offset = data.indexOf(identifier);
+      const header = offset >= 0 ? parseOtaHeader(data.slice(offset)) : null;
+      if (!header || offset + header.imageSize > data.length) {
+        DEBUG && console.log('ZigbeeOtaImages: Skipping', filePath, '- not an OTA image');
+        continue;
+      }
+      DEBUG &&
+        console.log(
+          'ZigbeeOtaImages: Loaded',
+          filePath,
+          'manufacturerCode:',
+          header.manufacturerCode.toString(16),
+          'imageType:',
+          header.imageType.toString(16),
+          'fileVersion:',
+          header.fileVersion.toString(16)
+        );
+      this.images.push({
+        fileName: fileName,
+        header: header,
+        data: data.slice(offset, offset + header.imageSize),
+      });
+    }
+    console.log(`Loaded ${this.images.length} OTA image(s) from ${this.directory}`);
+  }
+
+  /**
+   * @method findNewerImage
+   *
+   * Returns the newest image which is applicable to the device and has a
+   * file version newer than the one the device is currently running, or
+   * undefined if there isn't one.
+   */
+  findNewerImage(manufacturerCode, imageType, fileVersion, hwVersion) {
+    let newest;
+    for (const image of this.images) {
+      const header = image.header;
+      if (
+        header.manufacturerCode != manufacturerCode ||
+        header.imageType != imageType ||
+        header.fileVersion <= fileVersion
+      ) {
+        continue;
+      }
+      if (
+        typeof hwVersion === 'number' &&
+        header.hasOwnProperty('minHwVersion') &&
+        (hwVersion < header.minHwVersion || hwVersion > header.maxHwVersion)
+      ) {
+        continue;
+      }
+      if (!newest || header.fileVersion > newest.header.fileVersion) {
+        newest = image;
+      }
+    }
+    return newest;
+  }
+
+  /**
+   * @method getImage
+   *
+   * Returns the image which exactly matches the given identification, which
+   * is what devices send when requesting blocks of an image.
+   */
+  getImage(manufacturerCode, imageType, fileVersion) {
+    return this.images.find((image) => {
+      return (
+        image.header.manufacturerCode == manufacturerCode &&
+        image.header.imageType == imageType &&
+        image.header.fileVersion == fileVersion
+      );
+    });
+  }
+}
+
+module.exports = {
+  parseOtaHeader,
+  parseOtaRequest,
+  ZigbeeOtaImages,
+};
@@ -570,6 +570,58 @@ class ZigbeeProperty extends Property {
     return [percentage, `${percentage} (${attrEntry.attrData})`];
   }
 
+  /**
+   * @method parsePercentAttr
+   *
+   * Parses a percentage attribute (0-100) into a property.
+   */
+  parsePercentAttr(attrEntry) {
+    let percentage = null;
+    if (typeof attrEntry.attrData !== 'number') {
+      console.error(
+        'zb-property.js/parsePercentAttr:',
+        'expected attrEntry.attrData to be a number, found a ',
+        typeof attrEntry.attrData
+      );
+    } else if (attrEntry.attrData === 0xff) {
+      console.error('zb-property.js/parsePercentAttr:', 'device reported "invalid value", 0xFF');
+    } else {
+      percentage = Math.min(attrEntry.attrData, 100);
+    }
+    return [percentage, `${percentage}`];
+  }
+
+  /**
+   * @method parseRelativeHumidityAttr
+   *
+   * Parses the measuredValue attribute from the msRelativeHumidity cluster,
+   * which is reported in hundredths of a percent.
+   */
+  parseRelativeHumidityAttr(attrEntry) {
+    const measuredValue = attrEntry.attrData;
+    if (measuredValue === 0xffff) {
+      // 0xffff means that the measurement is invalid
+      return [null, `invalid (${measuredValue})`];
+    }
+    const humidity = Math.min(measuredValue / 100, 100);
+    return [humidity, `${humidity.toFixed(2)} (${measuredValue})`];
+  }
+
+  /**
+   * @method parsePressureMeasurementAttr
+   *
+   * Parses the measuredValue attribute from the msPressureMeasurement
+   * cluster. The attribute is in units of 0.1 kPa, which is the same as hPa.
+   */
+  parsePressureMeasurementAttr(attrEntry) {
+    const measuredValue = attrEntry.attrData;
+    if (measuredValue === -0x8000) {
+      // 0x8000 means that the measurement is invalid
+      return [null, `invalid (${measuredValue})`];
+    }
+    return [measuredValue, `${measuredValue}`];
+  }
+
   attrToTemperature(measuredValue) {
     return measuredValue / 100;
   }
@@ -1089,6 +1141,24 @@ class ZigbeeProperty extends Property {
     ];
   }
 
+  /**
+   * @method setLiftPercentageValue
+   *
+   * Converts the 'lift' property value (a percentage) into the ZCL
+   * 'goToLiftPercentage' command.
+   */
+  setLiftPercentageValue(propertyValue) {
+    const percentage = Math.round(Math.min(Math.max(propertyValue, 0), 100));
+    return [
+      {
+        frameCntl: { frameType: 1 },
+        cmd: 'goToLiftPercentage',
+        payload: [percentage],
+      },
+      `lift: ${percentage}%`,
+    ];
+  }
+
   /**
    * @method setOnOffValue
    *
@@ -1131,6 +1201,29 @@ class ZigbeeProperty extends Property {
     ];
   }
 
+  /**
+   * @method setWriteNumericValue
+   *
+   * Converts a generic numeric property value into a ZCL write command
+   * to set the attribute.
+   */
+  setWriteNumericValue(propertyValue) {
+    const attrData = Math.round(propertyValue);
+    return [
+      {
+        cmd: 'write',
+        payload: [
+          {
+            attrId: this.attrId,
+            dataType: this.attrType,
+            attrData: attrData,
+          },
+        ],
+      },
+      `${attrData}`,
+    ];
+  }
+
   /**
    * @method setWriteEnumValue
    *
@@ -1206,6 +1299,24 @@ class ZigbeeProperty extends Property {
     ];
   }
 
+  /**
+   * @method setTiltPercentageValue
+   *
+   * Converts the 'tilt' property value (a percentage) into the ZCL
+   * 'goToTiltPercentage' command.
+   */
+  setTiltPercentageValue(propertyValue) {
+    const percentage = Math.round(Math.min(Math.max(propertyValue, 0), 100));
+    return [
+      {
+        frameCntl: { frameType: 1 },
+        cmd: 'goToTiltPercentage',
+        payload: [percentage],
+      },
+      `tilt: ${percentage}%`,
+    ];
+  }
+
   /**
    * @returns a promise which resolves to the updated value.
    *
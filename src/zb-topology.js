@@ -0,0 +1,158 @@
+/**
+ *
+ * zb-topology - Builds a map of the Zigbee mesh from the neighbor tables
+ *               (Mgmt_Lqi) and routing tables (Mgmt_Rtg) collected from
+ *               the coordinator and routers.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const DEVICE_TYPE = ['coordinator', 'router', 'endDevice', 'unknown'];
+const RELATIONSHIP = ['parent', 'child', 'sibling', 'none', 'previousChild'];
+const ROUTE_STATUS = [
+  'active',
+  'discoveryUnderway',
+  'discoveryFailed',
+  'inactive',
+  'validationUnderway',
+];
+
+const UNKNOWN_ADDR_64 = '0000000000000000';
+
+function lookupStr(table, value) {
+  return table[value] || `unknown(${value})`;
+}
+
+/**
+ * @function buildTopology
+ *
+ * Builds a graph of the network from the neighbor and routing tables
+ * stored on the nodes. Addresses which we don't have a node for (which
+ * can happen for stale table entries) are reported using their 16-bit
+ * address.
+ */
+function buildTopology(nodes) {
+  const addr16Map = {};
+  for (const addr64 in nodes) {
+    const node = nodes[addr64];
+    if (node.addr16) {
+      addr16Map[node.addr16] = node;
+    }
+  }
+  const nodeId = (addr64, addr16) => {
+    if (addr64 && addr64 != UNKNOWN_ADDR_64) {
+      return addr64;
+    }
+    const node = addr16Map[addr16];
+    return node ? node.addr64 : addr16;
+  };
+
+  const topology = {
+    timestamp: new Date().toISOString(),
+    nodes: [],
+    links: [],
+    routes: [],
+  };
+
+  for (const addr64 in nodes) {
+    const node = nodes[addr64];
+    let deviceType = node.deviceType;
+    if (node.isCoordinator) {
+      deviceType = 0;
+    } else if (typeof deviceType === 'undefined') {
+      deviceType = 3;
+    }
+    topology.nodes.push({
+      id: addr64,
+      addr16: node.addr16,
+      name: node.name || node.defaultName,
+      deviceType: lookupStr(DEVICE_TYPE, deviceType),
+      rxOnWhenIdle: node.rxOnWhenIdle,
+    });
+
+    for (const neighbor of node.neighbors) {
+      if (!neighbor) {
+        continue;
+      }
+      topology.links.push({
+        source: addr64,
+        target: nodeId(neighbor.addr64, neighbor.addr16),
+        lqi: neighbor.lqi,
+        depth: neighbor.depth,
+        relationship: lookupStr(RELATIONSHIP, neighbor.relationship),
+      });
+    }
+
+    for (const route of node.routes || []) {
+      if (!route) {
+        continue;
+      }
+      topology.routes.push({
+        source: addr64,
+        destination: nodeId(null, route.addr16),
+        nextHop: nodeId(null, route.nextHopAddr16),
+        status: lookupStr(ROUTE_STATUS, route.status),
+      });
+    }
+  }
+  return topology;
+}
+
+function dotQuote(str) {
+  return `"${`${str}`.replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * @function topologyToDot
+ *
+ * Converts the topology created by buildTopology into a Graphviz DOT
+ * graph. Links are labelled with their LQI and drawn from parent to child
+ * where the relationship is known. Routes are drawn as dashed edges to
+ * the next hop.
+ */
+function topologyToDot(topology) {
+  const lines = ['digraph zigbee {', '  node [shape=box];'];
+  const shapes = {
+    coordinator: 'doubleoctagon',
+    router: 'box',
+    endDevice: 'ellipse',
+  };
+  for (const node of topology.nodes) {
+    const label = `${node.name}\\n${node.id}\\n${node.addr16 || '????'}`;
+    const shape = shapes[node.deviceType] || 'box';
+    lines.push(`  ${dotQuote(node.id)} [label=${dotQuote(label)} shape=${shape}];`);
+  }
+  for (const link of topology.links) {
+    let source = link.source;
+    let target = link.target;
+    if (link.relationship === 'parent') {
+      // The neighbor is the parent of the node which reported it.
+      [source, target] = [target, source];
+    }
+    const style =
+      link.relationship === 'parent' || link.relationship === 'child' ? 'bold' : 'solid';
+    lines.push(
+      `  ${dotQuote(source)} -> ${dotQuote(target)} [label=${dotQuote(link.lqi)} style=${style}];`
+    );
+  }
+  for (const route of topology.routes) {
+    if (route.status !== 'active') {
+      continue;
+    }
+    const label = dotQuote(`to ${route.destination}`);
+    lines.push(
+      `  ${dotQuote(route.source)} -> ${dotQuote(route.nextHop)} [label=${label} style=dashed];`
+    );
+  }
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  buildTopology,
+  topologyToDot,
+};
@@ -0,0 +1,245 @@
+/**
+ *
+ * zb-tuya-frame - Encodes and decodes the frames used by the Tuya
+ *                 manufacturer specific cluster (0xEF00).
+ *
+ * Tuya devices tunnel everything through "datapoints", rather than using
+ * the standard clusters. Each datapoint has an id (which is model
+ * specific), a type and some data. The datapoint commands look like this
+ * (after the normal ZCL header), with all of the fields big-endian:
+ *
+ *   seq (uint16) followed by one or more of:
+ *     dp (uint8) type (uint8) length (uint16) data (length bytes)
+ *
+ * The zcl-packet library doesn't know about this cluster, so these frames
+ * are encoded and decoded here instead.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+export const TUYA_CMD: Record<string, number> = {
+  setData: 0x00,
+  dataResponse: 0x01,
+  dataReport: 0x02,
+  dataQuery: 0x03,
+  timeSync: 0x24,
+};
+
+export const TUYA_DP_TYPE: Record<string, number> = {
+  raw: 0x00,
+  bool: 0x01,
+  value: 0x02,
+  string: 0x03,
+  enum: 0x04,
+  bitmap: 0x05,
+};
+
+// The commands which carry datapoints.
+const DATAPOINT_CMDS = ['setData', 'dataResponse', 'dataReport'];
+
+export interface TuyaDatapoint {
+  dp: number;
+  type: number;
+  data: Buffer;
+}
+
+export interface TuyaPayload {
+  seq?: number;
+  datapoints?: TuyaDatapoint[];
+  // The UTC and local times (seconds since 1970) sent in a timeSync response.
+  utcTime?: number;
+  localTime?: number;
+}
+
+export interface TuyaZclData {
+  frameCntl: {
+    frameType: number;
+    manufSpec: number;
+    direction: number;
+    disDefaultRsp: number;
+  };
+  manufCode: number;
+  seqNum: number;
+  cmd?: string;
+  cmdId?: string;
+  payload: TuyaPayload;
+}
+
+function cmdName(cmdId: number): string {
+  for (const name in TUYA_CMD) {
+    if (TUYA_CMD[name] == cmdId) {
+      return name;
+    }
+  }
+  return `unknown(0x${cmdId.toString(16)})`;
+}
+
+/**
+ * @function parseTuyaFrame
+ *
+ * Parses the ZCL portion of a cluster specific frame from the Tuya
+ * cluster, returning an object in the same form that zcl-packet produces.
+ * Throws an Error if the frame is truncated.
+ */
+export function parseTuyaFrame(data: Buffer): TuyaZclData {
+  const frameCntlByte = data[0];
+  const frameCntl = {
+    frameType: frameCntlByte & 0x03,
+    manufSpec: (frameCntlByte >> 2) & 0x01,
+    direction: (frameCntlByte >> 3) & 0x01,
+    disDefaultRsp: (frameCntlByte >> 4) & 0x01,
+  };
+  let offset = 1;
+  let manufCode = 0;
+  if (frameCntl.manufSpec) {
+    manufCode = data.readUInt16LE(offset);
+    offset += 2;
+  }
+  const seqNum = data.readUInt8(offset++);
+  const cmdId = cmdName(data.readUInt8(offset++));
+  const payload: TuyaPayload = {};
+
+  if (data.length >= offset + 2) {
+    payload.seq = data.readUInt16BE(offset);
+    offset += 2;
+  }
+  if (DATAPOINT_CMDS.includes(cmdId)) {
+    payload.datapoints = [];
+    while (offset < data.length) {
+      if (offset + 4 > data.length) {
+        throw new Error('Truncated Tuya datapoint');
+      }
+      const dp = data.readUInt8(offset);
+      const type = data.readUInt8(offset + 1);
+      const length = data.readUInt16BE(offset + 2);
+      offset += 4;
+      if (offset + length > data.length) {
+        throw new Error(`Truncated Tuya datapoint ${dp}`);
+      }
+      payload.datapoints.push({ dp, type, data: data.slice(offset, offset + length) });
+      offset += length;
+    }
+  }
+
+  return {
+    frameCntl,
+    manufCode,
+    seqNum,
+    cmdId,
+    payload,
+  };
+}
+
+/**
+ * @function makeTuyaFrameData
+ *
+ * Encodes the zclData (as passed to ZigbeeNode.makeZclFrame) of a cluster
+ * specific Tuya command.
+ */
+export function makeTuyaFrameData(zclData: TuyaZclData): Buffer {
+  const cmd = zclData.cmd || '';
+  if (!TUYA_CMD.hasOwnProperty(cmd)) {
+    throw new Error(`Unknown Tuya command: ${cmd}`);
+  }
+  const frameCntl = zclData.frameCntl;
+  const header = [
+    (frameCntl.frameType & 0x03) |
+      ((frameCntl.manufSpec & 0x01) << 2) |
+      ((frameCntl.direction & 0x01) << 3) |
+      ((frameCntl.disDefaultRsp & 0x01) << 4),
+  ];
+  if (frameCntl.manufSpec) {
+    header.push(zclData.manufCode & 0xff, (zclData.manufCode >> 8) & 0xff);
+  }
+  header.push(zclData.seqNum, TUYA_CMD[cmd]);
+
+  const payload = zclData.payload;
+  const parts = [Buffer.from(header)];
+  if (cmd == 'timeSync') {
+    // The time sync response has a length, followed by the times.
+    const times = Buffer.alloc(10);
+    times.writeUInt16BE(8, 0);
+    times.writeUInt32BE(payload.utcTime || 0, 2);
+    times.writeUInt32BE(payload.localTime || 0, 6);
+    parts.push(times);
+  } else if (typeof payload.seq === 'number') {
+    const seq = Buffer.alloc(2);
+    seq.writeUInt16BE(payload.seq);
+    parts.push(seq);
+  }
+  for (const datapoint of payload.datapoints || []) {
+    const dpHeader = Buffer.alloc(4);
+    dpHeader.writeUInt8(datapoint.dp, 0);
+    dpHeader.writeUInt8(datapoint.type, 1);
+    dpHeader.writeUInt16BE(datapoint.data.length, 2);
+    parts.push(dpHeader, datapoint.data);
+  }
+  return Buffer.concat(parts);
+}
+
+// The data lengths allowed for the fixed size datapoint types.
+const DP_TYPE_LENGTHS: Record<number, number[]> = {
+  [TUYA_DP_TYPE.bool]: [1],
+  [TUYA_DP_TYPE.value]: [4],
+  [TUYA_DP_TYPE.enum]: [1],
+  [TUYA_DP_TYPE.bitmap]: [1, 2, 4],
+};
+
+/**
+ * @function decodeTuyaValue
+ *
+ * Converts the data from a datapoint into a boolean (bool), number (value,
+ * enum and bitmap), string (string) or hex string (raw).
+ *
+ * Throws an Error if the data length doesn't match the type.
+ */
+export function decodeTuyaValue(datapoint: TuyaDatapoint): boolean | number | string {
+  const data = datapoint.data;
+  const lengths = DP_TYPE_LENGTHS[datapoint.type];
+  if (lengths && !lengths.includes(data.length)) {
+    throw new Error(
+      `Invalid length ${data.length} for Tuya datapoint ${datapoint.dp} of type ${datapoint.type}`
+    );
+  }
+  switch (datapoint.type) {
+    case TUYA_DP_TYPE.bool:
+      return data[0] != 0;
+    case TUYA_DP_TYPE.value:
+      return data.readInt32BE(0);
+    case TUYA_DP_TYPE.enum:
+      return data.readUInt8(0);
+    case TUYA_DP_TYPE.bitmap:
+      return data.readUIntBE(0, data.length);
+    case TUYA_DP_TYPE.string:
+      return data.toString('utf8');
+  }
+  return data.toString('hex');
+}
+
+/**
+ * @function encodeTuyaValue
+ *
+ * The inverse of decodeTuyaValue.
+ */
+export function encodeTuyaValue(type: number, value: boolean | number | string): Buffer {
+  let data: Buffer;
+  switch (type) {
+    case TUYA_DP_TYPE.bool:
+      return Buffer.from([value ? 1 : 0]);
+    case TUYA_DP_TYPE.value:
+      data = Buffer.alloc(4);
+      data.writeInt32BE(Math.round(<number>value));
+      return data;
+    case TUYA_DP_TYPE.enum:
+      return Buffer.from([(<number>value) & 0xff]);
+    case TUYA_DP_TYPE.bitmap:
+      data = Buffer.alloc(4);
+      data.writeUInt32BE((<number>value) >>> 0);
+      return data;
+    case TUYA_DP_TYPE.string:
+      return Buffer.from(`${value}`, 'utf8');
+  }
+  return Buffer.from(`${value}`, 'hex');
+}
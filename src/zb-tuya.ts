@@ -0,0 +1,458 @@
+/**
+ *
+ * zb-tuya.js - special case code for Tuya devices, which use datapoints
+ *              sent over the manufacturer specific 0xEF00 cluster.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+import { Action } from 'gateway-addon';
+import ZigbeeFamily, { ZclFrame } from './zb-family';
+import DEBUG_FLAG from './zb-debug';
+import { CLUSTER_ID, PROFILE_ID } from './zb-constants';
+import {
+  TUYA_DP_TYPE,
+  TuyaDatapoint,
+  TuyaPayload,
+  decodeTuyaValue,
+  encodeTuyaValue,
+} from './zb-tuya-frame';
+
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const ZigbeeProperty = require('./zb-property');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const ZigbeeNode = require('./zb-node');
+
+const DEBUG = DEBUG_FLAG.DEBUG_tuya;
+
+interface TuyaPropertyDefinition {
+  // The datapoint used to set (and report) the value.
+  dp: number;
+  // Additional datapoints which report the value (i.e. a curtain motor
+  // reports its position using a different datapoint than it's set with).
+  statusDps?: number[];
+  type: string;
+  descr: Record<string, unknown>;
+  // Numeric values are divided by the scale when they're received.
+  scale?: number;
+}
+
+interface TuyaModel {
+  name: string;
+  type: string;
+  '@type': string[];
+  properties: Record<string, TuyaPropertyDefinition>;
+  // Actions which set an enum datapoint to a fixed value.
+  actions?: Record<string, { descr: Record<string, unknown>; dp: number; value: number }>;
+}
+
+// The Tuya devices all use a modelId of TS0601, so the models are
+// identified by their manufacturerName. The datapoints were taken from
+// https://github.com/Koenkk/zigbee-herdsman-converters
+
+const CURTAIN_MOTOR: TuyaModel = {
+  name: 'curtain',
+  type: 'multiLevelSwitch',
+  '@type': ['MultiLevelSwitch'],
+  properties: {
+    lift: {
+      dp: 2,
+      statusDps: [3],
+      type: 'value',
+      descr: {
+        '@type': 'LevelProperty',
+        label: 'Lift',
+        description: 'Percentage closed (0 = fully open)',
+        type: 'number',
+        unit: 'percent',
+        minimum: 0,
+        maximum: 100,
+      },
+    },
+  },
+  actions: {
+    open: {
+      descr: { title: 'Open', description: 'Open the window covering' },
+      dp: 1,
+      value: 0,
+    },
+    stop: {
+      descr: { title: 'Stop', description: 'Stop the window covering' },
+      dp: 1,
+      value: 1,
+    },
+    close: {
+      descr: { title: 'Close', description: 'Close the window covering' },
+      dp: 1,
+      value: 2,
+    },
+  },
+};
+
+const RADIATOR_VALVE: TuyaModel = {
+  name: 'thermostat',
+  type: 'thermostat',
+  '@type': ['Thermostat', 'TemperatureSensor'],
+  properties: {
+    heatingTargetTemperature: {
+      dp: 2,
+      type: 'value',
+      descr: {
+        '@type': 'TargetTemperatureProperty',
+        label: 'Target',
+        type: 'number',
+        unit: 'degree celsius',
+        minimum: 5,
+        maximum: 35,
+        multipleOf: 1,
+      },
+    },
+    temperature: {
+      dp: 3,
+      type: 'value',
+      scale: 10,
+      descr: {
+        '@type': 'TemperatureProperty',
+        label: 'Temperature',
+        type: 'number',
+        unit: 'degree celsius',
+        multipleOf: 0.1,
+        readOnly: true,
+      },
+    },
+    childLock: {
+      dp: 13,
+      type: 'bool',
+      descr: {
+        label: 'Child Lock',
+        type: 'boolean',
+      },
+    },
+    batteryLevel: {
+      dp: 14,
+      type: 'value',
+      descr: {
+        label: 'Battery',
+        type: 'integer',
+        unit: 'percent',
+        minimum: 0,
+        maximum: 100,
+        readOnly: true,
+      },
+    },
+  },
+};
+
+const TEMPERATURE_HUMIDITY_SENSOR: TuyaModel = {
+  name: 'temperature',
+  type: 'sensor',
+  '@type': ['TemperatureSensor', 'HumiditySensor'],
+  properties: {
+    temperature: {
+      dp: 1,
+      type: 'value',
+      scale: 10,
+      descr: {
+        '@type': 'TemperatureProperty',
+        label: 'Temperature',
+        type: 'number',
+        unit: 'degree celsius',
+        multipleOf: 0.1,
+        readOnly: true,
+      },
+    },
+    humidity: {
+      dp: 2,
+      type: 'value',
+      scale: 10,
+      descr: {
+        '@type': 'HumidityProperty',
+        label: 'Humidity',
+        type: 'number',
+        unit: 'percent',
+        minimum: 0,
+        maximum: 100,
+        multipleOf: 0.1,
+        readOnly: true,
+      },
+    },
+    batteryLevel: {
+      dp: 4,
+      type: 'value',
+      descr: {
+        label: 'Battery',
+        type: 'integer',
+        unit: 'percent',
+        minimum: 0,
+        maximum: 100,
+        readOnly: true,
+      },
+    },
+  },
+};
+
+const MANUFACTURER_NAMES: Record<string, TuyaModel> = {
+  _TZE200_nueqqe6k: CURTAIN_MOTOR,
+  _TZE200_rddyvrci: CURTAIN_MOTOR,
+  _TZE200_xuzcvlku: CURTAIN_MOTOR,
+  _TZE200_zah67ekd: CURTAIN_MOTOR,
+  _TZE200_b6wax7g0: RADIATOR_VALVE, // Moes BRT-100
+  _TZE200_bjawzodf: TEMPERATURE_HUMIDITY_SENSOR,
+  _TZE200_zl1kmjqx: TEMPERATURE_HUMIDITY_SENSOR,
+};
+
+class TuyaProperty extends ZigbeeProperty {
+  dp: number;
+
+  statusDps: number[];
+
+  dpType: number;
+
+  scale: number;
+
+  constructor(
+    node: typeof ZigbeeNode,
+    name: string,
+    endpoint: number,
+    def: TuyaPropertyDefinition
+  ) {
+    super(
+      node, // device
+      name, // name
+      def.descr, // property description
+      PROFILE_ID.ZHA, // profileId
+      endpoint, // endpoint
+      CLUSTER_ID.TUYA, // clusterId
+      '', // attr
+      def.descr.readOnly ? '' : 'setTuyaValue', // setAttrFromValue
+      '' // parseValueFromAttr
+    );
+    this.dp = def.dp;
+    this.statusDps = def.statusDps || [];
+    this.dpType = TUYA_DP_TYPE[def.type];
+    this.scale = def.scale || 1;
+    this.configReportNeeded = false;
+    this.initialReadNeeded = false;
+    this.bindNeeded = false;
+  }
+
+  hasDatapoint(dp: number): boolean {
+    return this.dp == dp || this.statusDps.includes(dp);
+  }
+
+  /**
+   * @method parseTuyaDatapoint
+   *
+   * Converts the data from a datapoint into a property value.
+   */
+  parseTuyaDatapoint(datapoint: TuyaDatapoint): unknown {
+    const value = decodeTuyaValue(datapoint);
+    if (typeof value === 'number') {
+      if (Array.isArray(this.enum)) {
+        return this.enum[value];
+      }
+      return value / this.scale;
+    }
+    return value;
+  }
+
+  /**
+   * @method setTuyaValue
+   *
+   * Converts a property value into the setData command which sets the
+   * datapoint.
+   */
+  setTuyaValue(propertyValue: boolean | number | string): [Record<string, unknown>, string] {
+    let dpValue = propertyValue;
+    if (Array.isArray(this.enum)) {
+      dpValue = Math.max(this.enum.indexOf(propertyValue), 0);
+    } else if (typeof propertyValue === 'number') {
+      dpValue = propertyValue * this.scale;
+    }
+    return [
+      makeSetDataCommand(<typeof ZigbeeNode>this.device, [
+        { dp: this.dp, type: this.dpType, data: encodeTuyaValue(this.dpType, dpValue) },
+      ]),
+      `dp: ${this.dp} value: ${dpValue}`,
+    ];
+  }
+}
+
+function makeSetDataCommand(
+  node: typeof ZigbeeNode,
+  datapoints: TuyaDatapoint[]
+): Record<string, unknown> {
+  node.tuyaSeq = ((node.tuyaSeq || 0) + 1) & 0xffff;
+  return {
+    frameCntl: { frameType: 1 },
+    cmd: 'setData',
+    payload: {
+      seq: node.tuyaSeq,
+      datapoints: datapoints,
+    },
+  };
+}
+
+export default class TuyaFamily extends ZigbeeFamily {
+  constructor() {
+    super('tuya');
+  }
+
+  classify(_node: typeof ZigbeeNode): void {
+    // The tuya family does the classification as part of the init
+    // function, so we don't need to do anything here.
+  }
+
+  identify(node: typeof ZigbeeNode): boolean {
+    if (MANUFACTURER_NAMES.hasOwnProperty(node.manufacturerName)) {
+      this.init(node);
+      return true;
+    }
+    return false;
+  }
+
+  init(node: typeof ZigbeeNode): void {
+    const model = MANUFACTURER_NAMES[node.manufacturerName];
+    if (node.inited) {
+      return;
+    }
+    node.inited = true;
+
+    DEBUG && console.log('tuya.init: manufacturerName:', node.manufacturerName);
+    node.tuyaEndpoint = node.findZhaEndpointWithInputClusterIdHex(CLUSTER_ID.TUYA_HEX) || 1;
+    node.name = `${node.id}-${model.name}`;
+    node.type = model.type;
+    node['@type'] = model['@type'].slice();
+    for (const propertyName in model.properties) {
+      const property = new TuyaProperty(
+        node,
+        propertyName,
+        node.tuyaEndpoint,
+        model.properties[propertyName]
+      );
+      DEBUG && console.log('tuya.init: added property:', propertyName, property.asDict());
+      node.properties.set(propertyName, property);
+    }
+    for (const actionName in model.actions || {}) {
+      node.addAction(actionName, (model.actions || {})[actionName].descr);
+    }
+
+    for (const endpointNum in node.activeEndpoints) {
+      const endpoint = node.activeEndpoints[endpointNum];
+      endpoint.classifierAttributesPopulated = true;
+    }
+    node.activeEndpointsPopulated = true;
+    node.nodeInfoEndpointsPopulated = true;
+    // The datapoints are reported without needing to be bound.
+    node.rebindRequired = false;
+
+    // Make sure that the family is set before calling
+    // handleDeviceAdded. This ensures that our classifier gets
+    // called and not the generic one.
+    node.family = this;
+    node.adapter.saveDeviceInfo();
+    node.adapter.handleDeviceAdded(node);
+
+    // Ask the device to report all of its datapoints.
+    node.sendFrames([
+      node.makeZclFrame(node.tuyaEndpoint, PROFILE_ID.ZHA, CLUSTER_ID.TUYA, {
+        frameCntl: { frameType: 1 },
+        cmd: 'dataQuery',
+      }),
+    ]);
+  }
+
+  handleZhaResponse(node: typeof ZigbeeNode, frame: ZclFrame): boolean {
+    if (parseInt(frame.clusterId, 16) != CLUSTER_ID.TUYA || frame.zcl.frameCntl.frameType != 1) {
+      return false;
+    }
+    switch (frame.zcl.cmdId) {
+      case 'dataResponse':
+      case 'dataReport':
+        for (const datapoint of (<TuyaPayload>frame.zcl.payload).datapoints || []) {
+          // A malformed datapoint shouldn't stop the others from being handled.
+          try {
+            this.handleDatapoint(node, datapoint);
+          } catch (e) {
+            console.error('tuya:', node.addr64, 'failed to handle datapoint', datapoint.dp, e);
+          }
+        }
+        // Let the node send a defaultRsp, if one was requested.
+        return false;
+
+      case 'timeSync':
+        this.sendTimeSync(node, frame);
+        return true;
+    }
+    DEBUG && console.log('tuya: ignoring command:', frame.zcl.cmdId);
+    return false;
+  }
+
+  handleDatapoint(node: typeof ZigbeeNode, datapoint: TuyaDatapoint): void {
+    for (const property of node.properties.values()) {
+      if (property instanceof TuyaProperty && property.hasDatapoint(datapoint.dp)) {
+        node.setPropertyValue(property, property.parseTuyaDatapoint(datapoint));
+        return;
+      }
+    }
+    DEBUG &&
+      console.log(
+        'tuya: unhandled datapoint:',
+        datapoint.dp,
+        'type:',
+        datapoint.type,
+        'data:',
+        datapoint.data.toString('hex')
+      );
+  }
+
+  /**
+   * @method sendTimeSync
+   *
+   * Tuya devices periodically ask for the time (i.e. thermostats which
+   * have schedules), and expect the UTC and local time in seconds since
+   * 1970. Nothing comes back, so the reply is sent right away rather than
+   * being queued up to wait for a response.
+   */
+  sendTimeSync(node: typeof ZigbeeNode, frame: ZclFrame): void {
+    const now = new Date();
+    const utcTime = Math.round(now.getTime() / 1000);
+    const localTime = utcTime - now.getTimezoneOffset() * 60;
+    DEBUG && console.log('tuya: sending timeSync to', node.addr64, 'utcTime:', utcTime);
+    node.adapter.sendFrameNow(
+      node.makeZclFrame(parseInt(frame.sourceEndpoint, 16), PROFILE_ID.ZHA, CLUSTER_ID.TUYA, {
+        frameCntl: { frameType: 1, disDefaultRsp: 1 },
+        seqNum: frame.zcl.seqNum,
+        cmd: 'timeSync',
+        payload: { utcTime, localTime },
+      })
+    );
+  }
+
+  performAction(node: typeof ZigbeeNode, action: Action): Promise<void> | null {
+    const model = MANUFACTURER_NAMES[node.manufacturerName];
+    const actionDef = model && model.actions && model.actions[action.getName()];
+    if (!actionDef) {
+      return null;
+    }
+    action.start();
+    node.sendFrames([
+      node.makeZclFrame(
+        node.tuyaEndpoint,
+        PROFILE_ID.ZHA,
+        CLUSTER_ID.TUYA,
+        makeSetDataCommand(node, [
+          {
+            dp: actionDef.dp,
+            type: TUYA_DP_TYPE.enum,
+            data: encodeTuyaValue(TUYA_DP_TYPE.enum, actionDef.value),
+          },
+        ])
+      ),
+    ]);
+    action.finish();
+    return Promise.resolve();
+  }
+}
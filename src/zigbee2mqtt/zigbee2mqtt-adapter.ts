@@ -8,9 +8,12 @@
  */
 
 import { Adapter, AddonManagerProxy, Device } from 'gateway-addon';
+import { Any, DeviceWithoutId as DeviceWithoutIdSchema } from 'gateway-addon/lib/schema';
 import { Config, Zigbee2MQTTAdapter } from '../config';
+import fs from 'fs';
 import mqtt from 'mqtt';
 import { Zigbee2MqttDevice } from './zigbee2mqtt-device';
+import { Zigbee2MqttGroup, commonExposes } from './zigbee2mqtt-group';
 import DEBUG_FLAG from '../zb-debug';
 
 function debug(): boolean {
@@ -20,12 +23,29 @@ function debug(): boolean {
 interface Response {
   data?: {
     id?: string;
+    from?: string | Record<string, unknown>;
+    to?: string | Record<string, unknown>;
+    updateAvailable?: boolean;
+    restart_required?: boolean;
     block?: boolean;
     force?: boolean;
     value: boolean;
   };
   status?: string;
   error?: string;
+  transaction?: string;
+}
+
+interface PendingRequest {
+  resolve: (response: Response) => void;
+  reject: (error: Error) => void;
+  timeout: NodeJS.Timeout;
+}
+
+interface Info {
+  config?: {
+    devices?: Record<string, Record<string, Any>>;
+  };
 }
 
 interface Log {
@@ -34,21 +54,90 @@ interface Log {
 }
 
 const DEVICES_POSTFIX = '/bridge/devices';
+const GROUPS_POSTFIX = '/bridge/groups';
 const PERMIT_REQUEST_POSTFIX = '/bridge/request/permit_join';
 const PERMIT_RESPONSE_POSTFIX = '/bridge/response/permit_join';
 const REMOVE_REQUEST_POSTFIX = '/bridge/request/device/remove';
 const REMOVE_RESPONSE_POSTFIX = '/bridge/response/device/remove';
+const RENAME_REQUEST_POSTFIX = '/bridge/request/device/rename';
+const RENAME_RESPONSE_POSTFIX = '/bridge/response/device/rename';
+const GROUP_REMOVE_REQUEST_POSTFIX = '/bridge/request/group/remove';
+const GROUP_RENAME_REQUEST_POSTFIX = '/bridge/request/group/rename';
+const GROUP_RENAME_RESPONSE_POSTFIX = '/bridge/response/group/rename';
+export const OTA_CHECK_REQUEST_POSTFIX = '/bridge/request/device/ota_update/check';
+const OTA_CHECK_RESPONSE_POSTFIX = '/bridge/response/device/ota_update/check';
+export const OTA_UPDATE_REQUEST_POSTFIX = '/bridge/request/device/ota_update/update';
+const OTA_UPDATE_RESPONSE_POSTFIX = '/bridge/response/device/ota_update/update';
+export const DEVICE_OPTIONS_REQUEST_POSTFIX = '/bridge/request/device/options';
+const DEVICE_OPTIONS_RESPONSE_POSTFIX = '/bridge/response/device/options';
+export const CONFIGURE_REPORTING_REQUEST_POSTFIX = '/bridge/request/device/configure_reporting';
+const CONFIGURE_REPORTING_RESPONSE_POSTFIX = '/bridge/response/device/configure_reporting';
+const INFO_POSTFIX = '/bridge/info';
 const LOGGING_POSTFIX = '/bridge/logging';
+const BRIDGE_STATE_POSTFIX = '/bridge/state';
+export const AVAILABILITY_POSTFIX = '/availability';
+
+export const REQUEST_TIMEOUT_MS = 10000;
+
+const DEFAULT_LOW_BATTERY_THRESHOLD = 10;
+
+const DEFAULT_PROTOCOL = 'mqtt';
+
+const DEFAULT_PORTS: Record<string, number> = {
+  mqtt: 1883,
+  mqtts: 8883,
+  ws: 80,
+  wss: 443,
+};
+
+function getPort(adapterConfig: Zigbee2MQTTAdapter): number {
+  return adapterConfig.port || DEFAULT_PORTS[adapterConfig.protocol ?? DEFAULT_PROTOCOL];
+}
+
+// Older versions of Zigbee2MQTT publish the bridge state and availability
+// as a plain string, newer versions use {"state": "online"}.
+function parseState(raw: string): string | undefined {
+  try {
+    const json = JSON.parse(raw);
 
-const DEFAULT_PORT = 1883;
+    if (typeof json === 'string') {
+      return json;
+    }
+
+    return json?.state;
+  } catch (error) {
+    return raw;
+  }
+}
 
 export class Zigbee2MqttAdapter extends Adapter {
   private prefix: string;
 
   private client?: mqtt.Client;
 
+  // Groups share the namespace of the devices in Zigbee2MQTT, so they
+  // are kept in here as well.
   private deviceByFriendlyName: Record<string, Zigbee2MqttDevice> = {};
 
+  // Used to find the exposes of the members of a group.
+  private deviceDefinitions: Record<string, DeviceDefinition> = {};
+
+  private groupDefinitions: GroupDefinition[] = [];
+
+  // The options of each device, from bridge/info.
+  private deviceOptions: Record<string, Record<string, Any>> = {};
+
+  // Requests to the bridge which are waiting for a response, by the
+  // transaction which Zigbee2MQTT echoes in the response.
+  private pendingRequests: Record<string, PendingRequest> = {};
+
+  private nextTransaction = 1;
+
+  // The ids of the devices which we've already warned about.
+  private lowBatteryDevices = new Set<string>();
+
+  private bridgeOnline = true;
+
   constructor(
     addonManager: AddonManagerProxy,
     private config: Config,
@@ -56,7 +145,7 @@ export class Zigbee2MqttAdapter extends Adapter {
   ) {
     super(
       addonManager,
-      `zb-zigbee2mqtt-${adapterConfig.host}:${adapterConfig.port ?? DEFAULT_PORT}`,
+      `zb-zigbee2mqtt-${adapterConfig.host}:${getPort(adapterConfig)}`,
       'zigbee-adapter'
     );
     this.prefix = adapterConfig.topicPrefix ?? 'zigbee2mqtt';
@@ -65,18 +154,38 @@ export class Zigbee2MqttAdapter extends Adapter {
 
   async connect(): Promise<void> {
     const host = this.adapterConfig.host;
-    const port = this.adapterConfig.port || DEFAULT_PORT;
-    const broker = `mqtt://${host}:${port}`;
+    const port = getPort(this.adapterConfig);
+    const protocol = this.adapterConfig.protocol ?? DEFAULT_PROTOCOL;
+    const broker = `${protocol}://${host}:${port}`;
+
+    let options: mqtt.IClientOptions;
+
+    try {
+      options = this.getClientOptions();
+    } catch (error) {
+      console.error(`Could not load the certificates for ${broker}: ${error}`);
+      return;
+    }
+
     console.log(`Connecting to broker ${broker}`);
-    const client = mqtt.connect(broker);
+    const client = mqtt.connect(broker, options);
     this.client = client;
 
     client.on('connect', () => {
       console.log(`Successfully connected to ${broker}`);
 
+      this.subscribe(`${this.prefix}${BRIDGE_STATE_POSTFIX}`);
       this.subscribe(`${this.prefix}${DEVICES_POSTFIX}`);
+      this.subscribe(`${this.prefix}${GROUPS_POSTFIX}`);
       this.subscribe(`${this.prefix}${PERMIT_RESPONSE_POSTFIX}`);
       this.subscribe(`${this.prefix}${REMOVE_RESPONSE_POSTFIX}`);
+      this.subscribe(`${this.prefix}${RENAME_RESPONSE_POSTFIX}`);
+      this.subscribe(`${this.prefix}${GROUP_RENAME_RESPONSE_POSTFIX}`);
+      this.subscribe(`${this.prefix}${OTA_CHECK_RESPONSE_POSTFIX}`);
+      this.subscribe(`${this.prefix}${OTA_UPDATE_RESPONSE_POSTFIX}`);
+      this.subscribe(`${this.prefix}${DEVICE_OPTIONS_RESPONSE_POSTFIX}`);
+      this.subscribe(`${this.prefix}${CONFIGURE_REPORTING_RESPONSE_POSTFIX}`);
+      this.subscribe(`${this.prefix}${INFO_POSTFIX}`);
       if (this.config.zigbee2mqtt?.zigbee2mqttDebugLogs) {
         this.subscribe(`${this.prefix}${LOGGING_POSTFIX}`);
       }
@@ -86,6 +195,14 @@ export class Zigbee2MqttAdapter extends Adapter {
       console.error(`Could not connect to broker: ${error}`);
     });
 
+    // The broker sends us the retained bridge state again once we've
+    // reconnected, which marks the devices as connected again.
+    client.on('offline', () => {
+      console.log(`Lost connection to ${broker}`);
+      this.setBridgeOnline(false);
+      this.rejectPendingRequests(new Error(`Lost connection to ${broker}`));
+    });
+
     client.on('message', (topic, message) => {
       const raw = message.toString();
 
@@ -93,6 +210,28 @@ export class Zigbee2MqttAdapter extends Adapter {
         console.log(`Received on ${topic}: ${raw}`);
       }
 
+      if (topic === `${this.prefix}${BRIDGE_STATE_POSTFIX}`) {
+        const state = parseState(raw);
+        console.log(`Zigbee2MQTT bridge is ${state}`);
+        this.setBridgeOnline(state === 'online');
+        return;
+      }
+
+      if (topic.endsWith(AVAILABILITY_POSTFIX)) {
+        const friendlyName = topic.slice(
+          this.prefix.length + 1,
+          topic.length - AVAILABILITY_POSTFIX.length
+        );
+        const device = this.deviceByFriendlyName[friendlyName];
+
+        if (device) {
+          device.setAvailable(parseState(raw) === 'online');
+        } else if (debug()) {
+          console.log(`Could not find device with friendlyName ${friendlyName}`);
+        }
+        return;
+      }
+
       try {
         const json = JSON.parse(raw);
 
@@ -100,6 +239,15 @@ export class Zigbee2MqttAdapter extends Adapter {
 
         if (topic.endsWith(DEVICES_POSTFIX)) {
           this.handleDevices(client, json);
+        } else if (topic.endsWith(GROUPS_POSTFIX)) {
+          this.handleGroups(client, json);
+        } else if (topic.endsWith(INFO_POSTFIX)) {
+          this.handleInfo(json);
+        } else if (
+          topic.endsWith(DEVICE_OPTIONS_RESPONSE_POSTFIX) ||
+          topic.endsWith(CONFIGURE_REPORTING_RESPONSE_POSTFIX)
+        ) {
+          this.handleResponse(json);
         } else if (parts.length == 2) {
           const friendlyName = parts[1];
           const device = this.deviceByFriendlyName[friendlyName];
@@ -130,14 +278,50 @@ export class Zigbee2MqttAdapter extends Adapter {
           } else if (response.status === 'ok') {
             console.log(`Removed device ${id} successfully`);
 
-            const existingDevice = this.getDevice(id);
+            const existingDevice = this.getDevice(id) as Zigbee2MqttDevice;
 
             if (existingDevice) {
-              this.handleDeviceRemoved(existingDevice);
+              this.removeDevice(existingDevice);
             } else {
               console.warn(`Could not find device with id ${id}`);
             }
           }
+        } else if (
+          topic.endsWith(RENAME_RESPONSE_POSTFIX) ||
+          topic.endsWith(GROUP_RENAME_RESPONSE_POSTFIX)
+        ) {
+          const response: Response = json;
+
+          if (response.transaction) {
+            // A rename which we requested, see handleDeviceSaved.
+            this.handleResponse(response);
+          } else if (response.error) {
+            console.log(`Could not rename device: ${response.error}`);
+          } else if (response.status === 'ok') {
+            // The new name shows up in the next bridge/devices message.
+            console.log(`Renamed device ${response.data?.from} to ${response.data?.to}`);
+          }
+        } else if (topic.endsWith(OTA_CHECK_RESPONSE_POSTFIX)) {
+          const response: Response = json;
+          const id = response.data?.id ?? 'unknown';
+
+          if (response.error) {
+            console.log(`Could not check ${id} for updates: ${response.error}`);
+          } else if (response.status === 'ok') {
+            // The device state tells the properties about the update.
+            const available = response.data?.updateAvailable;
+            console.log(`Update for ${id} is ${available ? '' : 'not '}available`);
+          }
+        } else if (topic.endsWith(OTA_UPDATE_RESPONSE_POSTFIX)) {
+          const response: Response = json;
+          const id = response.data?.id ?? 'unknown';
+
+          if (response.error) {
+            console.log(`Could not update ${id}: ${response.error}`);
+          } else if (response.status === 'ok') {
+            const { from, to } = response.data ?? {};
+            console.log(`Updated ${id} from ${JSON.stringify(from)} to ${JSON.stringify(to)}`);
+          }
         } else if (topic.indexOf(LOGGING_POSTFIX) > -1) {
           const log: Log = json;
           console.log(`Zigbee2Mqtt::${log.level}: ${log.message}`);
@@ -148,6 +332,49 @@ export class Zigbee2MqttAdapter extends Adapter {
     });
   }
 
+  private getClientOptions(): mqtt.IClientOptions {
+    const { username, password, clientId, caFile, certFile, keyFile } = this.adapterConfig;
+    const options: mqtt.IClientOptions = {};
+
+    if (username) {
+      options.username = username;
+      options.password = password;
+    }
+
+    if (clientId) {
+      options.clientId = clientId;
+    }
+
+    // The certificates are only used for mqtts and wss.
+    if (caFile) {
+      options.ca = fs.readFileSync(caFile);
+    }
+
+    if (certFile) {
+      options.cert = fs.readFileSync(certFile);
+    }
+
+    if (keyFile) {
+      options.key = fs.readFileSync(keyFile);
+    }
+
+    return options;
+  }
+
+  private setBridgeOnline(online: boolean): void {
+    const wasOnline = this.bridgeOnline;
+    this.bridgeOnline = online;
+
+    for (const device of Object.values(this.deviceByFriendlyName)) {
+      device.setBridgeOnline(online);
+
+      // Anything could have changed while we weren't listening.
+      if (online && !wasOnline) {
+        device.fetchValues();
+      }
+    }
+  }
+
   private subscribe(topic: string): void {
     console.log(`Subscribing to ${topic}`);
 
@@ -171,20 +398,35 @@ export class Zigbee2MqttAdapter extends Adapter {
       return;
     }
 
+    // bridge/devices always contains the complete list of devices, so
+    // anything we don't see has been removed from Zigbee2MQTT.
+    const seenIds = new Set<string>();
+
     for (const deviceDefinition of deviceDefinitions) {
       if (deviceDefinition.type == 'EndDevice' || deviceDefinition.type == 'Router') {
         const id = deviceDefinition.ieee_address;
 
         if (id) {
-          const existingDevice = this.getDevice(id);
+          seenIds.add(id);
+          this.deviceDefinitions[id] = deviceDefinition;
+
+          const existingDevice = this.getDevice(id) as Zigbee2MqttDevice;
 
           if (!existingDevice) {
-            const device = new Zigbee2MqttDevice(this, id, deviceDefinition, client, this.prefix);
-            this.handleDeviceAdded(device);
-            this.deviceByFriendlyName[deviceDefinition.friendly_name as string] = device;
-            device.fetchValues();
-          } else if (debug()) {
-            console.log(`Device ${id} already exists`);
+            this.addDevice(client, id, deviceDefinition);
+          } else if (!existingDevice.hasDefinition(deviceDefinition)) {
+            // A re-interview can change the exposes, so we start afresh.
+            console.log(`Definition of ${id} changed, recreating it`);
+            this.removeDevice(existingDevice);
+            this.addDevice(client, id, deviceDefinition);
+          } else {
+            if (existingDevice.getFriendlyName() !== deviceDefinition.friendly_name) {
+              this.renameDevice(existingDevice, deviceDefinition.friendly_name as string);
+            } else if (debug()) {
+              console.log(`Device ${id} already exists`);
+            }
+
+            existingDevice.updateReportings(deviceDefinition);
           }
         } else {
           console.log(`Ignoring device without id: ${JSON.stringify(deviceDefinition)}`);
@@ -193,6 +435,231 @@ export class Zigbee2MqttAdapter extends Adapter {
         console.log(`Ignoring device of type ${deviceDefinition.type}`);
       }
     }
+
+    for (const [id, device] of Object.entries(this.getDevices())) {
+      if (!seenIds.has(id) && !(device instanceof Zigbee2MqttGroup)) {
+        console.log(`Device ${id} was removed from Zigbee2MQTT`);
+        delete this.deviceDefinitions[id];
+        this.removeDevice(device as Zigbee2MqttDevice);
+      }
+    }
+
+    // The exposes of the members may have changed.
+    this.updateGroups(client);
+  }
+
+  isDiagnosticsEnabled(): boolean {
+    return !!this.config.zigbee2mqtt?.zigbee2mqttDiagnostics;
+  }
+
+  // Warns once when the battery of a device drops below the threshold,
+  // and again only after it has been replaced (or recharged).
+  checkBattery(device: Zigbee2MqttDevice, battery: number): void {
+    const threshold =
+      this.config.zigbee2mqtt?.zigbee2mqttLowBatteryThreshold ?? DEFAULT_LOW_BATTERY_THRESHOLD;
+    const id = device.getId();
+
+    if (battery < threshold) {
+      if (!this.lowBatteryDevices.has(id)) {
+        this.lowBatteryDevices.add(id);
+        console.warn(`Battery of ${device.getTitle()} (${id}) is low: ${battery}%`);
+      }
+    } else if (this.lowBatteryDevices.delete(id)) {
+      console.log(`Battery of ${device.getTitle()} (${id}) is back at ${battery}%`);
+    }
+  }
+
+  private handleInfo(info: Info): void {
+    this.deviceOptions = info?.config?.devices ?? {};
+
+    for (const [id, options] of Object.entries(this.deviceOptions)) {
+      const device = this.getDevice(id) as Zigbee2MqttDevice;
+      device?.setOptions(options);
+    }
+  }
+
+  /**
+   * Sends a request to the bridge and waits for the response. The promise
+   * is rejected if the bridge reports an error or doesn't respond.
+   */
+  request(postfix: string, payload: Record<string, unknown>): Promise<Response> {
+    const transaction = `${this.nextTransaction++}`;
+
+    return new Promise<Response>((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        delete this.pendingRequests[transaction];
+        reject(new Error(`Timed out waiting for a response to ${postfix}`));
+      }, REQUEST_TIMEOUT_MS);
+
+      this.pendingRequests[transaction] = { resolve, reject, timeout };
+      this.publish(`${this.prefix}${postfix}`, JSON.stringify({ ...payload, transaction }));
+    });
+  }
+
+  // The responses to these requests would never arrive, so their callers
+  // are told right away instead of waiting for the timeout.
+  private rejectPendingRequests(error: Error): void {
+    for (const [transaction, pendingRequest] of Object.entries(this.pendingRequests)) {
+      clearTimeout(pendingRequest.timeout);
+      delete this.pendingRequests[transaction];
+      pendingRequest.reject(error);
+    }
+  }
+
+  unload(): Promise<void> {
+    this.rejectPendingRequests(new Error('Adapter unloaded'));
+
+    for (const device of Object.values(this.deviceByFriendlyName)) {
+      device.destroy();
+    }
+
+    return super.unload();
+  }
+
+  private handleResponse(response: Response): void {
+    const pendingRequest = this.pendingRequests[response?.transaction ?? ''];
+
+    if (!pendingRequest) {
+      if (debug()) {
+        console.log(`Ignoring response without a pending request: ${JSON.stringify(response)}`);
+      }
+      return;
+    }
+
+    clearTimeout(pendingRequest.timeout);
+    delete this.pendingRequests[response.transaction as string];
+
+    if (response.status === 'ok') {
+      pendingRequest.resolve(response);
+    } else {
+      pendingRequest.reject(new Error(response.error ?? `Unexpected status ${response.status}`));
+    }
+  }
+
+  private handleGroups(client: mqtt.Client, groupDefinitions: GroupDefinition[]): void {
+    if (!Array.isArray(groupDefinitions)) {
+      console.log(`Expected list of groups but got ${typeof groupDefinitions}`);
+      return;
+    }
+
+    this.groupDefinitions = groupDefinitions;
+    this.updateGroups(client);
+  }
+
+  // Creates a thing for each group with the exposes which all of its
+  // members have in common. Groups without any are left out, since the
+  // thing wouldn't be able to do anything.
+  private updateGroups(client: mqtt.Client): void {
+    const seenIds = new Set<string>();
+
+    for (const groupDefinition of this.groupDefinitions) {
+      const id = `zigbee2mqtt-group-${groupDefinition.id}`;
+      const exposes = commonExposes(
+        (groupDefinition.members ?? []).map(
+          (member) => this.deviceDefinitions[member.ieee_address]?.definition?.exposes ?? []
+        )
+      );
+
+      if (exposes.length == 0) {
+        if (debug()) {
+          console.log(`Group ${groupDefinition.friendly_name} has no common exposes`);
+        }
+        continue;
+      }
+
+      seenIds.add(id);
+
+      const existingGroup = this.getDevice(id) as Zigbee2MqttGroup;
+
+      if (!existingGroup) {
+        this.addGroup(client, id, groupDefinition, exposes);
+      } else if (!existingGroup.hasDefinition({ definition: { exposes } })) {
+        console.log(`Members of group ${groupDefinition.friendly_name} changed, recreating it`);
+        this.removeDevice(existingGroup);
+        this.addGroup(client, id, groupDefinition, exposes);
+      } else if (existingGroup.getFriendlyName() !== groupDefinition.friendly_name) {
+        this.renameDevice(existingGroup, groupDefinition.friendly_name);
+      }
+    }
+
+    for (const [id, device] of Object.entries(this.getDevices())) {
+      if (!seenIds.has(id) && device instanceof Zigbee2MqttGroup) {
+        console.log(`Group ${id} was removed from Zigbee2MQTT`);
+        this.removeDevice(device);
+      }
+    }
+  }
+
+  private addDevice(client: mqtt.Client, id: string, deviceDefinition: DeviceDefinition): void {
+    this.registerDevice(new Zigbee2MqttDevice(this, id, deviceDefinition, client, this.prefix));
+  }
+
+  private addGroup(
+    client: mqtt.Client,
+    id: string,
+    groupDefinition: GroupDefinition,
+    exposes: Expos[]
+  ): void {
+    this.registerDevice(
+      new Zigbee2MqttGroup(this, id, groupDefinition, exposes, client, this.prefix)
+    );
+  }
+
+  private registerDevice(device: Zigbee2MqttDevice): void {
+    this.handleDeviceAdded(device);
+    this.deviceByFriendlyName[device.getFriendlyName()] = device;
+    device.setOptions(this.deviceOptions[device.getId()] ?? {});
+    device.setBridgeOnline(this.bridgeOnline);
+    device.fetchValues();
+  }
+
+  private renameDevice(device: Zigbee2MqttDevice, friendlyName: string): void {
+    console.log(`${device.getFriendlyName()} was renamed to ${friendlyName}`);
+    delete this.deviceByFriendlyName[device.getFriendlyName()];
+    device.setFriendlyName(friendlyName);
+    this.deviceByFriendlyName[friendlyName] = device;
+  }
+
+  // The gateway has no separate message for a changed device description,
+  // so the device is sent again, but only while it's still known to us.
+  handleDeviceDescriptionUpdated(device: Zigbee2MqttDevice): void {
+    if (this.deviceByFriendlyName[device.getFriendlyName()] === device) {
+      this.handleDeviceAdded(device);
+    }
+  }
+
+  private removeDevice(device: Zigbee2MqttDevice): void {
+    device.destroy();
+    delete this.deviceByFriendlyName[device.getFriendlyName()];
+    this.handleDeviceRemoved(device);
+  }
+
+  // Called by the gateway when a thing is saved, which includes when the
+  // user renames it. We rename the device in Zigbee2MQTT to match.
+  handleDeviceSaved(deviceId: string, deviceDescription: DeviceWithoutIdSchema): void {
+    const device = this.getDevice(deviceId) as Zigbee2MqttDevice;
+    const title = deviceDescription.title;
+
+    if (!device || !title || title === device.getTitle()) {
+      return;
+    }
+
+    const friendlyName = device.getFriendlyName();
+    const renamePostfix =
+      device instanceof Zigbee2MqttGroup ? GROUP_RENAME_REQUEST_POSTFIX : RENAME_REQUEST_POSTFIX;
+    console.log(`Renaming ${friendlyName} to ${title}`);
+
+    // The device keeps its old name until Zigbee2MQTT has confirmed the
+    // rename, so that the two never disagree.
+    this.request(renamePostfix, { from: friendlyName, to: title })
+      .then(() => {
+        if (device.getFriendlyName() !== title) {
+          this.renameDevice(device, title);
+        }
+      })
+      .catch((error) => {
+        console.error(`Could not rename ${friendlyName} to ${title}: ${error}`);
+      });
   }
 
   startPairing(timeoutSeconds: number): void {
@@ -209,6 +676,14 @@ export class Zigbee2MqttAdapter extends Adapter {
 
   removeThing(device: Device): void {
     console.log(`Removing ${device.getTitle()} (${device.getId()})`);
+
+    // The thing goes away once the next bridge/groups message arrives.
+    if (device instanceof Zigbee2MqttGroup) {
+      const groupRemoveTopic = `${this.prefix}${GROUP_REMOVE_REQUEST_POSTFIX}`;
+      this.publish(groupRemoveTopic, JSON.stringify({ id: device.getGroupId() }));
+      return;
+    }
+
     const removeTopic = `${this.prefix}${REMOVE_REQUEST_POSTFIX}`;
     this.publish(removeTopic, JSON.stringify({ id: device.getId() }));
   }
@@ -229,6 +704,7 @@ export class Zigbee2MqttAdapter extends Adapter {
 export interface DeviceDefinition {
   definition?: Definition;
   friendly_name?: string;
+  endpoints?: Record<string, EndpointDefinition>;
   ieee_address?: string;
   interview_completed?: boolean;
   interviewing?: boolean;
@@ -239,9 +715,34 @@ export interface DeviceDefinition {
   type?: string;
 }
 
+export interface GroupDefinition {
+  id: number;
+  friendly_name: string;
+  members?: GroupMember[];
+}
+
+export interface GroupMember {
+  ieee_address: string;
+  endpoint?: number;
+}
+
+export interface EndpointDefinition {
+  configured_reportings?: ConfiguredReporting[];
+}
+
+export interface ConfiguredReporting {
+  endpoint?: string;
+  cluster: string;
+  attribute: string;
+  minimum_report_interval: number;
+  maximum_report_interval: number;
+  reportable_change: number;
+}
+
 export interface Definition {
   description?: string;
   exposes?: Expos[];
+  options?: Expos[];
   model?: string;
   supports_ota?: boolean;
   vendor?: string;
@@ -257,6 +758,8 @@ export interface Expos {
   value_max?: number;
   value_min?: number;
   value_step?: number;
+  value_on?: string | boolean;
+  value_off?: string | boolean;
   values?: string[];
   features: Expos[];
 }
@@ -8,8 +8,18 @@
  */
 
 import { Action, Device, Event } from 'gateway-addon';
-import { Any, Event as EventSchema } from 'gateway-addon/lib/schema';
-import { Zigbee2MqttAdapter, DeviceDefinition, Expos } from './zigbee2mqtt-adapter';
+import { Any, Action as ActionSchema, Event as EventSchema } from 'gateway-addon/lib/schema';
+import {
+  Zigbee2MqttAdapter,
+  ConfiguredReporting,
+  DeviceDefinition,
+  Expos,
+  AVAILABILITY_POSTFIX,
+  OTA_CHECK_REQUEST_POSTFIX,
+  OTA_UPDATE_REQUEST_POSTFIX,
+  DEVICE_OPTIONS_REQUEST_POSTFIX,
+  CONFIGURE_REPORTING_REQUEST_POSTFIX,
+} from './zigbee2mqtt-adapter';
 import {
   OnOffProperty,
   BrightnessProperty,
@@ -20,6 +30,18 @@ import {
   parseType,
   parseUnit,
   HeatingCoolingProperty,
+  CoverStateProperty,
+  LockedProperty,
+  FanSpeedProperty,
+  FAN_SPEEDS,
+  UpdateAvailableProperty,
+  UpdateProgressProperty,
+  OptionProperty,
+  ReportingProperty,
+  DeviceConfigProperty,
+  LastSeenProperty,
+  RemoteLevelProperty,
+  parseDimmerAction,
 } from './zigbee2mqtt-property';
 import mqtt from 'mqtt';
 import DEBUG_FLAG from '../zb-debug';
@@ -28,17 +50,22 @@ function debug(): boolean {
   return DEBUG_FLAG.DEBUG_zigbee2mqtt;
 }
 
-const IGNORED_PROPERTIES = [
-  'linkquality',
+// Only created if the diagnostics are enabled in the config.
+const DIAGNOSTIC_PROPERTIES = ['linkquality', 'voltage', 'last_seen'];
+
+// Settings of the device, rather than its state.
+const CONFIG_PROPERTIES = [
   'local_temperature_calibration',
-  'update',
-  'update_available',
-  'color_temp_startup',
-  'voltage',
   'led_indication',
   'occupancy_timeout',
-  'illuminance',
   'motion_sensitivity',
+];
+
+const IGNORED_PROPERTIES = [
+  // Superseded by update.state, which the OTA properties use.
+  'update_available',
+  'color_temp_startup',
+  'illuminance',
   'requested_brightness_percent',
   'requested_brightness_level',
   'action_side',
@@ -49,25 +76,40 @@ const IGNORED_PROPERTIES = [
 export class Zigbee2MqttDevice extends Device {
   private deviceTopic: string;
 
+  private friendlyName: string;
+
+  // Used to detect when a re-interview changes the definition.
+  private definitionJson: string;
+
+  // The message to send for actions which set a value, rather than
+  // sending the action input (i.e. lock sends {"state": "LOCK"}).
+  private actionPayloads: Record<string, Record<string, Any>> = {};
+
+  // Actions which are sent as a request to the bridge, rather than to
+  // the device (i.e. the OTA update actions).
+  private bridgeActions: Record<string, string> = {};
+
+  // Zigbee2MQTT only reports availability if it has been enabled in its
+  // configuration, so we assume that the device is available.
+  private available = true;
+
+  private bridgeOnline = true;
+
   constructor(
     adapter: Zigbee2MqttAdapter,
     id: string,
     deviceDefinition: DeviceDefinition,
     private client: mqtt.Client,
-    topicPrefix: string
+    private topicPrefix: string
   ) {
     super(adapter, id);
-    this.deviceTopic = `${topicPrefix}/${deviceDefinition.friendly_name}`;
+    this.friendlyName = deviceDefinition.friendly_name as string;
+    this.deviceTopic = `${topicPrefix}/${this.friendlyName}`;
+    this.definitionJson = JSON.stringify(deviceDefinition.definition ?? {});
 
     this.detectProperties(deviceDefinition);
 
-    console.log(`Subscribing to ${this.deviceTopic}`);
-
-    client.subscribe(this.deviceTopic, (err) => {
-      if (err) {
-        console.error(`Could not subscribe to ${this.deviceTopic}: ${err}`);
-      }
-    });
+    this.subscribe();
 
     if (deviceDefinition.friendly_name) {
       this.setTitle(deviceDefinition.friendly_name);
@@ -76,6 +118,71 @@ export class Zigbee2MqttDevice extends Device {
     }
   }
 
+  getFriendlyName(): string {
+    return this.friendlyName;
+  }
+
+  hasDefinition(deviceDefinition: DeviceDefinition): boolean {
+    return JSON.stringify(deviceDefinition.definition ?? {}) === this.definitionJson;
+  }
+
+  // Called when the device has been renamed in Zigbee2MQTT, which changes
+  // the topics used to talk to it.
+  setFriendlyName(friendlyName: string): void {
+    this.unsubscribe();
+    this.friendlyName = friendlyName;
+    this.deviceTopic = `${this.topicPrefix}/${friendlyName}`;
+    this.subscribe();
+    this.setTitle(friendlyName);
+
+    const { properties } = (this as unknown) as {
+      properties: Map<string, Zigbee2MqttProperty<Any>>;
+    };
+
+    for (const property of properties.values()) {
+      property.setDeviceTopic(this.deviceTopic);
+    }
+  }
+
+  private subscribe(): void {
+    for (const topic of [this.deviceTopic, `${this.deviceTopic}${AVAILABILITY_POSTFIX}`]) {
+      console.log(`Subscribing to ${topic}`);
+
+      this.client.subscribe(topic, (err) => {
+        if (err) {
+          console.error(`Could not subscribe to ${topic}: ${err}`);
+        }
+      });
+    }
+  }
+
+  unsubscribe(): void {
+    for (const topic of [this.deviceTopic, `${this.deviceTopic}${AVAILABILITY_POSTFIX}`]) {
+      console.log(`Unsubscribing from ${topic}`);
+
+      this.client.unsubscribe(topic, (err?: Error) => {
+        if (err) {
+          console.error(`Could not unsubscribe from ${topic}: ${err}`);
+        }
+      });
+    }
+  }
+
+  // Called when the device is removed or the adapter is unloaded.
+  destroy(): void {
+    this.unsubscribe();
+
+    const { properties } = (this as unknown) as {
+      properties: Map<string, Zigbee2MqttProperty<Any>>;
+    };
+
+    for (const property of properties.values()) {
+      if (property instanceof RemoteLevelProperty) {
+        property.stopMove();
+      }
+    }
+  }
+
   protected detectProperties(deviceDefinition: DeviceDefinition): void {
     for (const expose of deviceDefinition?.definition?.exposes ?? []) {
       switch (expose.type ?? '') {
@@ -88,6 +195,15 @@ export class Zigbee2MqttDevice extends Device {
         case 'climate':
           this.createThermostatProperties(expose);
           break;
+        case 'cover':
+          this.createCoverProperties(expose);
+          break;
+        case 'lock':
+          this.createLockProperties(expose);
+          break;
+        case 'fan':
+          this.createFanProperties(expose);
+          break;
         default:
           if (expose.name === 'action') {
             this.createEvents(expose.values as string[]);
@@ -103,6 +219,41 @@ export class Zigbee2MqttDevice extends Device {
           break;
       }
     }
+
+    if (deviceDefinition?.definition?.supports_ota) {
+      this.createOtaProperties();
+    }
+
+    for (const option of deviceDefinition?.definition?.options ?? []) {
+      this.createOptionProperty(option);
+    }
+
+    for (const [endpoint, reporting] of this.getReportings(deviceDefinition)) {
+      this.createReportingProperty(endpoint, reporting);
+    }
+
+    // Groups don't have a type, and don't report any diagnostics.
+    const adapter = this.getAdapter() as Zigbee2MqttAdapter;
+
+    if (deviceDefinition.type && adapter.isDiagnosticsEnabled()) {
+      this.createDiagnosticProperties(deviceDefinition);
+    }
+  }
+
+  private getReportings(deviceDefinition: DeviceDefinition): [string, ConfiguredReporting][] {
+    const reportings: [string, ConfiguredReporting][] = [];
+
+    for (const [endpoint, endpointDefinition] of Object.entries(deviceDefinition.endpoints ?? {})) {
+      for (const reporting of endpointDefinition.configured_reportings ?? []) {
+        reportings.push([endpoint, reporting]);
+      }
+    }
+
+    return reportings;
+  }
+
+  private reportingPropertyName(endpoint: string, reporting: ConfiguredReporting): string {
+    return `reporting_${endpoint}_${reporting.cluster}_${reporting.attribute}`;
   }
 
   private createLightProperties(expose: Expos): void {
@@ -267,45 +418,389 @@ export class Zigbee2MqttDevice extends Device {
     }
   }
 
-  private createEvents(values: string[]): void {
-    if (Array.isArray(values)) {
-      if (values.length > 0) {
-        let isPushbutton = false;
+  private createCoverProperties(expose: Expos): void {
+    if (expose.features) {
+      for (const feature of expose.features) {
+        if (feature.name) {
+          switch (feature.name) {
+            case 'state':
+              {
+                console.log(`Creating property for ${feature.name}`);
 
-        for (const value of values) {
-          console.log(`Creating property for ${value}`);
+                const property = new CoverStateProperty(
+                  this,
+                  'open',
+                  feature,
+                  this.client,
+                  this.deviceTopic
+                );
 
-          const additionalProperties: Record<string, unknown> = {};
+                this.addProperty(property);
 
-          if (value.indexOf('single') > -1 || value === 'on' || value === 'toggle') {
-            additionalProperties['@type'] = 'PressedEvent';
-            isPushbutton = true;
+                const key = property.getKey();
+                this.createMappedAction(
+                  'open',
+                  { title: 'Open', description: 'Open the window covering' },
+                  { [key]: 'OPEN' }
+                );
+                this.createMappedAction(
+                  'close',
+                  { title: 'Close', description: 'Close the window covering' },
+                  { [key]: 'CLOSE' }
+                );
+                this.createMappedAction(
+                  'stop',
+                  { title: 'Stop', description: 'Stop the window covering' },
+                  { [key]: 'STOP' }
+                );
+              }
+              break;
+            case 'position':
+              {
+                console.log(`Creating property for ${feature.name}`);
+
+                ((this as unknown) as { '@type': string[] })['@type'].push('MultiLevelSwitch');
+
+                const property = new Zigbee2MqttProperty<number>(
+                  this,
+                  feature.name,
+                  feature,
+                  this.client,
+                  this.deviceTopic,
+                  {
+                    '@type': 'LevelProperty',
+                    title: 'Position',
+                    description: 'Percentage open (0 = fully closed)',
+                    type: 'number',
+                    unit: 'percent',
+                    minimum: 0,
+                    maximum: 100,
+                  }
+                );
+
+                this.addProperty(property);
+              }
+              break;
+            default:
+              this.createProperty(feature);
+              break;
           }
+        } else {
+          console.log(`Ignoring property without name: ${JSON.stringify(expose, null, 0)}`);
+        }
+      }
+    } else {
+      console.warn(`Expected features array in cover expose: ${JSON.stringify(expose)}`);
+    }
+  }
+
+  private createLockProperties(expose: Expos): void {
+    if (expose.features) {
+      ((this as unknown) as { '@type': string[] })['@type'].push('Lock');
 
-          if (value.indexOf('double') > -1) {
-            additionalProperties['@type'] = 'DoublePressedEvent';
-            isPushbutton = true;
+      for (const feature of expose.features) {
+        if (feature.name) {
+          switch (feature.name) {
+            case 'state':
+              {
+                console.log(`Creating property for ${feature.name}`);
+
+                const property = new LockedProperty(
+                  this,
+                  'locked',
+                  feature,
+                  this.client,
+                  this.deviceTopic
+                );
+
+                this.addProperty(property);
+
+                const key = property.getKey();
+                this.createMappedAction(
+                  'lock',
+                  { '@type': 'LockAction', title: 'Lock', description: 'Lock the lock' },
+                  { [key]: feature.value_on ?? 'LOCK' }
+                );
+                this.createMappedAction(
+                  'unlock',
+                  { '@type': 'UnlockAction', title: 'Unlock', description: 'Unlock the lock' },
+                  { [key]: feature.value_off ?? 'UNLOCK' }
+                );
+              }
+              break;
+            case 'lock_state':
+              // Used by the LockedProperty to detect a jammed lock.
+              break;
+            default:
+              this.createProperty(feature);
+              break;
           }
+        } else {
+          console.log(`Ignoring property without name: ${JSON.stringify(expose, null, 0)}`);
+        }
+      }
+    } else {
+      console.warn(`Expected features array in lock expose: ${JSON.stringify(expose)}`);
+    }
+  }
+
+  private createFanProperties(expose: Expos): void {
+    if (expose.features) {
+      for (const feature of expose.features) {
+        if (feature.name) {
+          switch (feature.name) {
+            case 'state':
+              {
+                console.log(`Creating property for ${feature.name}`);
+
+                ((this as unknown) as { '@type': string[] })['@type'].push('OnOffSwitch');
+
+                const property = new OnOffProperty(
+                  this,
+                  feature.name,
+                  feature,
+                  this.client,
+                  this.deviceTopic
+                );
+
+                this.addProperty(property);
+              }
+              break;
+            case 'mode':
+              {
+                console.log(`Creating property for ${feature.name}`);
+
+                const property = new Zigbee2MqttProperty<string>(
+                  this,
+                  feature.name,
+                  feature,
+                  this.client,
+                  this.deviceTopic,
+                  {
+                    title: 'Mode',
+                    type: 'string',
+                  }
+                );
+
+                this.addProperty(property);
+
+                // The low/medium/high modes are also offered as a speed,
+                // which is easier to control.
+                if (FAN_SPEEDS.some((speed) => feature.values?.includes(speed))) {
+                  console.log('Creating property for speed');
 
-          if (value.indexOf('release') > -1) {
-            additionalProperties['@type'] = 'LongPressedEvent';
-            isPushbutton = true;
+                  const speedProperty = new FanSpeedProperty(
+                    this,
+                    'speed',
+                    feature,
+                    this.client,
+                    this.deviceTopic
+                  );
+
+                  this.addProperty(speedProperty);
+                }
+              }
+              break;
+            default:
+              this.createProperty(feature);
+              break;
           }
+        } else {
+          console.log(`Ignoring property without name: ${JSON.stringify(expose, null, 0)}`);
+        }
+      }
+    } else {
+      console.warn(`Expected features array in fan expose: ${JSON.stringify(expose)}`);
+    }
+  }
+
+  private createOtaProperties(): void {
+    // Both properties are derived from the update object in the state.
+    const expose: Expos = {
+      name: 'update',
+      property: 'update',
+      access: 0b001,
+      features: [],
+    };
+
+    console.log('Creating properties for update');
+
+    this.addProperty(
+      new UpdateAvailableProperty(this, 'updateAvailable', expose, this.client, this.deviceTopic)
+    );
+
+    this.addProperty(
+      new UpdateProgressProperty(this, 'updateProgress', expose, this.client, this.deviceTopic)
+    );
+
+    console.log('Creating actions for update');
 
-          this.addEvent(value, {
-            name: value,
-            ...additionalProperties,
-          });
+    this.bridgeActions.checkForUpdate = OTA_CHECK_REQUEST_POSTFIX;
+    this.addAction('checkForUpdate', {
+      title: 'Check for update',
+      description: 'Check if a newer firmware is available for the device',
+    });
+
+    this.bridgeActions.installUpdate = OTA_UPDATE_REQUEST_POSTFIX;
+    this.addAction('installUpdate', {
+      title: 'Install update',
+      description: 'Install the newest firmware on the device',
+    });
+  }
+
+  private createDiagnosticProperties(deviceDefinition: DeviceDefinition): void {
+    console.log('Creating diagnostic properties');
+
+    const exposes = deviceDefinition.definition?.exposes ?? [];
+    const linkquality = exposes.find((expose) => expose.name === 'linkquality');
 
-          console.log({
-            name: value,
-            ...additionalProperties,
-          });
+    this.addProperty(
+      new Zigbee2MqttProperty<number>(
+        this,
+        'linkquality',
+        linkquality ?? {
+          name: 'linkquality',
+          type: 'numeric',
+          access: 0b001,
+          value_min: 0,
+          value_max: 255,
+          value_step: 1,
+          features: [],
+        },
+        this.client,
+        this.deviceTopic,
+        {
+          title: 'Link quality',
+          type: 'integer',
+          readOnly: true,
         }
+      )
+    );
+
+    // Battery powered devices report their battery voltage, and metering
+    // plugs report the mains voltage.
+    const voltage = exposes.find((expose) => expose.name === 'voltage');
+
+    if (voltage) {
+      this.addProperty(
+        new Zigbee2MqttProperty<number>(this, 'voltage', voltage, this.client, this.deviceTopic, {
+          title: 'Voltage',
+          type: 'number',
+          readOnly: true,
+        })
+      );
+    }
+
+    // Zigbee2MQTT only sends last_seen if advanced.last_seen is enabled.
+    this.addProperty(
+      new LastSeenProperty(
+        this,
+        'last_seen',
+        { name: 'last_seen', access: 0b001, features: [] },
+        this.client,
+        this.deviceTopic
+      )
+    );
+  }
+
+  private createOptionProperty(option: Expos): void {
+    if (!option.name) {
+      console.log(`Ignoring option without name: ${JSON.stringify(option, null, 0)}`);
+      return;
+    }
+
+    // Some devices expose the same setting as part of their state.
+    if (this.findProperty(option.name)) {
+      console.log(`Ignoring option ${option.name}, there is already a property for it`);
+      return;
+    }
+
+    console.log(`Creating property for option ${option.name}`);
+
+    const property = new OptionProperty(this, option.name, option, this.client, this.deviceTopic);
+
+    this.addProperty(property);
+  }
+
+  private createReportingProperty(endpoint: string, reporting: ConfiguredReporting): void {
+    const name = this.reportingPropertyName(endpoint, reporting);
+
+    console.log(`Creating property for ${name}`);
+
+    const property = new ReportingProperty(
+      this,
+      name,
+      { name, property: name, access: WRITE_BIT, type: 'numeric', features: [] },
+      this.client,
+      this.deviceTopic,
+      { ...reporting, endpoint }
+    );
+
+    this.addProperty(property);
+  }
+
+  // Called with the options from the bridge/info message.
+  setOptions(options: Record<string, Any>): void {
+    for (const [key, value] of Object.entries(options)) {
+      const property = this.findProperty(key);
+
+      if (property instanceof OptionProperty) {
+        property.setCachedValueAndNotify(value);
+      }
+    }
+  }
+
+  async setOption(key: string, value: Any): Promise<void> {
+    const adapter = this.getAdapter() as Zigbee2MqttAdapter;
+    const response = await adapter.request(DEVICE_OPTIONS_REQUEST_POSTFIX, {
+      id: this.friendlyName,
+      options: { [key]: value },
+    });
+
+    const to = response.data?.to;
+
+    if (!to || typeof to !== 'object' || JSON.stringify(to[key]) !== JSON.stringify(value)) {
+      throw new Error(`Zigbee2MQTT did not apply ${key}: ${JSON.stringify(response.data)}`);
+    }
+
+    if (response.data?.restart_required) {
+      console.warn(`Zigbee2MQTT has to be restarted before ${key} takes effect`);
+    }
+  }
+
+  // Called with the device from the bridge/devices message, which includes
+  // the reporting configured by Zigbee2MQTT.
+  updateReportings(deviceDefinition: DeviceDefinition): void {
+    for (const [endpoint, reporting] of this.getReportings(deviceDefinition)) {
+      const property = this.findProperty(this.reportingPropertyName(endpoint, reporting));
+
+      if (property instanceof ReportingProperty) {
+        property.setReporting({ ...reporting, endpoint });
+      }
+    }
+  }
 
-        if (isPushbutton) {
-          const device = (this as unknown) as { '@type': string[] };
-          device['@type'].push('PushButton');
+  async configureReporting(reporting: ConfiguredReporting): Promise<void> {
+    const adapter = this.getAdapter() as Zigbee2MqttAdapter;
+    const response = await adapter.request(CONFIGURE_REPORTING_REQUEST_POSTFIX, {
+      id: this.friendlyName,
+      ...reporting,
+    });
+
+    const data = (response.data ?? {}) as Partial<ConfiguredReporting>;
+
+    if (data.maximum_report_interval !== reporting.maximum_report_interval) {
+      throw new Error(
+        `Zigbee2MQTT did not apply the reporting of ${reporting.attribute}: ${JSON.stringify(data)}`
+      );
+    }
+  }
+
+  private createEvents(values: string[]): void {
+    if (Array.isArray(values)) {
+      if (values.length > 0) {
+        for (const value of values) {
+          this.createEvent(value);
         }
       } else {
         console.log(`Expected list of values but got ${JSON.stringify(values)}`);
@@ -315,6 +810,88 @@ export class Zigbee2MqttDevice extends Device {
     }
   }
 
+  private createEvent(value: string): void {
+    console.log(`Creating event for ${value}`);
+
+    const additionalProperties: Record<string, unknown> = {};
+
+    if (value.indexOf('single') > -1 || value === 'on' || value === 'toggle') {
+      additionalProperties['@type'] = 'PressedEvent';
+    }
+
+    if (value.indexOf('double') > -1) {
+      additionalProperties['@type'] = 'DoublePressedEvent';
+    }
+
+    if (value.indexOf('hold') > -1 || value.indexOf('move') > -1) {
+      additionalProperties['@type'] = 'LongPressedEvent';
+    }
+
+    if (value.indexOf('release') > -1) {
+      additionalProperties['@type'] = 'LongPressedEvent';
+    }
+
+    this.addEvent(value, {
+      name: value,
+      ...additionalProperties,
+    });
+
+    const device = (this as unknown) as { '@type': string[] };
+
+    if (additionalProperties['@type'] && !device['@type'].includes('PushButton')) {
+      device['@type'].push('PushButton');
+    }
+
+    if (parseDimmerAction(value) && !this.findProperty('level')) {
+      console.log('Creating property for level');
+
+      const property = new RemoteLevelProperty(
+        this,
+        'level',
+        { name: 'level', property: 'level', access: 0b001, features: [] },
+        this.client,
+        this.deviceTopic
+      );
+
+      this.addProperty(property);
+    }
+  }
+
+  // Zigbee2MQTT doesn't list the actions of every remote, and new ones can
+  // show up after an update, so unknown actions are added as they arrive.
+  private handleAction(value: string, update: Record<string, Any>): void {
+    const { events } = (this as unknown) as { events: Map<string, EventSchema> };
+
+    if (!events.has(value)) {
+      console.log(`Adding event '${value}' to ${this.getTitle()} (${this.getId()})`);
+      this.createEvent(value);
+
+      // Tell the gateway about the new event.
+      (this.getAdapter() as Zigbee2MqttAdapter).handleDeviceDescriptionUpdated(this);
+    }
+
+    // The fields which belong to the action (i.e. action_rate) are sent
+    // along with the event.
+    const data: Record<string, Any> = {};
+
+    for (const [key, field] of Object.entries(update)) {
+      if (key.startsWith('action_')) {
+        data[key] = field;
+      }
+    }
+
+    const event =
+      Object.keys(data).length > 0 ? new Event(this, value, data) : new Event(this, value);
+    this.eventNotify(event);
+
+    const dimmerAction = parseDimmerAction(value);
+    const level = this.findProperty('level');
+
+    if (dimmerAction && level instanceof RemoteLevelProperty) {
+      level.handleDimmerAction(dimmerAction, update);
+    }
+  }
+
   private createAction(expose: Expos): void {
     if (expose.name) {
       console.log(`Creating action for ${expose.name}`);
@@ -334,21 +911,28 @@ export class Zigbee2MqttDevice extends Device {
     }
   }
 
+  private createMappedAction(
+    name: string,
+    metadata: ActionSchema,
+    payload: Record<string, Any>
+  ): void {
+    console.log(`Creating action for ${name}`);
+
+    this.actionPayloads[name] = payload;
+    this.addAction(name, metadata);
+  }
+
   private createProperty<T extends Any>(expose: Expos): void {
     if (expose.name) {
-      if (IGNORED_PROPERTIES.includes(expose.name)) {
+      if (IGNORED_PROPERTIES.includes(expose.name) || DIAGNOSTIC_PROPERTIES.includes(expose.name)) {
         return;
       }
 
       console.log(`Creating property for ${expose.name}`);
 
-      const property = new Zigbee2MqttProperty<T>(
-        this,
-        expose.name,
-        expose,
-        this.client,
-        this.deviceTopic
-      );
+      const property = CONFIG_PROPERTIES.includes(expose.name)
+        ? new DeviceConfigProperty<T>(this, expose.name, expose, this.client, this.deviceTopic)
+        : new Zigbee2MqttProperty<T>(this, expose.name, expose, this.client, this.deviceTopic);
 
       this.addProperty(property);
     } else {
@@ -356,6 +940,25 @@ export class Zigbee2MqttDevice extends Device {
     }
   }
 
+  setAvailable(available: boolean): void {
+    if (debug()) {
+      console.log(`${this.getTitle()} is ${available ? 'available' : 'unavailable'}`);
+    }
+
+    const wasAvailable = this.available;
+    this.available = available;
+    this.connectedNotify(this.available && this.bridgeOnline);
+
+    if (available && !wasAvailable) {
+      this.fetchValues();
+    }
+  }
+
+  setBridgeOnline(online: boolean): void {
+    this.bridgeOnline = online;
+    this.connectedNotify(this.available && this.bridgeOnline);
+  }
+
   update(update: Record<string, Any>): void {
     if (typeof update !== 'object') {
       console.log(`Expected object but got ${typeof update}`);
@@ -366,45 +969,59 @@ export class Zigbee2MqttDevice extends Device {
         continue;
       }
 
+      if (key === 'battery' && typeof value === 'number') {
+        (this.getAdapter() as Zigbee2MqttAdapter).checkBattery(this, value);
+      }
+
       if (key === 'action') {
         if (typeof value !== 'string') {
           console.log(`Expected event of type string but got ${typeof value}`);
           continue;
         }
 
-        const exists = ((this as unknown) as { events: Map<string, EventSchema> }).events.has(
-          value
-        );
-
-        if (!exists) {
-          if (debug()) {
-            console.log(`Event '${value}' does not exist on ${this.getTitle()} (${this.getId()})`);
-          }
+        // Zigbee2MQTT clears the action again right after sending it.
+        if (value === '') {
           continue;
         }
 
-        const event = new Event(this, value as string);
-        this.eventNotify(event);
+        this.handleAction(value, update);
       } else {
-        const property = this.findProperty(key) as Zigbee2MqttProperty<Any>;
+        const properties = this.findPropertiesByKey(key);
 
-        if (property) {
+        for (const property of properties) {
           property.update(value, update);
-        } else if (debug()) {
+        }
+
+        if (properties.length == 0 && debug()) {
           console.log(`Property '${key}' does not exist on ${this.getTitle()} (${this.getId()})`);
         }
       }
     }
   }
 
+  // More than one property can be derived from the same value (i.e. the
+  // mode and speed of a fan), so we look properties up by their key.
+  private findPropertiesByKey(key: string): Zigbee2MqttProperty<Any>[] {
+    const { properties } = (this as unknown) as {
+      properties: Map<string, Zigbee2MqttProperty<Any>>;
+    };
+
+    return Array.from(properties.values()).filter((property) => property.getKey() === key);
+  }
+
   performAction(action: Action): Promise<void> {
     const { name, input } = action.asDict();
 
     action.start();
 
     return new Promise<void>((resolve, reject) => {
-      const writeTopic = `${this.deviceTopic}/set`;
-      const json = { [name]: input };
+      const bridgeAction = this.bridgeActions[name];
+      const writeTopic = bridgeAction
+        ? `${this.topicPrefix}${bridgeAction}`
+        : `${this.deviceTopic}/set`;
+      const json = bridgeAction
+        ? { id: this.friendlyName }
+        : this.actionPayloads[name] ?? { [name]: input };
 
       if (debug()) {
         console.log(`Sending ${JSON.stringify(json)} to ${writeTopic}`);
@@ -431,7 +1048,7 @@ export class Zigbee2MqttDevice extends Device {
 
     for (const property of properties.values()) {
       if (property.isReadable()) {
-        payload[property.getName()] = '';
+        payload[property.getKey()] = '';
       }
     }
 
@@ -0,0 +1,83 @@
+/**
+ *
+ * Zigbee2MqttGroup - A Zigbee2Mqtt group.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+import { Zigbee2MqttAdapter, Expos, GroupDefinition } from './zigbee2mqtt-adapter';
+import { Zigbee2MqttDevice } from './zigbee2mqtt-device';
+import { WRITE_BIT } from './zigbee2mqtt-property';
+import mqtt from 'mqtt';
+
+function exposeKey(expose: Expos): string {
+  return `${expose.type}:${expose.property ?? expose.name ?? ''}`;
+}
+
+// Zigbee2MQTT only publishes the state of a group for the values which
+// were set through the group, so we skip anything which can't be written.
+function isGroupExpose(expose: Expos): boolean {
+  return !!expose.features || ((expose.access ?? 0) & WRITE_BIT) != 0;
+}
+
+/**
+ * Returns the exposes which all of the lists have in common. Composite
+ * exposes (i.e. lights) only keep the features which are common as well.
+ */
+export function commonExposes(exposeLists: Expos[][]): Expos[] {
+  if (exposeLists.length == 0) {
+    return [];
+  }
+
+  const [first, ...rest] = exposeLists;
+  const common: Expos[] = [];
+
+  for (const expose of first.filter(isGroupExpose)) {
+    const key = exposeKey(expose);
+    const others = rest.map((exposes) => exposes.find((other) => exposeKey(other) === key));
+
+    if (others.some((other) => !other)) {
+      continue;
+    }
+
+    if (expose.features) {
+      const features = commonExposes([
+        expose.features,
+        ...others.map((other) => other?.features ?? []),
+      ]);
+
+      if (features.length > 0) {
+        common.push({ ...expose, features });
+      }
+    } else {
+      common.push(expose);
+    }
+  }
+
+  return common;
+}
+
+export class Zigbee2MqttGroup extends Zigbee2MqttDevice {
+  constructor(
+    adapter: Zigbee2MqttAdapter,
+    id: string,
+    private groupDefinition: GroupDefinition,
+    exposes: Expos[],
+    client: mqtt.Client,
+    topicPrefix: string
+  ) {
+    super(
+      adapter,
+      id,
+      { friendly_name: groupDefinition.friendly_name, definition: { exposes } },
+      client,
+      topicPrefix
+    );
+  }
+
+  getGroupId(): number {
+    return this.groupDefinition.id;
+  }
+}
@@ -10,7 +10,7 @@
 import Color from 'color';
 import { Property } from 'gateway-addon';
 import { Any, PropertyValueType, Property as PropertySchema } from 'gateway-addon/lib/schema';
-import { Expos } from './zigbee2mqtt-adapter';
+import { ConfiguredReporting, Expos, REQUEST_TIMEOUT_MS } from './zigbee2mqtt-adapter';
 import { Zigbee2MqttDevice } from './zigbee2mqtt-device';
 import mqtt from 'mqtt';
 import DEBUG_FLAG from '../zb-debug';
@@ -43,6 +43,9 @@ export function parseUnit(unit?: string): string | undefined {
   switch (unit) {
     case '°C':
       return 'degree celsius';
+    case 'lqi':
+      // The link quality is a plain number, not a unit.
+      return;
   }
 
   return unit;
@@ -57,6 +60,10 @@ export function isReadable(access: number): boolean {
 }
 
 export class Zigbee2MqttProperty<T extends Any> extends Property<T> {
+  // The name which zigbee2mqtt uses for the value in its messages. This
+  // can differ from the name of the property (i.e. fan_state).
+  private key: string;
+
   constructor(
     device: Zigbee2MqttDevice,
     name: string,
@@ -78,6 +85,8 @@ export class Zigbee2MqttProperty<T extends Any> extends Property<T> {
       ...additionalProperties,
     });
 
+    this.key = expose.property ?? name;
+
     if (this.getUnit() == '%') {
       this.setAtType('LevelProperty');
     }
@@ -156,6 +165,15 @@ export class Zigbee2MqttProperty<T extends Any> extends Property<T> {
     }
   }
 
+  getKey(): string {
+    return this.key;
+  }
+
+  // Called when the device has been renamed, which changes its topic.
+  setDeviceTopic(deviceTopic: string): void {
+    this.deviceTopic = deviceTopic;
+  }
+
   isReadable(): boolean {
     console.log(`${this.getName()} ${this.expose.access} ${isReadable(this.expose.access ?? 0)}`);
     return isReadable(this.expose.access ?? 0);
@@ -175,7 +193,7 @@ export class Zigbee2MqttProperty<T extends Any> extends Property<T> {
   protected async sendValue(value: unknown): Promise<void> {
     return new Promise<void>((resolve, reject) => {
       const writeTopic = `${this.deviceTopic}/set`;
-      const json = { [this.getName()]: value };
+      const json = { [this.key]: value };
 
       if (debug()) {
         console.log(`Sending ${JSON.stringify(json)} to ${writeTopic}`);
@@ -406,3 +424,526 @@ export class HeatingCoolingProperty extends Zigbee2MqttProperty<string> {
     super.update(convertHeatingCoolingValue(value), update);
   }
 }
+
+export class CoverStateProperty extends Zigbee2MqttProperty<boolean> {
+  constructor(
+    device: Zigbee2MqttDevice,
+    name: string,
+    expose: Expos,
+    client: mqtt.Client,
+    deviceTopic: string
+  ) {
+    super(device, name, expose, client, deviceTopic, {
+      '@type': 'OpenProperty',
+      title: 'Open',
+      type: 'boolean',
+      readOnly: true,
+    });
+  }
+
+  update(value: string, update: Record<string, unknown>): void {
+    // Some covers also report STOP, which doesn't tell us anything.
+    if (value === 'OPEN' || value === 'CLOSE') {
+      super.update(value === 'OPEN', update);
+    }
+  }
+}
+
+export class LockedProperty extends Zigbee2MqttProperty<string> {
+  constructor(
+    device: Zigbee2MqttDevice,
+    name: string,
+    expose: Expos,
+    client: mqtt.Client,
+    deviceTopic: string
+  ) {
+    super(device, name, expose, client, deviceTopic, {
+      '@type': 'LockedProperty',
+      title: 'State',
+      type: 'string',
+      enum: ['locked', 'unlocked', 'jammed', 'unknown'],
+      readOnly: true,
+    });
+  }
+
+  update(value: string, update: Record<string, unknown>): void {
+    // lock_state tells us if the bolt didn't make it all the way.
+    if (update.lock_state === 'not_fully_locked') {
+      super.update('jammed', update);
+    } else if (value === (this.expose.value_on ?? 'LOCK')) {
+      super.update('locked', update);
+    } else if (value === (this.expose.value_off ?? 'UNLOCK')) {
+      super.update('unlocked', update);
+    } else {
+      super.update('unknown', update);
+    }
+  }
+}
+
+export const FAN_SPEEDS = ['low', 'medium', 'high'];
+
+function withoutValues(expose: Expos): Expos {
+  const copy = { ...expose };
+  delete copy.values;
+  return copy;
+}
+
+export class FanSpeedProperty extends Zigbee2MqttProperty<number> {
+  private speeds: string[];
+
+  constructor(
+    device: Zigbee2MqttDevice,
+    name: string,
+    expose: Expos,
+    client: mqtt.Client,
+    deviceTopic: string
+  ) {
+    // The modes are strings, so they can't be used as the enum.
+    super(device, name, withoutValues(expose), client, deviceTopic, {
+      '@type': 'LevelProperty',
+      title: 'Speed',
+      type: 'number',
+      unit: 'percent',
+      minimum: 0,
+      maximum: 100,
+      readOnly: false,
+    });
+
+    this.speeds = FAN_SPEEDS.filter((speed) => expose.values?.includes(speed));
+  }
+
+  update(value: string, update: Record<string, unknown>): void {
+    if (value === 'off') {
+      super.update(0, update);
+      return;
+    }
+    // Modes like auto and smart don't have a fixed speed.
+    const index = this.speeds.indexOf(value);
+    if (index >= 0) {
+      super.update(Math.round(((index + 1) / this.speeds.length) * 100), update);
+    }
+  }
+
+  protected async sendValue(value: number): Promise<void> {
+    if (value <= 0) {
+      return super.sendValue('off');
+    }
+    const index = Math.ceil((value / 100) * this.speeds.length) - 1;
+    return super.sendValue(this.speeds[Math.min(index, this.speeds.length - 1)]);
+  }
+}
+
+// Zigbee2MQTT reports the state of an OTA update as an object, i.e.
+// {"state": "updating", "progress": 42.5, "remaining": 300}.
+export interface UpdateState {
+  state?: string;
+  progress?: number;
+  remaining?: number;
+}
+
+export class UpdateAvailableProperty extends Zigbee2MqttProperty<boolean> {
+  constructor(
+    device: Zigbee2MqttDevice,
+    name: string,
+    expose: Expos,
+    client: mqtt.Client,
+    deviceTopic: string
+  ) {
+    super(device, name, expose, client, deviceTopic, {
+      title: 'Update available',
+      type: 'boolean',
+      readOnly: true,
+    });
+  }
+
+  update(value: UpdateState, update: Record<string, unknown>): void {
+    if (typeof value?.state === 'string') {
+      super.update(value.state === 'available', update);
+    }
+  }
+}
+
+export class UpdateProgressProperty extends Zigbee2MqttProperty<number> {
+  constructor(
+    device: Zigbee2MqttDevice,
+    name: string,
+    expose: Expos,
+    client: mqtt.Client,
+    deviceTopic: string
+  ) {
+    super(device, name, expose, client, deviceTopic, {
+      title: 'Update progress',
+      type: 'number',
+      unit: 'percent',
+      minimum: 0,
+      maximum: 100,
+      readOnly: true,
+    });
+  }
+
+  update(value: UpdateState, update: Record<string, unknown>): void {
+    if (value?.state === 'updating') {
+      super.update(Math.round(value.progress ?? 0), update);
+    } else if (typeof value?.state === 'string') {
+      super.update(0, update);
+    }
+  }
+}
+
+// Properties which change the configuration of the device in Zigbee2MQTT,
+// rather than its state. The value is restored if the bridge (or the
+// device) rejects it.
+abstract class ConfigProperty<T extends Any> extends Zigbee2MqttProperty<T> {
+  isReadable(): boolean {
+    return false;
+  }
+
+  async setValue(value: T): Promise<T> {
+    const oldValue = this.getCachedValue();
+
+    try {
+      return await super.setValue(value);
+    } catch (error) {
+      console.error(`Could not set ${this.getName()} to ${value}: ${error}`);
+
+      if (typeof oldValue !== 'undefined') {
+        this.setCachedValueAndNotify(oldValue);
+      }
+
+      throw error;
+    }
+  }
+}
+
+export class OptionProperty<T extends Any> extends ConfigProperty<T> {
+  constructor(
+    device: Zigbee2MqttDevice,
+    name: string,
+    expose: Expos,
+    client: mqtt.Client,
+    deviceTopic: string
+  ) {
+    super(device, name, expose, client, deviceTopic, {
+      type: parseType(expose),
+      readOnly: false,
+    });
+  }
+
+  protected async sendValue(value: T): Promise<void> {
+    const device = this.getDevice() as Zigbee2MqttDevice;
+    return device.setOption(this.getKey(), value);
+  }
+}
+
+// Settings which Zigbee2MQTT exposes as part of the state of the device
+// (i.e. a calibration offset). They are written through the device topic,
+// but the value is checked against the expose first, and only kept once
+// the device has reported it back.
+interface PendingValue {
+  value: unknown;
+  resolve: () => void;
+  reject: (error: Error) => void;
+  timeout: NodeJS.Timeout;
+}
+
+export class DeviceConfigProperty<T extends Any> extends ConfigProperty<T> {
+  private pendingValue?: PendingValue;
+
+  isReadable(): boolean {
+    return isReadable(this.expose.access ?? 0);
+  }
+
+  update(value: unknown, update: Record<string, unknown>): void {
+    const pendingValue = this.pendingValue;
+
+    if (pendingValue && JSON.stringify(pendingValue.value) === JSON.stringify(value)) {
+      clearTimeout(pendingValue.timeout);
+      delete this.pendingValue;
+      pendingValue.resolve();
+    }
+
+    super.update(this.fromZigbee2Mqtt(value), update);
+  }
+
+  protected async sendValue(value: T): Promise<void> {
+    this.validate(value);
+
+    const deviceValue = this.toZigbee2Mqtt(value);
+
+    const previous = this.pendingValue;
+    if (previous) {
+      clearTimeout(previous.timeout);
+      delete this.pendingValue;
+      previous.reject(
+        new Error(`${this.getKey()} of ${this.getDevice().getTitle()} was set again`)
+      );
+    }
+
+    let pendingValue: PendingValue | undefined;
+    const confirmed = new Promise<void>((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        if (this.pendingValue === pendingValue) {
+          delete this.pendingValue;
+        }
+
+        reject(new Error(`${this.getDevice().getTitle()} did not report the new ${this.getKey()}`));
+      }, REQUEST_TIMEOUT_MS);
+
+      pendingValue = { value: deviceValue, resolve, reject, timeout };
+      this.pendingValue = pendingValue;
+    });
+
+    // A later call may reject this before we get around to awaiting it.
+    confirmed.catch(() => null);
+
+    try {
+      await super.sendValue(deviceValue);
+    } catch (error) {
+      if (pendingValue) {
+        clearTimeout(pendingValue.timeout);
+      }
+
+      if (this.pendingValue === pendingValue) {
+        delete this.pendingValue;
+      }
+
+      throw error;
+    }
+
+    await confirmed;
+  }
+
+  // The minimum, maximum and enum are checked by Property.setValue.
+  private validate(value: T): void {
+    const expected = (<Record<string, string>>{
+      numeric: 'number',
+      binary: 'boolean',
+      enum: 'string',
+    })[this.expose.type ?? ''];
+
+    if (expected && typeof value !== expected) {
+      throw new Error(`Expected ${expected} for ${this.getKey()} but got ${typeof value}`);
+    }
+
+    if (typeof value === 'number' && !isFinite(value)) {
+      throw new Error(`Invalid value for ${this.getKey()}: ${value}`);
+    }
+  }
+
+  private toZigbee2Mqtt(value: T): unknown {
+    if (this.expose.type === 'binary' && typeof value === 'boolean') {
+      return (value ? this.expose.value_on : this.expose.value_off) ?? value;
+    }
+
+    return value;
+  }
+
+  private fromZigbee2Mqtt(value: unknown): unknown {
+    if (this.expose.type === 'binary' && typeof value !== 'boolean') {
+      return value === this.expose.value_on;
+    }
+
+    return value;
+  }
+}
+
+export class ReportingProperty extends ConfigProperty<number> {
+  constructor(
+    device: Zigbee2MqttDevice,
+    name: string,
+    expose: Expos,
+    client: mqtt.Client,
+    deviceTopic: string,
+    private reporting: ConfiguredReporting
+  ) {
+    super(device, name, expose, client, deviceTopic, {
+      title: `${reporting.attribute} reporting interval`,
+      description: `Maximum time between reports of ${reporting.cluster}.${reporting.attribute}`,
+      type: 'integer',
+      unit: 'second',
+      minimum: 1,
+      maximum: 65535,
+      readOnly: false,
+    });
+
+    this.setCachedValue(reporting.maximum_report_interval);
+  }
+
+  setReporting(reporting: ConfiguredReporting): void {
+    this.reporting = reporting;
+    this.setCachedValueAndNotify(reporting.maximum_report_interval);
+  }
+
+  protected async sendValue(value: number): Promise<void> {
+    const device = this.getDevice() as Zigbee2MqttDevice;
+    const reporting = {
+      ...this.reporting,
+      minimum_report_interval: Math.min(this.reporting.minimum_report_interval, value),
+      maximum_report_interval: value,
+    };
+
+    await device.configureReporting(reporting);
+    this.reporting = reporting;
+  }
+}
+
+export class LastSeenProperty extends Zigbee2MqttProperty<string> {
+  constructor(
+    device: Zigbee2MqttDevice,
+    name: string,
+    expose: Expos,
+    client: mqtt.Client,
+    deviceTopic: string
+  ) {
+    super(device, name, expose, client, deviceTopic, {
+      title: 'Last seen',
+      type: 'string',
+      readOnly: true,
+    });
+  }
+
+  // Depending on advanced.last_seen, Zigbee2MQTT sends either an ISO 8601
+  // string or the milliseconds since the epoch.
+  update(value: string | number, update: Record<string, unknown>): void {
+    const date = new Date(value);
+
+    if (isNaN(date.getTime())) {
+      if (debug()) {
+        console.log(`Could not parse last_seen value ${value}`);
+      }
+      return;
+    }
+
+    super.update(date.toISOString(), update);
+  }
+}
+
+export interface DimmerAction {
+  kind: 'move' | 'step' | 'stop';
+  direction: number;
+}
+
+/**
+ * Returns how an action of a dimmer remote changes the level, or null if
+ * it isn't a dimmer action. Most remotes send brightness_move_up and
+ * brightness_stop, while Hue dimmers send up_hold and up_hold_release.
+ */
+export function parseDimmerAction(action: string): DimmerAction | null {
+  let match = /^brightness_(move|step)_(up|down)$/.exec(action);
+
+  if (match) {
+    return { kind: match[1] as 'move' | 'step', direction: match[2] === 'up' ? 1 : -1 };
+  }
+
+  match = /^(up|down)[-_]hold$/.exec(action);
+
+  if (match) {
+    return { kind: 'move', direction: match[1] === 'up' ? 1 : -1 };
+  }
+
+  if (action === 'brightness_stop' || /^(up|down)[-_]hold[-_]release$/.test(action)) {
+    return { kind: 'stop', direction: 0 };
+  }
+
+  return null;
+}
+
+const UPDATES_PER_SECOND = 4;
+
+// In level units (0 - 254) as used by the genLevelCtrl cluster, which is
+// what Zigbee2MQTT reports in action_rate and action_step_size.
+const MAX_LEVEL = 254;
+const DEFAULT_MOVE_RATE = 50;
+const DEFAULT_STEP_SIZE = 51;
+
+function levelToPercent(level: number): number {
+  return (level / MAX_LEVEL) * 100;
+}
+
+// The level of a dimmer remote, which is moved by the actions of the
+// remote the same way as the level of a native remote.
+export class RemoteLevelProperty extends Zigbee2MqttProperty<number> {
+  private moveTimer: NodeJS.Timeout | null = null;
+
+  constructor(
+    device: Zigbee2MqttDevice,
+    name: string,
+    expose: Expos,
+    client: mqtt.Client,
+    deviceTopic: string
+  ) {
+    super(device, name, expose, client, deviceTopic, {
+      '@type': 'LevelProperty',
+      title: 'Level',
+      type: 'number',
+      unit: 'percent',
+      minimum: 0,
+      maximum: 100,
+      multipleOf: 0.1,
+      readOnly: true,
+    });
+
+    this.setCachedValue(0);
+  }
+
+  isReadable(): boolean {
+    return false;
+  }
+
+  handleDimmerAction(action: DimmerAction, update: Record<string, unknown>): void {
+    switch (action.kind) {
+      case 'move': {
+        const rate =
+          typeof update.action_rate === 'number' ? update.action_rate : DEFAULT_MOVE_RATE;
+        this.startMove(action.direction * levelToPercent(rate));
+        break;
+      }
+      case 'step': {
+        const stepSize =
+          typeof update.action_step_size === 'number' ? update.action_step_size : DEFAULT_STEP_SIZE;
+        this.stopMove();
+        this.moveBy(action.direction * levelToPercent(stepSize));
+        break;
+      }
+      case 'stop':
+        this.stopMove();
+        break;
+    }
+  }
+
+  private startMove(percentPerSecond: number): void {
+    if (this.moveTimer) {
+      // Hue dimmers repeat the hold action while the button is held.
+      return;
+    }
+
+    const delta = percentPerSecond / UPDATES_PER_SECOND;
+
+    if (this.moveBy(delta)) {
+      this.moveTimer = setInterval(() => {
+        if (!this.moveBy(delta)) {
+          this.stopMove();
+        }
+      }, 1000 / UPDATES_PER_SECOND);
+    }
+  }
+
+  stopMove(): void {
+    if (this.moveTimer) {
+      clearInterval(this.moveTimer);
+      this.moveTimer = null;
+    }
+  }
+
+  // Returns false once the level can't move any further.
+  private moveBy(delta: number): boolean {
+    const value = this.getCachedValue() ?? 0;
+    const newValue = Math.round(limit(value + delta, 0, 100) * 10) / 10;
+
+    if (newValue != value) {
+      this.setCachedValueAndNotify(newValue);
+    }
+
+    return (newValue > 0 || delta > 0) && (newValue < 100 || delta < 0);
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ *
+ * driver-conbee.test.js - End-to-end tests for the ConBee driver, using a
+ *                         simulated deCONZ dongle.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const deconzApi = require('deconz-api');
+
+const ConBeeDriver = require('../src/driver/conbee');
+const FakeConBee = require('./fake-conbee');
+const { FakeOnOffPlug, FakeZigbeeNetwork } = require('./fake-zigbee-network');
+const {
+  makeAddonManager,
+  pairDevice,
+  removeDirectory,
+  unloadDriver,
+  waitForIdle,
+} = require('./driver-harness');
+
+const C = deconzApi.constants;
+
+const COORDINATOR_ADDR64 = '00212effff01a2b3';
+
+jest.setTimeout(30000);
+
+describe('ConBeeDriver', () => {
+  let directory;
+  let addonManager;
+  let network;
+  let dongle;
+  let driver;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockReturnValue();
+    jest.spyOn(console, 'warn').mockReturnValue();
+    jest.spyOn(console, 'error').mockReturnValue();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zb-conbee-'));
+    addonManager = makeAddonManager(directory);
+    network = new FakeZigbeeNetwork(COORDINATOR_ADDR64);
+    dongle = new FakeConBee(network);
+    driver = new ConBeeDriver(addonManager, {}, '/dev/ttyFAKE', dongle.serialPort);
+  });
+
+  afterEach(async () => {
+    await unloadDriver(driver);
+    expect(dongle.serialPort.isOpen).toBe(false);
+    expect(driver.watchDogTimeout).toBeNull();
+    removeDirectory(directory);
+    jest.restoreAllMocks();
+  });
+
+  it('initializes the adapter from the dongle parameters', async () => {
+    await waitForIdle(driver);
+    const adapter = driver.adapter;
+    expect(addonManager.addAdapter).toHaveBeenCalledWith(adapter);
+    expect(adapter.id).toBe(`zb-${COORDINATOR_ADDR64}`);
+    expect(adapter.nodes[COORDINATOR_ADDR64].addr16).toBe('0000');
+    expect(driver.macAddress).toBe(COORDINATOR_ADDR64);
+    expect(driver.paramValue(C.PARAM_ID.OPERATING_CHANNEL)).toBe(15);
+
+    // The watchdog is kicked as soon as the parameters have been read.
+    const paramIds = dongle.paramWrites.map((write) => write.paramId);
+    expect(paramIds).toContain(C.PARAM_ID.WATCHDOG_TTL);
+  });
+
+  it('pairs, interviews, classifies and controls a smart plug', async () => {
+    await waitForIdle(driver);
+    const plug = new FakeOnOffPlug({
+      addr64: '00158d0001a2b3c4',
+      addr16: '4d2c',
+      manufacturerName: 'Acme',
+      modelId: 'SP-100',
+    });
+    const node = await pairDevice(driver, addonManager, dongle, plug);
+
+    // Pairing opened the dongle itself for joining as well.
+    expect(dongle.paramWrites).toContainEqual({
+      paramId: C.PARAM_ID.PERMIT_JOIN,
+      value: Buffer.from([60]),
+    });
+
+    expect(node.id).toBe('zb-00158d0001a2b3c4');
+    expect(node.addr16).toBe('4d2c');
+    expect(node.manufacturerName).toBe('Acme');
+    expect(node.modelId).toBe('SP-100');
+    expect(node['@type']).toEqual(['OnOffSwitch']);
+    expect(node.properties.get('on')['@type']).toBe('OnOffProperty');
+
+    expect(plug.bindings).toEqual([
+      { srcEndpoint: 1, clusterId: 0x0006, dstAddr64: COORDINATOR_ADDR64, dstEndpoint: 1 },
+    ]);
+    expect(plug.configuredReports).toContainEqual({ endpoint: 1, clusterId: 0x0006, attrId: 0 });
+
+    await expect(node.setProperty('on', true)).resolves.toBe(true);
+    expect(plug.on).toBe(true);
+    await expect(node.setProperty('on', false)).resolves.toBe(false);
+    expect(plug.on).toBe(false);
+
+    // Everything that the dongle queued up was collected by the driver.
+    expect(dongle.confirms).toEqual([]);
+    expect(dongle.indications).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ *
+ * driver-harness.js - Helpers for driving a ZigbeeDriver end-to-end against
+ *                     one of the simulated dongles.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const WAIT_POLL_INTERVAL = 10; // msec
+const WAIT_TIMEOUT = 20000; // msec
+
+// Returns an addon manager which records what the adapter reports to the
+// gateway. The user profile points into dir.
+function makeAddonManager(dir) {
+  const dataDir = path.join(dir, 'data');
+  const configDir = path.join(dir, 'config');
+  fs.mkdirSync(dataDir);
+  fs.mkdirSync(configDir);
+  return {
+    addAdapter: jest.fn(),
+    handleDeviceAdded: jest.fn(),
+    handleDeviceRemoved: jest.fn(),
+    sendActionStatusNotification: jest.fn(),
+    sendConnectedNotification: jest.fn(),
+    sendEventNotification: jest.fn(),
+    sendPairingPrompt: jest.fn(),
+    sendPropertyChangedNotification: jest.fn(),
+    sendUnpairingPrompt: jest.fn(),
+    getGatewayVersion: () => '1.0.0',
+    getPreferences: () => ({}),
+    getUserProfile: () => ({ dataDir, configDir }),
+  };
+}
+
+// fs.rmSync and the recursive option to fs.rmdirSync aren't available on
+// all of the node versions that we test with.
+function removeDirectory(dir) {
+  for (const entry of fs.readdirSync(dir)) {
+    const entryPath = path.join(dir, entry);
+    if (fs.statSync(entryPath).isDirectory()) {
+      removeDirectory(entryPath);
+    } else {
+      fs.unlinkSync(entryPath);
+    }
+  }
+  fs.rmdirSync(dir);
+}
+
+// Resolves once predicate returns true.
+function waitFor(predicate, label) {
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const poll = () => {
+      if (predicate()) {
+        resolve();
+      } else if (Date.now() - startTime > WAIT_TIMEOUT) {
+        reject(new Error(`Timed out waiting for ${label}`));
+      } else {
+        setTimeout(poll, WAIT_POLL_INTERVAL);
+      }
+    };
+    poll();
+  });
+}
+
+// Resolves once the adapter has finished its startup scan and the driver
+// has nothing left to send.
+function waitForIdle(driver) {
+  return waitFor(() => {
+    return !driver.adapter.scanning && !driver.waitFrame && driver.cmdQueue.length == 0;
+  }, 'the driver to become idle');
+}
+
+// Puts the adapter into pairing mode and has the device join once the
+// network is open. Resolves with the node after it has been interviewed,
+// classified, added to the gateway and configured.
+async function pairDevice(driver, addonManager, dongle, device) {
+  const adapter = driver.adapter;
+  adapter.startPairing(60);
+  await waitFor(() => dongle.network.permitJoinDuration > 0, 'the network to open for joining');
+  dongle.joinDevice(device);
+
+  const deviceId = `zb-${device.addr64}`;
+  const addedNode = () => {
+    const call = addonManager.handleDeviceAdded.mock.calls.find(([node]) => node.id == deviceId);
+    return call && call[0];
+  };
+  await waitFor(addedNode, `${deviceId} to be added`);
+  const node = addedNode();
+  await waitFor(() => {
+    if (node.rebinding) {
+      return false;
+    }
+    for (const property of node.properties.values()) {
+      if (property.bindNeeded || property.configReportNeeded || property.initialReadNeeded) {
+        return false;
+      }
+    }
+    return true;
+  }, `${deviceId} to be configured`);
+  await waitForIdle(driver);
+  return node;
+}
+
+// Waits for anything still in progress and then unloads the adapter,
+// which closes the serial port.
+async function unloadDriver(driver) {
+  try {
+    await waitForIdle(driver);
+  } finally {
+    await driver.adapter.unload();
+  }
+}
+
+module.exports = {
+  makeAddonManager,
+  pairDevice,
+  removeDirectory,
+  unloadDriver,
+  waitFor,
+  waitForIdle,
+};
@@ -0,0 +1,103 @@
+/**
+ *
+ * driver-xbee.test.js - End-to-end tests for the XBee driver, using a
+ *                       simulated XStick.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const XBeeDriver = require('../src/driver/xbee');
+const FakeXBee = require('./fake-xbee');
+const { FakeOnOffPlug, FakeZigbeeNetwork } = require('./fake-zigbee-network');
+const {
+  makeAddonManager,
+  pairDevice,
+  removeDirectory,
+  unloadDriver,
+  waitForIdle,
+} = require('./driver-harness');
+
+const COORDINATOR_ADDR64 = '0013a20040a1b2c3';
+
+jest.setTimeout(30000);
+
+describe('XBeeDriver', () => {
+  let directory;
+  let addonManager;
+  let network;
+  let dongle;
+  let driver;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockReturnValue();
+    jest.spyOn(console, 'warn').mockReturnValue();
+    jest.spyOn(console, 'error').mockReturnValue();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zb-xbee-'));
+    addonManager = makeAddonManager(directory);
+    network = new FakeZigbeeNetwork(COORDINATOR_ADDR64);
+    dongle = new FakeXBee(network);
+    driver = new XBeeDriver(addonManager, {}, '/dev/ttyFAKE', dongle.serialPort);
+  });
+
+  afterEach(async () => {
+    await unloadDriver(driver);
+    expect(dongle.serialPort.isOpen).toBe(false);
+    removeDirectory(directory);
+    jest.restoreAllMocks();
+  });
+
+  it('initializes the adapter from the dongle settings', async () => {
+    await waitForIdle(driver);
+    const adapter = driver.adapter;
+    expect(addonManager.addAdapter).toHaveBeenCalledWith(adapter);
+    expect(adapter.id).toBe(`zb-${COORDINATOR_ADDR64}`);
+    expect(adapter.nodes[COORDINATOR_ADDR64].addr16).toBe('0000');
+    expect(driver.deviceTypeIdentifier).toBe(0x3000c);
+    expect(driver.operatingChannel).toBe(15);
+
+    // The dongle is already configured the way we want it, so nothing
+    // should have been written to it.
+    const commands = dongle.atCommands.map((atCommand) => atCommand.command);
+    expect(commands).toContain('SH');
+    expect(commands).not.toContain('WR');
+  });
+
+  it('pairs, interviews, classifies and controls a smart plug', async () => {
+    await waitForIdle(driver);
+    const plug = new FakeOnOffPlug({
+      addr64: '00158d0001a2b3c4',
+      addr16: '4d2c',
+      manufacturerName: 'Acme',
+      modelId: 'SP-100',
+    });
+    const node = await pairDevice(driver, addonManager, dongle, plug);
+
+    // Pairing opened the dongle itself for joining as well.
+    expect(dongle.atCommands).toContainEqual({ command: 'NJ', param: Buffer.from([60]) });
+
+    expect(node.id).toBe('zb-00158d0001a2b3c4');
+    expect(node.addr16).toBe('4d2c');
+    expect(node.manufacturerName).toBe('Acme');
+    expect(node.modelId).toBe('SP-100');
+    expect(node['@type']).toEqual(['OnOffSwitch']);
+    expect(node.properties.get('on')['@type']).toBe('OnOffProperty');
+
+    expect(plug.bindings).toEqual([
+      { srcEndpoint: 1, clusterId: 0x0006, dstAddr64: COORDINATOR_ADDR64, dstEndpoint: 1 },
+    ]);
+    expect(plug.configuredReports).toContainEqual({ endpoint: 1, clusterId: 0x0006, attrId: 0 });
+
+    await expect(node.setProperty('on', true)).resolves.toBe(true);
+    expect(plug.on).toBe(true);
+    await expect(node.setProperty('on', false)).resolves.toBe(false);
+    expect(plug.on).toBe(false);
+  });
+});
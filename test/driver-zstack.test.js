@@ -0,0 +1,166 @@
+/**
+ *
+ * driver-zstack.test.js - End-to-end tests for the ZStack driver, using a
+ *                         simulated ZNP running Z-Stack Home 1.2, 3.0.x
+ *                         or 3.x.0.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ZStackDriver = require('../src/driver/zstack');
+const FakeZStack = require('./fake-zstack');
+const { FakeOnOffPlug, FakeZigbeeNetwork } = require('./fake-zigbee-network');
+const {
+  makeAddonManager,
+  pairDevice,
+  removeDirectory,
+  unloadDriver,
+  waitFor,
+  waitForIdle,
+} = require('./driver-harness');
+
+const COORDINATOR_ADDR64 = '00124b0018e1a2b3';
+
+// ZNP subsystems and commands checked by the tests.
+const SUBSYS_ZDO = 5;
+const SUBSYS_SAPI = 6;
+const ZDO_STARTUP_FROM_APP = 0x40;
+const ZB_START_REQUEST = 0x00;
+const ZB_PERMIT_JOINING_REQUEST = 0x08;
+
+jest.setTimeout(30000);
+
+describe.each([
+  ['Z-Stack Home 1.2', FakeZStack.PRODUCT.ZSTACK_HOME_12],
+  ['Z-Stack 3.0.x', FakeZStack.PRODUCT.ZSTACK_30X],
+  ['Z-Stack 3.x.0', FakeZStack.PRODUCT.ZSTACK_3X0],
+])('ZStackDriver with %s', (_label, product) => {
+  let directory;
+  let addonManager;
+  let network;
+  let dongle;
+  let driver;
+
+  // Returns true if the dongle received the request.
+  function received(subsys, cmd) {
+    return dongle.requests.some((frame) => frame.subsys == subsys && frame.cmd == cmd);
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockReturnValue();
+    jest.spyOn(console, 'warn').mockReturnValue();
+    jest.spyOn(console, 'error').mockReturnValue();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zb-zstack-'));
+    addonManager = makeAddonManager(directory);
+    network = new FakeZigbeeNetwork(COORDINATOR_ADDR64);
+    dongle = new FakeZStack(network, { product });
+    driver = new ZStackDriver(addonManager, {}, '/dev/ttyFAKE', dongle.serialPort);
+  });
+
+  afterEach(async () => {
+    await unloadDriver(driver);
+    expect(dongle.serialPort.isOpen).toBe(false);
+    removeDirectory(directory);
+    jest.restoreAllMocks();
+  });
+
+  it('starts the coordinator and initializes the adapter', async () => {
+    await waitForIdle(driver);
+    const adapter = driver.adapter;
+    expect(addonManager.addAdapter).toHaveBeenCalledWith(adapter);
+    expect(adapter.id).toBe(`zb-${COORDINATOR_ADDR64}`);
+    expect(adapter.nodes[COORDINATOR_ADDR64].addr16).toBe('0000');
+    expect(driver.product).toBe(product);
+    expect(driver.PANID).toBe('1a62');
+    expect(driver.channel).toBe(15);
+
+    // Z-Stack 3.x resumes the network using BDB commissioning rather than
+    // the SAPI commands.
+    expect(received(SUBSYS_ZDO, ZDO_STARTUP_FROM_APP)).toBe(driver.isZStack3());
+    expect(received(SUBSYS_SAPI, ZB_START_REQUEST)).toBe(!driver.isZStack3());
+  });
+
+  it('pairs, interviews, classifies and controls a smart plug', async () => {
+    await waitForIdle(driver);
+    const plug = new FakeOnOffPlug({
+      addr64: '00158d0001a2b3c4',
+      addr16: '4d2c',
+      manufacturerName: 'Acme',
+      modelId: 'SP-100',
+    });
+    const node = await pairDevice(driver, addonManager, dongle, plug);
+
+    expect(received(SUBSYS_SAPI, ZB_PERMIT_JOINING_REQUEST)).toBe(!driver.isZStack3());
+
+    expect(node.id).toBe('zb-00158d0001a2b3c4');
+    expect(node.addr16).toBe('4d2c');
+    expect(node.manufacturerName).toBe('Acme');
+    expect(node.modelId).toBe('SP-100');
+    expect(node['@type']).toEqual(['OnOffSwitch']);
+    expect(node.properties.get('on')['@type']).toBe('OnOffProperty');
+
+    expect(plug.bindings).toEqual([
+      { srcEndpoint: 1, clusterId: 0x0006, dstAddr64: COORDINATOR_ADDR64, dstEndpoint: 1 },
+    ]);
+    expect(plug.configuredReports).toContainEqual({ endpoint: 1, clusterId: 0x0006, attrId: 0 });
+
+    await expect(node.setProperty('on', true)).resolves.toBe(true);
+    expect(plug.on).toBe(true);
+    await expect(node.setProperty('on', false)).resolves.toBe(false);
+    expect(plug.on).toBe(false);
+  });
+
+  it('backs up the network key and frame counter', async () => {
+    await waitForIdle(driver);
+    const fileName = driver.adapter.backupFilename('backup.json');
+    driver.adapter.backupNetwork('backup.json');
+    await waitFor(() => fs.existsSync(fileName), 'the backup to be written');
+
+    const backup = JSON.parse(fs.readFileSync(fileName, 'utf8'));
+    expect(backup.coordinator.addr64).toBe(COORDINATOR_ADDR64);
+    expect(backup.network).toEqual({
+      panId: '1a62',
+      extendedPanId: '00124b0001020304',
+      channel: 15,
+      networkKey: FakeZStack.NETWORK_KEY.toString('hex'),
+      networkKeySequenceNumber: 0,
+      frameCounter: FakeZStack.FRAME_COUNTER,
+    });
+  });
+
+  it('restores the network and frame counter from a backup', async () => {
+    await waitForIdle(driver);
+    const backup = {
+      version: 1,
+      timestamp: '2020-01-01T00:00:00.000Z',
+      coordinator: { addr64: '00124b0011223344', driver: 'ZStackDriver' },
+      network: {
+        panId: '1a63',
+        extendedPanId: 'dddddddddddddddd',
+        channel: 20,
+        networkKey: '0f0e0d0c0b0a09080706050403020100',
+        networkKeySequenceNumber: 0,
+        frameCounter: 50000,
+      },
+      nodes: {},
+      groups: {},
+    };
+    fs.writeFileSync(driver.adapter.backupFilename('restore.json'), JSON.stringify(backup));
+    driver.adapter.restoreNetwork('restore.json');
+    await waitFor(() => dongle.frameCounter() == 60000, 'the frame counter to be restored');
+    await waitFor(() => !driver.restoreNetwork, 'the network to be restarted');
+    await waitForIdle(driver);
+
+    // The frame counter skips ahead, in case the old dongle kept going
+    // after the backup was made.
+    expect(dongle.frameCounter()).toBe(60000);
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ *
+ * fake-conbee.js - Simulates a ConBee (deCONZ serial protocol) dongle.
+ *
+ * Frames are SLIP encoded and protected by a 16-bit checksum. The dongle
+ * answers every request with a response of the same type and sequence
+ * number. Frames sent by the APS_DATA_REQUEST command are passed to the
+ * simulated network, and the resulting confirmations and received frames
+ * are queued up until the driver asks for them. The device state, which
+ * is included in most of the responses, tells the driver what's waiting.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const deconzApi = require('deconz-api');
+
+const FakeSerialPort = require('./fake-serial-port');
+const { addrBuffer } = require('./fake-zigbee-network');
+
+const C = deconzApi.constants;
+
+const SLIP_END = 0xc0;
+const SLIP_ESC = 0xdb;
+const SLIP_ESC_END = 0xdc;
+const SLIP_ESC_ESC = 0xdd;
+
+// Bits in the device state
+const NETWORK_STATE_CONNECTED = 0x02;
+const APS_DATA_CONFIRM_FLAG = 0x04;
+const APS_DATA_INDICATION_FLAG = 0x08;
+const APS_DATA_REQUEST_FREE_SLOTS_FLAG = 0x20;
+
+const ADDR_MODE = {
+  GROUP: 0x01,
+  NWK: 0x02,
+  IEEE: 0x03,
+};
+
+const FIRMWARE_VERSION = 0x26580700;
+
+function uint16(value) {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16LE(value);
+  return buf;
+}
+
+function uint32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(value);
+  return buf;
+}
+
+function checksum(data) {
+  let sum = 0;
+  for (const byte of data) {
+    sum += byte;
+  }
+  return (~sum + 1) & 0xffff;
+}
+
+function slipEncode(frame) {
+  const bytes = [SLIP_END];
+  for (const byte of Buffer.concat([frame, uint16(checksum(frame))])) {
+    if (byte == SLIP_END) {
+      bytes.push(SLIP_ESC, SLIP_ESC_END);
+    } else if (byte == SLIP_ESC) {
+      bytes.push(SLIP_ESC, SLIP_ESC_ESC);
+    } else {
+      bytes.push(byte);
+    }
+  }
+  bytes.push(SLIP_END);
+  return Buffer.from(bytes);
+}
+
+class FakeConBee {
+  constructor(network) {
+    this.network = network;
+    this.seqNum = 0;
+
+    // The parameter values, as they're sent over the serial port.
+    this.params = {
+      [C.PARAM_ID.MAC_ADDRESS]: addrBuffer(network.coordinator.addr64),
+      [C.PARAM_ID.NETWORK_PANID16]: uint16(0x1a62),
+      [C.PARAM_ID.NETWORK_ADDR16]: uint16(0x0000),
+      [C.PARAM_ID.NETWORK_PANID64]: Buffer.from('0403020100124b00', 'hex'),
+      [C.PARAM_ID.APS_DESIGNATED_COORDINATOR]: Buffer.from([1]),
+      [C.PARAM_ID.SCAN_CHANNELS]: uint32(0x00008000),
+      [C.PARAM_ID.APS_PANID64]: Buffer.alloc(8),
+      [C.PARAM_ID.TRUST_CENTER_ADDR64]: addrBuffer(network.coordinator.addr64),
+      [C.PARAM_ID.SECURITY_MODE]: Buffer.from([3]),
+      [C.PARAM_ID.NETWORK_KEY]: Buffer.from('01030507090b0d0f00020406080a0c0d', 'hex'),
+      [C.PARAM_ID.OPERATING_CHANNEL]: Buffer.from([15]),
+      [C.PARAM_ID.PROTOCOL_VERSION]: uint16(C.WATCHDOG_PROTOCOL_VERSION),
+      [C.PARAM_ID.NETWORK_UPDATE_ID]: Buffer.from([0]),
+      [C.PARAM_ID.PERMIT_JOIN]: Buffer.from([0]),
+      [C.PARAM_ID.WATCHDOG_TTL]: uint32(0),
+    };
+
+    // The parameters written by the driver, in order.
+    this.paramWrites = [];
+
+    this.confirms = [];
+    this.indications = [];
+
+    this.slipFrame = null;
+    this.serialPort = new FakeSerialPort((chunk) => {
+      this.slipDecode(chunk);
+    });
+  }
+
+  deviceState() {
+    let state = NETWORK_STATE_CONNECTED | APS_DATA_REQUEST_FREE_SLOTS_FLAG;
+    if (this.confirms.length > 0) {
+      state |= APS_DATA_CONFIRM_FLAG;
+    }
+    if (this.indications.length > 0) {
+      state |= APS_DATA_INDICATION_FLAG;
+    }
+    return state;
+  }
+
+  slipDecode(chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      const byte = chunk[i];
+      if (byte == SLIP_END) {
+        if (this.slipFrame && this.slipFrame.length > 2) {
+          const frame = Buffer.from(this.slipFrame);
+          const data = frame.slice(0, frame.length - 2);
+          if (checksum(data) == frame.readUInt16LE(frame.length - 2)) {
+            this.handleFrame(data);
+          }
+        }
+        this.slipFrame = [];
+      } else if (this.slipFrame) {
+        if (byte == SLIP_ESC) {
+          i++;
+          this.slipFrame.push(chunk[i] == SLIP_ESC_END ? SLIP_END : SLIP_ESC);
+        } else {
+          this.slipFrame.push(byte);
+        }
+      }
+    }
+  }
+
+  // Sends a frame with the standard header: type, sequence number, status
+  // and the frame length.
+  sendFrame(type, seqNum, body) {
+    const header = Buffer.from([type, seqNum, 0, 0, 0]);
+    const frame = Buffer.concat([header, body]);
+    frame.writeUInt16LE(frame.length, 3);
+    this.serialPort.reply(slipEncode(frame));
+  }
+
+  // Most responses put the payload length in front of the payload.
+  sendPayload(type, seqNum, payload) {
+    this.sendFrame(type, seqNum, Buffer.concat([uint16(payload.length), payload]));
+  }
+
+  handleFrame(frame) {
+    const type = frame[0];
+    const seqNum = frame[1];
+    switch (type) {
+      case C.FRAME_TYPE.VERSION:
+        this.sendFrame(type, seqNum, uint32(FIRMWARE_VERSION));
+        break;
+
+      case C.FRAME_TYPE.READ_PARAMETER: {
+        const paramId = frame[7];
+        this.sendPayload(
+          type,
+          seqNum,
+          Buffer.concat([Buffer.from([paramId]), this.params[paramId]])
+        );
+        break;
+      }
+
+      case C.FRAME_TYPE.WRITE_PARAMETER: {
+        const paramId = frame[7];
+        const value = frame.slice(8);
+        this.params[paramId] = value;
+        this.paramWrites.push({ paramId: paramId, value: value });
+        if (paramId == C.PARAM_ID.PERMIT_JOIN) {
+          this.network.permitJoin(value[0]);
+        }
+        this.sendPayload(type, seqNum, Buffer.from([paramId]));
+        break;
+      }
+
+      case C.FRAME_TYPE.DEVICE_STATE:
+        this.sendFrame(type, seqNum, Buffer.from([this.deviceState(), 0, 0]));
+        break;
+
+      case C.FRAME_TYPE.CHANGE_NETWORK_STATE:
+        this.sendFrame(type, seqNum, Buffer.from([frame[5]]));
+        break;
+
+      case C.FRAME_TYPE.APS_DATA_REQUEST:
+        this.handleApsDataRequest(frame);
+        break;
+
+      case C.FRAME_TYPE.APS_DATA_CONFIRM:
+        this.handleApsDataConfirm(frame);
+        break;
+
+      case C.FRAME_TYPE.APS_DATA_INDICATION:
+        this.handleApsDataIndication(frame);
+        break;
+    }
+  }
+
+  handleApsDataRequest(frame) {
+    const requestId = frame[7];
+    const addrMode = frame[9];
+    let offset = 10;
+    const req = {};
+    let dstAddr;
+    if (addrMode == ADDR_MODE.IEEE) {
+      dstAddr = frame.slice(offset, offset + 8);
+      req.destination64 = Buffer.from(dstAddr).reverse().toString('hex');
+      req.destination16 = 'fffe';
+      offset += 8;
+    } else {
+      dstAddr = frame.slice(offset, offset + 2);
+      req.destination16 = Buffer.from(dstAddr).reverse().toString('hex');
+      offset += 2;
+    }
+    if (addrMode != ADDR_MODE.GROUP) {
+      req.destinationEndpoint = frame[offset++];
+    }
+    req.profileId = frame.readUInt16LE(offset);
+    req.clusterId = frame.readUInt16LE(offset + 2);
+    req.sourceEndpoint = frame[offset + 4];
+    const asduLen = frame.readUInt16LE(offset + 5);
+    req.data = frame.slice(offset + 7, offset + 7 + asduLen);
+
+    let indications = [];
+    if (addrMode != ADDR_MODE.GROUP) {
+      indications = this.network.handleRequest(req);
+    }
+    const confirm = [Buffer.from([requestId, addrMode]), dstAddr];
+    if (addrMode != ADDR_MODE.GROUP) {
+      confirm.push(Buffer.from([req.destinationEndpoint]));
+    }
+    confirm.push(Buffer.from([req.sourceEndpoint, 0]), Buffer.alloc(4));
+    this.confirms.push(Buffer.concat(confirm));
+    this.indications.push(...indications);
+
+    this.sendPayload(frame[0], frame[1], Buffer.from([this.deviceState(), requestId]));
+  }
+
+  handleApsDataConfirm(frame) {
+    const confirm = this.confirms.shift();
+    this.sendPayload(
+      frame[0],
+      frame[1],
+      Buffer.concat([Buffer.from([this.deviceState()]), confirm])
+    );
+  }
+
+  handleApsDataIndication(frame) {
+    const indication = this.indications.shift();
+    const payload = Buffer.concat([
+      Buffer.from([this.deviceState(), ADDR_MODE.NWK]),
+      addrBuffer(this.network.coordinator.addr16),
+      Buffer.from([indication.destinationEndpoint, ADDR_MODE.NWK]),
+      addrBuffer(indication.source16),
+      Buffer.from([indication.sourceEndpoint]),
+      uint16(indication.profileId),
+      uint16(indication.clusterId),
+      uint16(indication.data.length),
+      indication.data,
+      Buffer.from([0, 0, 0xff, 0, 0, 0, 0, 0xd8]), // LQI and RSSI
+    ]);
+    this.sendPayload(frame[0], frame[1], payload);
+  }
+
+  // Has the device join the network and announce itself. The dongle lets
+  // the driver know that there's a frame waiting for it.
+  joinDevice(device) {
+    this.network.addDevice(device);
+    this.indications.push(this.network.announce(device));
+    this.sendDeviceStateChanged();
+  }
+
+  sendDeviceStateChanged() {
+    this.seqNum = (this.seqNum + 1) & 0xff;
+    this.sendFrame(
+      C.FRAME_TYPE.DEVICE_STATE_CHANGED,
+      this.seqNum,
+      Buffer.from([this.deviceState(), 0])
+    );
+  }
+}
+
+module.exports = FakeConBee;
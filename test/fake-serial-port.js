@@ -0,0 +1,67 @@
+/**
+ *
+ * fake-serial-port.js - A serial port which talks to a simulated dongle.
+ *
+ * Everything written to the port is recorded and passed to the responder,
+ * which scripts the dongle's side of the conversation by calling reply().
+ * Replies are delivered asynchronously, the same way that a real serial
+ * port delivers them, so the drivers see the bytes only after they've
+ * finished queueing up whatever they're waiting for.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const { Duplex } = require('stream');
+
+class FakeSerialPort extends Duplex {
+  constructor(responder) {
+    super();
+    this.responder = responder;
+    this.written = [];
+    this.isOpen = true;
+  }
+
+  // Nothing to do - bytes are pushed as they're replied.
+  _read() {
+    // pass
+  }
+
+  _write(chunk, _encoding, callback) {
+    this.written.push(chunk);
+    if (this.responder) {
+      this.responder(chunk);
+    }
+    callback();
+  }
+
+  close(callback) {
+    this.isOpen = false;
+    this.emit('close');
+    if (callback) {
+      process.nextTick(callback, null);
+    }
+  }
+
+  // Sends bytes from the dongle to the driver.
+  reply(data) {
+    setImmediate(() => {
+      if (this.isOpen) {
+        this.push(Buffer.from(data));
+      }
+    });
+  }
+
+  // Sends a recorded byte stream from the dongle to the driver. The chunks
+  // don't need to line up with the frames.
+  replay(chunks) {
+    for (const chunk of chunks) {
+      this.reply(chunk);
+    }
+  }
+}
+
+module.exports = FakeSerialPort;
@@ -0,0 +1,180 @@
+/**
+ *
+ * fake-xbee.js - Simulates an XBee (XStick) dongle running in API mode 1.
+ *
+ * AT commands are answered from a table of register values, and explicit
+ * addressing frames are passed to the simulated network. Each transmit
+ * gets a transmit status, followed by whatever the network sent back.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const xbeeApi = require('xbee-api');
+
+const FakeSerialPort = require('./fake-serial-port');
+
+const C = xbeeApi.constants;
+
+const AT_STATUS_OK = 0;
+
+// Builds an API mode 1 frame from the frame data.
+function apiFrame(frameData) {
+  const data = Buffer.from(frameData);
+  let sum = 0;
+  for (const byte of data) {
+    sum += byte;
+  }
+  const frame = Buffer.alloc(data.length + 4);
+  frame[0] = C.START_BYTE;
+  frame.writeUInt16BE(data.length, 1);
+  data.copy(frame, 3);
+  frame[frame.length - 1] = 0xff - (sum & 0xff);
+  return frame;
+}
+
+function uint16BE(value) {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16BE(value);
+  return buf;
+}
+
+function uint32BE(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(value);
+  return buf;
+}
+
+class FakeXBee {
+  constructor(network) {
+    this.network = network;
+    const addr64 = Buffer.from(network.coordinator.addr64, 'hex');
+
+    // The register values. These match what the driver wants, so it
+    // doesn't need to change the configuration.
+    this.atValues = {
+      AP: Buffer.from([1]), // API mode
+      DD: uint32BE(0x3000c), // XStick
+      ID: Buffer.from('00124b0001020304', 'hex'),
+      SH: addr64.slice(0, 4),
+      SL: addr64.slice(4, 8),
+      MY: Buffer.from([0x00, 0x00]),
+      OP: Buffer.from('00124b0001020304', 'hex'),
+      OI: Buffer.from([0x1a, 0x62]),
+      CH: Buffer.from([0x0f]),
+      SC: uint16BE(0x1ffe),
+      NI: Buffer.from(' ', 'ascii'),
+      NC: Buffer.from([12]),
+      NJ: Buffer.from([0]),
+      ZS: Buffer.from([2]),
+      AO: Buffer.from([3]),
+      EE: Buffer.from([1]),
+      EO: Buffer.from([2]),
+    };
+
+    // The AT commands received, in order.
+    this.atCommands = [];
+
+    this.xb = new xbeeApi.XBeeAPI({ api_mode: 1 });
+    this.xb.on('frame_object', (frame) => {
+      this.handleFrame(frame);
+    });
+    this.serialPort = new FakeSerialPort((chunk) => {
+      this.xb.parseRaw(chunk);
+    });
+  }
+
+  handleFrame(frame) {
+    switch (frame.type) {
+      case C.FRAME_TYPE.AT_COMMAND:
+        this.handleAtCommand(frame);
+        break;
+      case C.FRAME_TYPE.EXPLICIT_ADDRESSING_ZIGBEE_COMMAND_FRAME:
+        this.handleExplicitTx(frame);
+        break;
+    }
+  }
+
+  handleAtCommand(frame) {
+    const command = frame.command;
+    const param = Buffer.from(frame.commandParameter);
+    this.atCommands.push({ command: command, param: param });
+
+    let data = Buffer.alloc(0);
+    if (param.length > 0) {
+      this.atValues[command] = param;
+      if (command == 'NJ') {
+        this.network.permitJoin(param[0]);
+      }
+    } else if (this.atValues.hasOwnProperty(command)) {
+      data = this.atValues[command];
+    }
+    this.serialPort.reply(
+      apiFrame(
+        Buffer.concat([
+          Buffer.from([C.FRAME_TYPE.AT_COMMAND_RESPONSE, frame.id]),
+          Buffer.from(command, 'ascii'),
+          Buffer.from([AT_STATUS_OK]),
+          data,
+        ])
+      )
+    );
+  }
+
+  handleExplicitTx(frame) {
+    const indications = this.network.handleRequest({
+      destination64: frame.destination64,
+      destination16: frame.destination16,
+      sourceEndpoint: frame.sourceEndpoint,
+      destinationEndpoint: frame.destinationEndpoint,
+      profileId: frame.profileId,
+      clusterId: frame.clusterId,
+      data: Buffer.from(frame.data),
+    });
+
+    this.serialPort.reply(
+      apiFrame(
+        Buffer.concat([
+          Buffer.from([C.FRAME_TYPE.ZIGBEE_TRANSMIT_STATUS, frame.id]),
+          Buffer.from(frame.destination16, 'hex'),
+          Buffer.from([
+            0, // transmit retry count
+            C.DELIVERY_STATUS.SUCCESS,
+            C.DISCOVERY_STATUS.NO_DISCOVERY_OVERHEAD,
+          ]),
+        ])
+      )
+    );
+    for (const indication of indications) {
+      this.sendExplicitRx(indication);
+    }
+  }
+
+  // Has the device join the network and announce itself.
+  joinDevice(device) {
+    this.network.addDevice(device);
+    this.sendExplicitRx(this.network.announce(device));
+  }
+
+  sendExplicitRx(indication) {
+    this.serialPort.reply(
+      apiFrame(
+        Buffer.concat([
+          Buffer.from([C.FRAME_TYPE.ZIGBEE_EXPLICIT_RX]),
+          Buffer.from(indication.source64, 'hex'),
+          Buffer.from(indication.source16, 'hex'),
+          Buffer.from([indication.sourceEndpoint, indication.destinationEndpoint]),
+          uint16BE(indication.clusterId),
+          uint16BE(indication.profileId),
+          Buffer.from([C.RECEIVE_OPTIONS.PACKET_ACKNOWLEDGED]),
+          indication.data,
+        ])
+      )
+    );
+  }
+}
+
+module.exports = FakeXBee;
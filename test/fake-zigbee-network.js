@@ -0,0 +1,519 @@
+/**
+ *
+ * fake-zigbee-network.js - A simulated Zigbee network for the driver tests.
+ *
+ * The network answers the ZDO and ZCL requests which the dongle simulators
+ * pass to it, the same way that the coordinator and the devices on a real
+ * network would. Requests and indications use the over-the-air format,
+ * so each dongle simulator only needs to translate them to and from its
+ * own serial protocol.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const PROFILE_ZDO = 0x0000;
+const PROFILE_ZHA = 0x0104;
+
+const CLUSTER_GENBASIC = 0x0000;
+const CLUSTER_GENONOFF = 0x0006;
+
+// ZDO requests. The response uses the same clusterId with bit 15 set.
+const ZDO = {
+  NWK_ADDR_REQ: 0x0000,
+  IEEE_ADDR_REQ: 0x0001,
+  NODE_DESC_REQ: 0x0002,
+  SIMPLE_DESC_REQ: 0x0004,
+  ACTIVE_EP_REQ: 0x0005,
+  END_DEVICE_ANNCE: 0x0013,
+  BIND_REQ: 0x0021,
+  MGMT_LQI_REQ: 0x0031,
+  MGMT_PERMIT_JOIN_REQ: 0x0036,
+};
+
+const ZDO_STATUS = {
+  SUCCESS: 0x00,
+  INVALID_EP: 0x82,
+  NOT_SUPPORTED: 0x84,
+};
+
+// ZCL frame control bits
+const ZCL_FC_CLUSTER_SPECIFIC = 0x01;
+const ZCL_FC_MANUF_SPECIFIC = 0x04;
+const ZCL_FC_SERVER_TO_CLIENT = 0x08;
+const ZCL_FC_DISABLE_DEFAULT_RSP = 0x10;
+
+const ZCL_CMD = {
+  read: 0x00,
+  readRsp: 0x01,
+  write: 0x02,
+  writeRsp: 0x04,
+  configReport: 0x06,
+  configReportRsp: 0x07,
+  report: 0x0a,
+  defaultRsp: 0x0b,
+  discover: 0x0c,
+  discoverRsp: 0x0d,
+};
+
+const ZCL_STATUS = {
+  SUCCESS: 0x00,
+  UNSUP_CLUSTER_COMMAND: 0x81,
+  UNSUPPORTED_ATTRIBUTE: 0x86,
+};
+
+const ZCL_TYPE = {
+  boolean: 0x10,
+  uint8: 0x20,
+  enum8: 0x30,
+  charStr: 0x42,
+};
+
+// Router, mains powered, receiver on when idle, allocate address.
+const MAC_CAPABILITIES = 0x8e;
+
+function isBroadcast(addr16) {
+  return parseInt(addr16, 16) >= 0xfff8;
+}
+
+// Addresses are kept as hex strings (most significant byte first), the
+// same as the drivers use. Over the air they're sent little endian.
+function addrBuffer(addr) {
+  return Buffer.from(addr, 'hex').reverse();
+}
+
+function addrString(buf) {
+  return Buffer.from(buf).reverse().toString('hex');
+}
+
+function uint16(value) {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16LE(value);
+  return buf;
+}
+
+function encodeAttrValue(dataType, value) {
+  switch (dataType) {
+    case ZCL_TYPE.boolean:
+      return Buffer.from([value ? 1 : 0]);
+    case ZCL_TYPE.charStr:
+      return Buffer.concat([Buffer.from([value.length]), Buffer.from(value, 'ascii')]);
+  }
+  return Buffer.from([value]);
+}
+
+class FakeZigbeeDevice {
+  constructor({ addr64, addr16, manufacturerName, modelId, endpoints }) {
+    this.addr64 = addr64;
+    this.addr16 = addr16;
+    this.manufacturerName = manufacturerName;
+    this.modelId = modelId;
+    this.endpoints = endpoints;
+    this.zclSeq = 0;
+
+    // Records what the adapter asked the device to do.
+    this.bindings = [];
+    this.configuredReports = [];
+    this.zclCommands = [];
+  }
+
+  // Returns {dataType, value} for the attribute, or undefined if the
+  // device doesn't support it.
+  attribute(clusterId, attrId) {
+    if (clusterId == CLUSTER_GENBASIC) {
+      switch (attrId) {
+        case 0x0000: // zclVersion
+          return { dataType: ZCL_TYPE.uint8, value: 1 };
+        case 0x0004:
+          return { dataType: ZCL_TYPE.charStr, value: this.manufacturerName };
+        case 0x0005:
+          return { dataType: ZCL_TYPE.charStr, value: this.modelId };
+        case 0x0007: // powerSource
+          return { dataType: ZCL_TYPE.enum8, value: 1 }; // mains
+      }
+    }
+  }
+
+  handleZdo(req) {
+    const seq = req.data[0];
+    const rsp = (status, body) => {
+      return this.zdoResponse(req.clusterId | 0x8000, seq, status, body);
+    };
+    switch (req.clusterId) {
+      case ZDO.NWK_ADDR_REQ:
+      case ZDO.IEEE_ADDR_REQ:
+        return rsp(ZDO_STATUS.SUCCESS, [addrBuffer(this.addr64), addrBuffer(this.addr16)]);
+
+      case ZDO.NODE_DESC_REQ:
+        return rsp(ZDO_STATUS.SUCCESS, [
+          addrBuffer(this.addr16),
+          Buffer.from([
+            0x01, // router
+            0x40, // 2.4 GHz band
+            MAC_CAPABILITIES,
+          ]),
+          uint16(0x1234), // manufacturer code
+          Buffer.from([0x50]), // max buffer size
+          uint16(0x0050), // max incoming transfer size
+          uint16(0x0000), // server mask
+          uint16(0x0050), // max outgoing transfer size
+          Buffer.from([0x00]), // descriptor capabilities
+        ]);
+
+      case ZDO.ACTIVE_EP_REQ: {
+        const endpointNums = Object.keys(this.endpoints).map((ep) => parseInt(ep));
+        return rsp(ZDO_STATUS.SUCCESS, [
+          addrBuffer(this.addr16),
+          Buffer.from([endpointNums.length].concat(endpointNums)),
+        ]);
+      }
+
+      case ZDO.SIMPLE_DESC_REQ: {
+        const endpointNum = req.data[3];
+        const endpoint = this.endpoints[endpointNum];
+        if (!endpoint) {
+          return rsp(ZDO_STATUS.INVALID_EP, [addrBuffer(this.addr16), Buffer.from([0])]);
+        }
+        const desc = Buffer.concat([
+          Buffer.from([endpointNum]),
+          uint16(endpoint.profileId),
+          uint16(endpoint.deviceId),
+          Buffer.from([endpoint.deviceVersion || 0, endpoint.inputClusters.length]),
+          Buffer.concat(endpoint.inputClusters.map(uint16)),
+          Buffer.from([endpoint.outputClusters.length]),
+          Buffer.concat(endpoint.outputClusters.map(uint16)),
+        ]);
+        return rsp(ZDO_STATUS.SUCCESS, [addrBuffer(this.addr16), Buffer.from([desc.length]), desc]);
+      }
+
+      case ZDO.BIND_REQ:
+        this.bindings.push({
+          srcEndpoint: req.data[9],
+          clusterId: req.data.readUInt16LE(10),
+          dstAddr64: addrString(req.data.slice(13, 21)),
+          dstEndpoint: req.data[21],
+        });
+        return rsp(ZDO_STATUS.SUCCESS, []);
+
+      case ZDO.MGMT_LQI_REQ:
+        // No neighbors
+        return rsp(ZDO_STATUS.SUCCESS, [Buffer.from([0, req.data[1], 0])]);
+    }
+    return rsp(ZDO_STATUS.NOT_SUPPORTED, []);
+  }
+
+  zdoResponse(clusterId, seq, status, body) {
+    return [
+      {
+        source64: this.addr64,
+        source16: this.addr16,
+        sourceEndpoint: 0,
+        destinationEndpoint: 0,
+        profileId: PROFILE_ZDO,
+        clusterId: clusterId,
+        data: Buffer.concat([Buffer.from([seq, status])].concat(body)),
+      },
+    ];
+  }
+
+  handleZcl(req) {
+    const data = req.data;
+    const frameControl = data[0];
+    let offset = 1;
+    let manufCode;
+    if (frameControl & ZCL_FC_MANUF_SPECIFIC) {
+      manufCode = data.readUInt16LE(offset);
+      offset += 2;
+    }
+    const seq = data[offset];
+    const cmdId = data[offset + 1];
+    const payload = data.slice(offset + 2);
+
+    this.zclCommands.push({
+      endpoint: req.destinationEndpoint,
+      clusterId: req.clusterId,
+      clusterSpecific: (frameControl & ZCL_FC_CLUSTER_SPECIFIC) != 0,
+      cmdId: cmdId,
+      payload: payload,
+    });
+
+    const rsp = (rspCmdId, body) => {
+      return [this.zclResponse(req, manufCode, seq, rspCmdId, body)];
+    };
+    if (frameControl & ZCL_FC_CLUSTER_SPECIFIC) {
+      const status = this.handleClusterCommand(req.destinationEndpoint, req.clusterId, cmdId);
+      const indications = [];
+      if (!(frameControl & ZCL_FC_DISABLE_DEFAULT_RSP)) {
+        indications.push(
+          this.zclResponse(req, manufCode, seq, ZCL_CMD.defaultRsp, Buffer.from([cmdId, status]))
+        );
+      }
+      return indications.concat(this.changedAttributeReports(req.destinationEndpoint));
+    }
+
+    switch (cmdId) {
+      case ZCL_CMD.read: {
+        const records = [];
+        for (let i = 0; i + 1 < payload.length; i += 2) {
+          const attrId = payload.readUInt16LE(i);
+          const attr = manufCode ? null : this.attribute(req.clusterId, attrId);
+          if (attr) {
+            records.push(uint16(attrId), Buffer.from([ZCL_STATUS.SUCCESS, attr.dataType]));
+            records.push(encodeAttrValue(attr.dataType, attr.value));
+          } else {
+            records.push(uint16(attrId), Buffer.from([ZCL_STATUS.UNSUPPORTED_ATTRIBUTE]));
+          }
+        }
+        return rsp(ZCL_CMD.readRsp, Buffer.concat(records));
+      }
+
+      case ZCL_CMD.write:
+        return rsp(ZCL_CMD.writeRsp, Buffer.from([ZCL_STATUS.SUCCESS]));
+
+      case ZCL_CMD.configReport:
+        this.configuredReports.push({
+          endpoint: req.destinationEndpoint,
+          clusterId: req.clusterId,
+          attrId: payload.readUInt16LE(1),
+        });
+        // A single success status means that every attribute was configured.
+        return rsp(ZCL_CMD.configReportRsp, Buffer.from([ZCL_STATUS.SUCCESS]));
+
+      case ZCL_CMD.discover:
+        // Discovery complete, no attributes.
+        return rsp(ZCL_CMD.discoverRsp, Buffer.from([1]));
+    }
+    return rsp(ZCL_CMD.defaultRsp, Buffer.from([cmdId, ZCL_STATUS.SUCCESS]));
+  }
+
+  // Called for cluster specific commands. Returns the ZCL status.
+  handleClusterCommand(_endpoint, _clusterId, _cmdId) {
+    return ZCL_STATUS.UNSUP_CLUSTER_COMMAND;
+  }
+
+  // Returns report frames for any attributes which changed while handling
+  // the last command and have had reporting configured.
+  changedAttributeReports(_endpoint) {
+    return [];
+  }
+
+  zclResponse(req, manufCode, seq, cmdId, body) {
+    const header = [ZCL_FC_SERVER_TO_CLIENT | ZCL_FC_DISABLE_DEFAULT_RSP];
+    if (typeof manufCode === 'number') {
+      header[0] |= ZCL_FC_MANUF_SPECIFIC;
+      header.push(manufCode & 0xff, manufCode >> 8);
+    }
+    header.push(seq, cmdId);
+    return {
+      source64: this.addr64,
+      source16: this.addr16,
+      sourceEndpoint: req.destinationEndpoint,
+      destinationEndpoint: req.sourceEndpoint,
+      profileId: req.profileId,
+      clusterId: req.clusterId,
+      data: Buffer.concat([Buffer.from(header), body]),
+    };
+  }
+
+  zclReport(endpoint, clusterId, attrId) {
+    const attr = this.attribute(clusterId, attrId);
+    this.zclSeq = (this.zclSeq + 1) & 0xff;
+    return {
+      source64: this.addr64,
+      source16: this.addr16,
+      sourceEndpoint: endpoint,
+      destinationEndpoint: 1,
+      profileId: PROFILE_ZHA,
+      clusterId: clusterId,
+      data: Buffer.concat([
+        Buffer.from([
+          ZCL_FC_SERVER_TO_CLIENT | ZCL_FC_DISABLE_DEFAULT_RSP,
+          this.zclSeq,
+          ZCL_CMD.report,
+        ]),
+        uint16(attrId),
+        Buffer.from([attr.dataType]),
+        encodeAttrValue(attr.dataType, attr.value),
+      ]),
+    };
+  }
+}
+
+// A mains powered smart plug with a single genOnOff server.
+class FakeOnOffPlug extends FakeZigbeeDevice {
+  constructor(options) {
+    super(
+      Object.assign(
+        {
+          endpoints: {
+            1: {
+              profileId: PROFILE_ZHA,
+              deviceId: 0x0009, // Mains Power Outlet
+              inputClusters: [CLUSTER_GENBASIC, CLUSTER_GENONOFF],
+              outputClusters: [],
+            },
+          },
+        },
+        options
+      )
+    );
+    this.on = false;
+    this.onChanged = false;
+  }
+
+  attribute(clusterId, attrId) {
+    if (clusterId == CLUSTER_GENONOFF && attrId == 0x0000) {
+      return { dataType: ZCL_TYPE.boolean, value: this.on };
+    }
+    return super.attribute(clusterId, attrId);
+  }
+
+  handleClusterCommand(_endpoint, clusterId, cmdId) {
+    if (clusterId != CLUSTER_GENONOFF || cmdId > 0x02) {
+      return ZCL_STATUS.UNSUP_CLUSTER_COMMAND;
+    }
+    const on = cmdId == 0x02 ? !this.on : cmdId == 0x01;
+    this.onChanged = on != this.on;
+    this.on = on;
+    return ZCL_STATUS.SUCCESS;
+  }
+
+  changedAttributeReports(endpoint) {
+    const reportConfigured = this.configuredReports.some((report) => {
+      return report.clusterId == CLUSTER_GENONOFF;
+    });
+    if (!this.onChanged || !reportConfigured) {
+      return [];
+    }
+    this.onChanged = false;
+    return [this.zclReport(endpoint, CLUSTER_GENONOFF, 0x0000)];
+  }
+}
+
+class FakeZigbeeNetwork {
+  constructor(coordinatorAddr64) {
+    this.coordinator = { addr64: coordinatorAddr64, addr16: '0000' };
+    this.devices = [];
+    this.permitJoinDuration = 0;
+    this.zdoSeq = 0;
+  }
+
+  addDevice(device) {
+    if (this.permitJoinDuration == 0) {
+      throw new Error(`Device ${device.addr64} can't join - the network is closed`);
+    }
+    this.devices.push(device);
+  }
+
+  findDevice(addr16, addr64) {
+    return this.devices.find((device) => {
+      if (addr16 && addr16 != 'fffe') {
+        return device.addr16 == addr16;
+      }
+      return device.addr64 == addr64;
+    });
+  }
+
+  // Returns the end device announcement which a device broadcasts after
+  // it joins.
+  announce(device) {
+    this.zdoSeq = (this.zdoSeq + 1) & 0xff;
+    return {
+      source64: device.addr64,
+      source16: device.addr16,
+      sourceEndpoint: 0,
+      destinationEndpoint: 0,
+      profileId: PROFILE_ZDO,
+      clusterId: ZDO.END_DEVICE_ANNCE,
+      data: Buffer.concat([
+        Buffer.from([this.zdoSeq]),
+        addrBuffer(device.addr16),
+        addrBuffer(device.addr64),
+        Buffer.from([MAC_CAPABILITIES]),
+      ]),
+    };
+  }
+
+  permitJoin(duration) {
+    this.permitJoinDuration = duration;
+  }
+
+  // Sends a request (from the coordinator) over the network. Returns the
+  // indications (frames received by the coordinator) which result.
+  handleRequest(req) {
+    if (req.profileId == PROFILE_ZDO) {
+      if (isBroadcast(req.destination16)) {
+        return this.handleZdoBroadcast(req);
+      }
+      if (req.destination16 == this.coordinator.addr16) {
+        return this.handleCoordinatorZdo(req);
+      }
+    }
+    const device = this.findDevice(req.destination16, req.destination64);
+    if (!device) {
+      return [];
+    }
+    if (req.profileId == PROFILE_ZDO) {
+      return device.handleZdo(req);
+    }
+    return device.handleZcl(req);
+  }
+
+  handleCoordinatorZdo(req) {
+    const seq = req.data[0];
+    const rsp = (body) => {
+      return [
+        {
+          source64: this.coordinator.addr64,
+          source16: this.coordinator.addr16,
+          sourceEndpoint: 0,
+          destinationEndpoint: 0,
+          profileId: PROFILE_ZDO,
+          clusterId: req.clusterId | 0x8000,
+          data: Buffer.from([seq, ZDO_STATUS.SUCCESS].concat(body)),
+        },
+      ];
+    };
+    switch (req.clusterId) {
+      case ZDO.MGMT_LQI_REQ:
+        // No neighbors
+        return rsp([0, req.data[1], 0]);
+
+      case ZDO.MGMT_PERMIT_JOIN_REQ:
+        this.permitJoin(req.data[1]);
+        return rsp([]);
+    }
+    return [];
+  }
+
+  // Broadcasts don't get a response, except for address requests, which
+  // are answered by the device with the matching IEEE address.
+  handleZdoBroadcast(req) {
+    switch (req.clusterId) {
+      case ZDO.NWK_ADDR_REQ: {
+        const device = this.findDevice(null, addrString(req.data.slice(1, 9)));
+        if (device) {
+          return device.handleZdo(req);
+        }
+        break;
+      }
+
+      case ZDO.MGMT_PERMIT_JOIN_REQ:
+        this.permitJoin(req.data[1]);
+        break;
+    }
+    return [];
+  }
+}
+
+module.exports = {
+  addrBuffer,
+  FakeOnOffPlug,
+  FakeZigbeeDevice,
+  FakeZigbeeNetwork,
+  PROFILE_ZDO,
+  PROFILE_ZHA,
+};
@@ -0,0 +1,454 @@
+/**
+ *
+ * fake-zstack.js - Simulates a TI Z-Stack (ZNP) dongle using UNPI frames.
+ *
+ * Synchronous requests (SREQ) get a synchronous response (SRSP) and the
+ * results of over-the-air requests are reported using asynchronous
+ * indications (AREQ), the same way that the real ZNP does. Z-Stack Home
+ * 1.2, Z-Stack 3.0.x and Z-Stack 3.x.0 can be simulated.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const FakeSerialPort = require('./fake-serial-port');
+const { addrBuffer, PROFILE_ZDO, PROFILE_ZHA } = require('./fake-zigbee-network');
+
+const SOF = 0xfe;
+
+const TYPE = {
+  SREQ: 1,
+  AREQ: 2,
+  SRSP: 3,
+};
+
+const SUBSYS = {
+  SYS: 1,
+  AF: 4,
+  ZDO: 5,
+  SAPI: 6,
+  UTIL: 7,
+  APP_CNF: 15,
+};
+
+const PRODUCT = {
+  ZSTACK_HOME_12: 0,
+  ZSTACK_30X: 1,
+  ZSTACK_3X0: 2,
+};
+
+const NV = {
+  NWK_ACTIVE_KEY_INFO: 0x003a,
+  NWK_SEC_MATERIAL_TABLE_START: 0x0075,
+  NWKKEY: 0x0082,
+};
+const NV_SYSID_ZSTACK = 1;
+const EX_NWK_SEC_MATERIAL_TABLE = 0x0007;
+
+const DEV_ZB_COORD = 9;
+const NWK_ADDR_RSP = 0x80;
+const PAN_ID = 0x1a62;
+const EXTENDED_PAN_ID = Buffer.from('0403020100124b00', 'hex'); // little endian
+
+// The network key and NWK frame counter that the dongle starts out with.
+const NETWORK_KEY = Buffer.from('01030507090b0d0f00020406080a0c0d', 'hex');
+const FRAME_COUNTER = 12345;
+
+function uint16(value) {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16LE(value);
+  return buf;
+}
+
+function uint32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(value);
+  return buf;
+}
+
+function addrString(buf) {
+  return Buffer.from(buf).reverse().toString('hex');
+}
+
+class FakeZStack {
+  constructor(network, options) {
+    this.network = network;
+    this.product = (options && options.product) || PRODUCT.ZSTACK_HOME_12;
+
+    // The NV items, keyed by item id. Extended items (Z-Stack 3.x.0) use
+    // sysId:itemId:subId as the key.
+    this.nvItems = {};
+    if (this.isZStack3()) {
+      this.nvItems[NV.NWK_ACTIVE_KEY_INFO] = Buffer.concat([Buffer.from([0]), NETWORK_KEY]);
+      this.setFrameCounter(FRAME_COUNTER);
+    } else {
+      this.nvItems[NV.NWKKEY] = Buffer.concat([
+        Buffer.from([0]),
+        NETWORK_KEY,
+        uint32(FRAME_COUNTER),
+      ]);
+    }
+
+    // The requests received, in order.
+    this.requests = [];
+
+    this.rxData = Buffer.alloc(0);
+    this.serialPort = new FakeSerialPort((chunk) => {
+      this.parse(chunk);
+    });
+  }
+
+  isZStack3() {
+    return this.product != PRODUCT.ZSTACK_HOME_12;
+  }
+
+  secMaterialKey() {
+    if (this.product == PRODUCT.ZSTACK_3X0) {
+      return `${NV_SYSID_ZSTACK}:${EX_NWK_SEC_MATERIAL_TABLE}:0`;
+    }
+    return NV.NWK_SEC_MATERIAL_TABLE_START;
+  }
+
+  // Returns the NWK frame counter stored in NV.
+  frameCounter() {
+    if (this.isZStack3()) {
+      return this.nvItems[this.secMaterialKey()].readUInt32LE(0);
+    }
+    return this.nvItems[NV.NWKKEY].readUInt32LE(17);
+  }
+
+  setFrameCounter(frameCounter) {
+    this.nvItems[this.secMaterialKey()] = Buffer.concat([uint32(frameCounter), EXTENDED_PAN_ID]);
+  }
+
+  parse(chunk) {
+    this.rxData = Buffer.concat([this.rxData, chunk]);
+    for (;;) {
+      const sofIdx = this.rxData.indexOf(SOF);
+      if (sofIdx < 0) {
+        this.rxData = Buffer.alloc(0);
+        return;
+      }
+      this.rxData = this.rxData.slice(sofIdx);
+      if (this.rxData.length < 5 || this.rxData.length < this.rxData[1] + 5) {
+        return;
+      }
+      const len = this.rxData[1];
+      const frame = {
+        type: this.rxData[2] >> 5,
+        subsys: this.rxData[2] & 0x1f,
+        cmd: this.rxData[3],
+        payload: this.rxData.slice(4, 4 + len),
+      };
+      this.rxData = this.rxData.slice(len + 5);
+      this.requests.push(frame);
+      this.handleFrame(frame);
+    }
+  }
+
+  send(type, subsys, cmd, payload) {
+    payload = Buffer.from(payload || []);
+    const frame = Buffer.concat([
+      Buffer.from([SOF, payload.length, (type << 5) | subsys, cmd]),
+      payload,
+      Buffer.from([0]),
+    ]);
+    let fcs = 0;
+    for (let i = 1; i < frame.length - 1; i++) {
+      fcs ^= frame[i];
+    }
+    frame[frame.length - 1] = fcs;
+    this.serialPort.reply(frame);
+  }
+
+  srsp(frame, payload) {
+    this.send(TYPE.SRSP, frame.subsys, frame.cmd, payload);
+  }
+
+  areq(subsys, cmd, payload) {
+    this.send(TYPE.AREQ, subsys, cmd, payload);
+  }
+
+  handleFrame(frame) {
+    switch (frame.subsys) {
+      case SUBSYS.SYS:
+        this.handleSys(frame);
+        break;
+      case SUBSYS.AF:
+        this.handleAf(frame);
+        break;
+      case SUBSYS.ZDO:
+        this.handleZdo(frame);
+        break;
+      case SUBSYS.SAPI:
+        this.handleSapi(frame);
+        break;
+      case SUBSYS.UTIL:
+        this.handleUtil(frame);
+        break;
+      default:
+        this.srsp(frame, [0]);
+        break;
+    }
+  }
+
+  handleSys(frame) {
+    switch (frame.cmd) {
+      case 0x00: // SYS_RESET_REQ
+        this.resetInd();
+        break;
+      case 0x02: // SYS_VERSION
+        this.srsp(
+          frame,
+          Buffer.concat([Buffer.from([2, this.product, 2, 6, 3]), uint32(20190608)])
+        );
+        break;
+      case 0x04: // SYS_GET_EXTADDR
+        this.srsp(frame, addrBuffer(this.network.coordinator.addr64));
+        break;
+      case 0x08: {
+        // OSAL_NV_READ
+        const value = this.nvItems[frame.payload.readUInt16LE(0)];
+        if (value) {
+          this.srsp(frame, Buffer.concat([Buffer.from([0, value.length]), value]));
+        } else {
+          this.srsp(frame, [0x0a, 0]); // NV_OPER_FAILED
+        }
+        break;
+      }
+      case 0x09: // OSAL_NV_WRITE
+        this.nvItems[frame.payload.readUInt16LE(0)] = frame.payload.slice(4, 4 + frame.payload[3]);
+        this.srsp(frame, [0]);
+        break;
+      case 0x33: {
+        // SYS_NV_READ
+        const value = this.nvItems[this.exNvKey(frame.payload)];
+        if (this.product == PRODUCT.ZSTACK_3X0 && value) {
+          this.srsp(frame, Buffer.concat([Buffer.from([0, value.length]), value]));
+        } else {
+          this.srsp(frame, [0x0a, 0]); // NV_OPER_FAILED
+        }
+        break;
+      }
+      case 0x34: // SYS_NV_WRITE
+        this.nvItems[this.exNvKey(frame.payload)] = frame.payload.slice(8, 8 + frame.payload[7]);
+        this.srsp(frame, [0]);
+        break;
+      default:
+        this.srsp(frame, [0]);
+        break;
+    }
+  }
+
+  // The extended NV requests start with sysId, itemId and subId.
+  exNvKey(payload) {
+    return `${payload[0]}:${payload.readUInt16LE(1)}:${payload.readUInt16LE(3)}`;
+  }
+
+  resetInd() {
+    this.areq(SUBSYS.SYS, 0x80, [0, 2, this.product, 2, 6, 3]);
+  }
+
+  handleSapi(frame) {
+    switch (frame.cmd) {
+      case 0x00: // ZB_START_REQUEST
+        this.srsp(frame, []);
+        this.areq(SUBSYS.ZDO, 0xc0, [DEV_ZB_COORD]);
+        break;
+      case 0x08: // ZB_PERMIT_JOINING_REQUEST
+        this.network.permitJoin(frame.payload[2]);
+        this.srsp(frame, [0]);
+        break;
+      case 0x09: // ZB_SYSTEM_RESET
+        this.resetInd();
+        break;
+      default:
+        this.srsp(frame, [0]);
+        break;
+    }
+  }
+
+  handleUtil(frame) {
+    if (frame.cmd == 0x01) {
+      // UTIL_GET_NV_INFO
+      this.srsp(
+        frame,
+        Buffer.concat([
+          Buffer.from([0]),
+          addrBuffer(this.network.coordinator.addr64),
+          uint32(0x00008000),
+          uint16(PAN_ID),
+        ])
+      );
+      return;
+    }
+    this.srsp(frame, [0]);
+  }
+
+  handleZdo(frame) {
+    const payload = frame.payload;
+    switch (frame.cmd) {
+      case 0x40: // ZDO_STARTUP_FROM_APP
+        this.srsp(frame, [0]); // restored network state
+        this.areq(SUBSYS.ZDO, 0xc0, [DEV_ZB_COORD]);
+        return;
+
+      case 0x50: // ZDO_EXT_NWK_INFO
+        this.srsp(
+          frame,
+          Buffer.concat([
+            uint16(0x0000), // short address
+            uint16(PAN_ID),
+            uint16(0x0000), // parent address
+            EXTENDED_PAN_ID,
+            Buffer.alloc(8), // extended parent address
+            Buffer.from([15]), // channel
+          ])
+        );
+        return;
+
+      case 0x36: // ZDO_MGMT_PERMIT_JOIN_REQ
+        this.srsp(frame, [0]);
+        if (payload[0] == 0x0f) {
+          // Broadcast
+          this.network.permitJoin(payload[3]);
+        } else {
+          this.sendZdoIndications(
+            this.zdoRequest(addrString(payload.slice(1, 3)), 0x0036, payload.slice(3))
+          );
+        }
+        if (this.isZStack3()) {
+          // ZDO_PERMIT_JOIN_IND
+          this.areq(SUBSYS.ZDO, 0xcb, [payload[3]]);
+        }
+        return;
+
+      case 0x29: // Node descriptor or active endpoints (address of interest)
+        this.srsp(frame, [0]);
+        this.sendZdoIndications(
+          this.zdoRequest(addrString(payload.slice(0, 2)), payload[4], payload.slice(2, 4))
+        );
+        return;
+
+      case 0x00: // ZDO_NWK_ADDR_REQ
+        this.srsp(frame, [0]);
+        this.sendZdoIndications(this.zdoRequest('fffd', frame.cmd, payload));
+        return;
+    }
+
+    // The remaining requests start with the destination address, followed
+    // by the over-the-air request.
+    this.srsp(frame, [0]);
+    this.sendZdoIndications(
+      this.zdoRequest(addrString(payload.slice(0, 2)), frame.cmd, payload.slice(2))
+    );
+  }
+
+  zdoRequest(destination16, clusterId, body) {
+    return this.network.handleRequest({
+      destination16: destination16,
+      sourceEndpoint: 0,
+      destinationEndpoint: 0,
+      profileId: PROFILE_ZDO,
+      clusterId: clusterId,
+      data: Buffer.concat([Buffer.from([0]), body]), // the ZNP adds the sequence number
+    });
+  }
+
+  sendZdoIndications(indications) {
+    for (const indication of indications) {
+      this.sendIndication(indication);
+    }
+  }
+
+  // ZDO responses are reported with the source address in front of the
+  // over-the-air response (which loses its sequence number). Everything
+  // else arrives as AF_INCOMING_MSG.
+  sendIndication(indication) {
+    if (indication.profileId != PROFILE_ZDO) {
+      this.areq(
+        SUBSYS.AF,
+        0x81,
+        Buffer.concat([
+          uint16(0), // group id
+          uint16(indication.clusterId),
+          addrBuffer(indication.source16),
+          Buffer.from([
+            indication.sourceEndpoint,
+            indication.destinationEndpoint,
+            0, // was broadcast
+            0xff, // link quality
+            0, // security use
+          ]),
+          uint32(0), // timestamp
+          Buffer.from([0, indication.data.length]), // trans seq number, length
+          indication.data,
+        ])
+      );
+      return;
+    }
+    let zdoCmd = 0x80 | (indication.clusterId & 0x7f);
+    if (zdoCmd == NWK_ADDR_RSP) {
+      // status, IEEE address, network address, start index, num assoc devs
+      this.areq(
+        SUBSYS.ZDO,
+        zdoCmd,
+        Buffer.concat([indication.data.slice(1, 12), Buffer.from([0, 0])])
+      );
+      return;
+    }
+    if (indication.clusterId == 0x0013) {
+      zdoCmd = 0xc1; // ZDO_END_DEVICE_ANNCE_IND
+    }
+    this.areq(
+      SUBSYS.ZDO,
+      zdoCmd,
+      Buffer.concat([addrBuffer(indication.source16), indication.data.slice(1)])
+    );
+  }
+
+  handleAf(frame) {
+    const payload = frame.payload;
+    if (frame.cmd == 0x01) {
+      // AF_DATA_REQUEST
+      const dataLen = payload[9];
+      const indications = this.network.handleRequest({
+        destination16: addrString(payload.slice(0, 2)),
+        destinationEndpoint: payload[2],
+        sourceEndpoint: payload[3],
+        profileId: PROFILE_ZHA,
+        clusterId: payload.readUInt16LE(4),
+        data: payload.slice(10, 10 + dataLen),
+      });
+      this.srsp(frame, [0]);
+      // AF_DATA_CONFIRM
+      this.areq(SUBSYS.AF, 0x80, [0, payload[3], payload[6]]);
+      for (const indication of indications) {
+        this.sendIndication(indication);
+      }
+      return;
+    }
+    if (frame.cmd == 0x02) {
+      // AF_DATA_REQUEST_EXT (used for groups)
+      this.srsp(frame, [0]);
+      this.areq(SUBSYS.AF, 0x80, [0, payload[12], payload[15]]);
+      return;
+    }
+    this.srsp(frame, [0]);
+  }
+
+  // Has the device join the network and announce itself.
+  joinDevice(device) {
+    this.network.addDevice(device);
+    this.sendIndication(this.network.announce(device));
+  }
+}
+
+FakeZStack.PRODUCT = PRODUCT;
+FakeZStack.NETWORK_KEY = NETWORK_KEY;
+FakeZStack.FRAME_COUNTER = FRAME_COUNTER;
+
+module.exports = FakeZStack;
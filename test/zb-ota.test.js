@@ -0,0 +1,346 @@
+/**
+ *
+ * zb-ota.test.js - Tests for the genOta server, using raw request frames.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ZigbeeNode = require('../src/zb-node');
+const { parseOtaHeader, parseOtaRequest, ZigbeeOtaImages } = require('../src/zb-ota');
+
+const MANUFACTURER_CODE = 0x100b;
+const IMAGE_TYPE = 0x0101;
+const FILE_VERSION = 0x01020304;
+
+// genOta command ids, as sent by the client.
+const OTA_CMD = {
+  queryNextImageReq: 0x01,
+  imageBlockReq: 0x03,
+  imagePageReq: 0x04,
+  upgradeEndReq: 0x06,
+};
+
+// Builds an OTA file: a 56 byte header followed by bodyLength bytes of
+// (counting) image data.
+function makeOtaFile(fileVersion, bodyLength, hwVersions) {
+  const headerLength = hwVersions ? 60 : 56;
+  const file = Buffer.alloc(headerLength + bodyLength);
+  file.writeUInt32LE(0x0beef11e, 0);
+  file.writeUInt16LE(0x0100, 4);
+  file.writeUInt16LE(headerLength, 6);
+  file.writeUInt16LE(hwVersions ? 0x0004 : 0, 8);
+  file.writeUInt16LE(MANUFACTURER_CODE, 10);
+  file.writeUInt16LE(IMAGE_TYPE, 12);
+  file.writeUInt32LE(fileVersion, 14);
+  file.writeUInt16LE(0x0002, 18);
+  file.write('Test image', 20, 'ascii');
+  file.writeUInt32LE(file.length, 52);
+  if (hwVersions) {
+    file.writeUInt16LE(hwVersions[0], 56);
+    file.writeUInt16LE(hwVersions[1], 58);
+  }
+  for (let i = 0; i < bodyLength; i++) {
+    file[headerLength + i] = i & 0xff;
+  }
+  return file;
+}
+
+// The image identification which starts all of the genOta requests.
+function imageId(fileVersion = FILE_VERSION) {
+  const id = Buffer.alloc(8);
+  id.writeUInt16LE(MANUFACTURER_CODE, 0);
+  id.writeUInt16LE(IMAGE_TYPE, 2);
+  id.writeUInt32LE(fileVersion, 4);
+  return id;
+}
+
+function uint8(value) {
+  return Buffer.from([value]);
+}
+
+function uint16(value) {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16LE(value);
+  return buf;
+}
+
+function uint32(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(value);
+  return buf;
+}
+
+// Builds a genOta request frame, the way the driver hands it to the node.
+function makeOtaReqFrame(cmdId, payload, manufCode) {
+  const seqNum = 0x42;
+  const header = manufCode
+    ? Buffer.concat([uint8(0x05), uint16(manufCode), uint8(seqNum), uint8(OTA_CMD[cmdId])])
+    : Buffer.from([0x01, seqNum, OTA_CMD[cmdId]]);
+  return {
+    sourceEndpoint: '01',
+    destinationEndpoint: '01',
+    profileId: '0104',
+    clusterId: '0019',
+    data: Buffer.concat([header, payload]),
+    zcl: {
+      frameCntl: { frameType: 1, manufSpec: manufCode ? 1 : 0, direction: 0 },
+      seqNum: seqNum,
+      cmdId: cmdId,
+      payload: {},
+    },
+  };
+}
+
+function makeImagePageReqFrame(fileOffset, maxDataSize, pageSize, responseSpacing) {
+  return makeOtaReqFrame(
+    'imagePageReq',
+    Buffer.concat([
+      uint8(0),
+      imageId(),
+      uint32(fileOffset),
+      uint8(maxDataSize),
+      uint16(pageSize),
+      uint16(responseSpacing),
+    ])
+  );
+}
+
+describe('parseOtaHeader', () => {
+  it('parses the header fields', () => {
+    const header = parseOtaHeader(makeOtaFile(FILE_VERSION, 10, [1, 3]));
+    expect(header).toMatchObject({
+      headerVersion: 0x0100,
+      headerLength: 60,
+      manufacturerCode: MANUFACTURER_CODE,
+      imageType: IMAGE_TYPE,
+      fileVersion: FILE_VERSION,
+      headerString: 'Test image',
+      imageSize: 70,
+      minHwVersion: 1,
+      maxHwVersion: 3,
+    });
+  });
+
+  it('rejects data which is not an OTA file', () => {
+    expect(parseOtaHeader(Buffer.alloc(64))).toBeNull();
+    expect(parseOtaHeader(makeOtaFile(FILE_VERSION, 0).slice(0, 40))).toBeNull();
+  });
+});
+
+describe('parseOtaRequest', () => {
+  it('parses a queryNextImageReq with a hardware version', () => {
+    const frame = makeOtaReqFrame(
+      'queryNextImageReq',
+      Buffer.concat([uint8(0x01), imageId(), uint16(2)])
+    );
+    expect(parseOtaRequest(frame)).toEqual({
+      fieldControl: 0x01,
+      manufacturerCode: MANUFACTURER_CODE,
+      imageType: IMAGE_TYPE,
+      fileVersion: FILE_VERSION,
+      hwVersion: 2,
+    });
+  });
+
+  it('parses an imageBlockReq with the optional fields present', () => {
+    const frame = makeOtaReqFrame(
+      'imageBlockReq',
+      Buffer.concat([
+        uint8(0x03),
+        imageId(),
+        uint32(0x1234),
+        uint8(48),
+        Buffer.alloc(8), // request node address
+        uint16(500), // minimum block period
+      ])
+    );
+    expect(parseOtaRequest(frame)).toMatchObject({ fileOffset: 0x1234, maxDataSize: 48 });
+  });
+
+  it('parses an imagePageReq', () => {
+    expect(parseOtaRequest(makeImagePageReqFrame(64, 32, 256, 20))).toMatchObject({
+      fileVersion: FILE_VERSION,
+      fileOffset: 64,
+      maxDataSize: 32,
+      pageSize: 256,
+      responseSpacing: 20,
+    });
+  });
+
+  it('parses an upgradeEndReq', () => {
+    const frame = makeOtaReqFrame('upgradeEndReq', Buffer.concat([uint8(0x95), imageId()]));
+    expect(parseOtaRequest(frame)).toEqual({
+      status: 0x95,
+      manufacturerCode: MANUFACTURER_CODE,
+      imageType: IMAGE_TYPE,
+      fileVersion: FILE_VERSION,
+    });
+  });
+
+  it('skips the manufacturer code in the ZCL header', () => {
+    const frame = makeOtaReqFrame(
+      'queryNextImageReq',
+      Buffer.concat([uint8(0), imageId()]),
+      0x1234
+    );
+    expect(parseOtaRequest(frame)).toMatchObject({ fileVersion: FILE_VERSION });
+  });
+
+  it('returns null for a truncated request', () => {
+    jest.spyOn(console, 'error').mockReturnValue();
+    const frame = makeOtaReqFrame('imageBlockReq', Buffer.concat([uint8(0), imageId()]));
+    expect(parseOtaRequest(frame)).toBeNull();
+    console.error.mockRestore();
+  });
+});
+
+describe('ZigbeeOtaImages', () => {
+  let directory;
+  let otaImages;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockReturnValue();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zb-ota-'));
+    fs.writeFileSync(path.join(directory, 'old.ota'), makeOtaFile(FILE_VERSION, 16));
+    // Some vendors prepend their own header.
+    fs.writeFileSync(
+      path.join(directory, 'new.ota'),
+      Buffer.concat([Buffer.from('VENDOR'), makeOtaFile(FILE_VERSION + 1, 16, [1, 2])])
+    );
+    fs.writeFileSync(path.join(directory, 'readme.txt'), 'Not an OTA file');
+    otaImages = new ZigbeeOtaImages(directory);
+    otaImages.load();
+  });
+
+  afterEach(() => {
+    for (const fileName of fs.readdirSync(directory)) {
+      fs.unlinkSync(path.join(directory, fileName));
+    }
+    fs.rmdirSync(directory);
+    console.log.mockRestore();
+  });
+
+  it('loads only the OTA images', () => {
+    expect(otaImages.images.map((image) => image.fileName).sort()).toEqual(['new.ota', 'old.ota']);
+    const image = otaImages.getImage(MANUFACTURER_CODE, IMAGE_TYPE, FILE_VERSION + 1);
+    expect(image.data.readUInt32LE(0)).toBe(0x0beef11e);
+    expect(image.data.length).toBe(76);
+  });
+
+  it('finds the newest applicable image', () => {
+    const find = (fileVersion, hwVersion) => {
+      const image = otaImages.findNewerImage(MANUFACTURER_CODE, IMAGE_TYPE, fileVersion, hwVersion);
+      return image && image.fileName;
+    };
+    expect(find(FILE_VERSION - 1)).toBe('new.ota');
+    expect(find(FILE_VERSION - 1, 3)).toBe('old.ota');
+    expect(find(FILE_VERSION + 1)).toBeFalsy();
+  });
+});
+
+describe('ZigbeeNode imagePageReq', () => {
+  const PAGE_FILE = makeOtaFile(FILE_VERSION, 200);
+  let adapter;
+  let node;
+
+  // Returns the fileOffset and data of the imageBlockRsp's sent so far.
+  function sentBlocks() {
+    return adapter.queueFrameNoWait.mock.calls
+      .map(([frame]) => frame.zcl)
+      .filter((zcl) => zcl.cmd == 'imageBlockRsp')
+      .map((zcl) => ({ fileOffset: zcl.payload[4], data: zcl.payload[6] }));
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockReturnValue();
+    adapter = {
+      driver: {
+        nextFrameId: () => 1,
+        getExplicitTxFrameType: () => 0x11,
+      },
+      otaImages: {
+        getImage: (manufacturerCode, imageType, fileVersion) => {
+          return fileVersion == FILE_VERSION
+            ? { header: parseOtaHeader(PAGE_FILE), data: PAGE_FILE }
+            : null;
+        },
+      },
+      queueFrameNoWait: jest.fn(),
+    };
+    node = new ZigbeeNode(adapter, '00124b0000000001', '1234');
+  });
+
+  afterEach(() => {
+    node.cancelOtaImagePage();
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  it('sends the page as blocks, responseSpacing apart', () => {
+    node.handleImagePageReq(makeImagePageReqFrame(10, 40, 100, 50));
+    expect(sentBlocks()).toEqual([{ fileOffset: 10, data: PAGE_FILE.slice(10, 50) }]);
+
+    jest.advanceTimersByTime(49);
+    expect(sentBlocks().length).toBe(1);
+    jest.advanceTimersByTime(1);
+    expect(sentBlocks().length).toBe(2);
+    jest.advanceTimersByTime(50);
+    expect(sentBlocks()).toEqual([
+      { fileOffset: 10, data: PAGE_FILE.slice(10, 50) },
+      { fileOffset: 50, data: PAGE_FILE.slice(50, 90) },
+      { fileOffset: 90, data: PAGE_FILE.slice(90, 110) },
+    ]);
+
+    jest.runOnlyPendingTimers();
+    expect(sentBlocks().length).toBe(3);
+  });
+
+  it('stops at the end of the image', () => {
+    node.handleImagePageReq(makeImagePageReqFrame(200, 64, 1024, 10));
+    jest.runOnlyPendingTimers();
+    const blocks = sentBlocks();
+    expect(blocks[blocks.length - 1].fileOffset + blocks[blocks.length - 1].data.length).toBe(
+      PAGE_FILE.length
+    );
+  });
+
+  it('stops sending the page when the upgrade ends', () => {
+    node.handleImagePageReq(makeImagePageReqFrame(0, 40, 200, 50));
+    node.handleUpgradeEndReq(
+      makeOtaReqFrame('upgradeEndReq', Buffer.concat([uint8(0), imageId()]))
+    );
+    jest.runOnlyPendingTimers();
+    expect(sentBlocks().length).toBe(1);
+  });
+
+  it('stops sending the page when the node is removed', () => {
+    node.handleImagePageReq(makeImagePageReqFrame(0, 40, 200, 50));
+    node.cancelOtaImagePage();
+    jest.runOnlyPendingTimers();
+    expect(sentBlocks().length).toBe(1);
+  });
+
+  it('replaces the page being sent with a new one', () => {
+    node.handleImagePageReq(makeImagePageReqFrame(0, 40, 200, 50));
+    node.handleImagePageReq(makeImagePageReqFrame(120, 40, 40, 50));
+    jest.runOnlyPendingTimers();
+    expect(sentBlocks().map((block) => block.fileOffset)).toEqual([0, 120]);
+  });
+
+  it('aborts a page request for an unknown image', () => {
+    const frame = makeImagePageReqFrame(0, 40, 200, 50);
+    frame.data.writeUInt32LE(FILE_VERSION + 1, 8);
+    node.handleImagePageReq(frame);
+    expect(adapter.queueFrameNoWait).toHaveBeenCalledTimes(1);
+    expect(adapter.queueFrameNoWait.mock.calls[0][0].zcl.payload).toEqual([0x95]);
+  });
+});